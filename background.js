@@ -3,137 +3,452 @@
  * CSP 제한을 우회하여 외부 API 호출을 처리
  */
 
+// 검색 제공자 레지스트리 (DuckDuckGo, Wikipedia 등)
+importScripts(
+  "providers.js",
+  "wikidata.js",
+  "knowledgebase.js",
+  "corpus.js",
+  "cache.js",
+  "scheduler.js",
+  "network.js",
+  "evidence.js",
+  "credibility.js",
+  "korean.js",
+  "entailment.js",
+  "judge.js"
+);
+
+// 새로고침이나 여러 탭에서 같은 검색이 반복되지 않도록 검색 결과 캐시 연결
+HallucinationLensProviders.cache = HallucinationLensCache;
+
+// 긴 대화에서 요청이 몰려도 제공자별 동시 요청 수, 시간 초과, 재시도를 적용
+HallucinationLensProviders.scheduler = HallucinationLensScheduler;
+
 // 검색 API 호출을 처리하는 함수
-async function performSearchRequest(query) {
-  console.log("[HallucinationLens Background] 검색 요청:", query);
+// 어떤 제공자를 어떤 방식으로 실행할지는 검색 설정과 제공자 레지스트리가 결정
+// 반환값: { results, timedOut: 시간 초과된 제공자 이름 배열, judge: LLM 판정 (사용한 경우), query: 실제 검색어,
+//          skipped: 요청한 제공자가 모두 꺼져 있어 검색하지 않았는지 }
+async function performSearchRequest(query, options = {}) {
+  console.log("[HallucinationLens Background] 검색 요청:", query, options);
 
   try {
-    // DuckDuckGo API 시도
-    const duckDuckGoResults = await searchDuckDuckGo(query);
-    if (duckDuckGoResults.length > 0) {
-      return duckDuckGoResults;
+    // 옵션 페이지에서 바뀐 사용자 정의 소스를 반영
+    await HallucinationLensKnowledgeBase.registerAll();
+    const settings = await HallucinationLensProviders.loadSettings();
+
+    // 개체명 번역 요청이면 Wikidata의 대상 언어 이름으로 검색어를 바꾸고 그 언어판에서 검색
+    // (요청한 제공자 중 사용자가 켠 것만 사용. 번역한 이름은 검색과 근거 구절 선택에만 쓰고
+    // 함의 판정과 LLM 판정은 원래 문장으로 해서 개체명만 언급한 문서를 근거로 보지 않음)
+    if (options.translate) {
+      const providers = (options.providers || settings.providers).filter((id) =>
+        settings.providers.includes(id)
+      );
+      if (providers.length === 0) {
+        return { results: [], timedOut: [], query: null, skipped: true };
+      }
+
+      const names = await HallucinationLensWikidata.translateNames(
+        options.translate.names || [],
+        options.language || "en",
+        options.translate.target
+      );
+      if (names.length === 0) {
+        return { results: [], timedOut: [], query: null };
+      }
+      query = names.join(" ");
+      options = {
+        ...options,
+        providers,
+        language: options.translate.target,
+      };
     }
 
-    // Wikipedia API 시도
-    const wikipediaResults = await searchWikipedia(query);
-    if (wikipediaResults.length > 0) {
-      return wikipediaResults;
+    // 특정 제공자만 요청한 경우 (예: utils.js의 performRealSearch)
+    if (options.providers && options.providers.length > 0) {
+      settings.providers = options.providers;
+    }
+
+    const response = await HallucinationLensProviders.searchWithStatus(
+      query,
+      settings,
+      {
+        language: options.language || null,
+        facts: options.facts || [],
+        text: options.text || null,
+      }
+    );
+
+    // 출처 도메인의 신뢰도를 기록하고 차단한 도메인은 근거에서 제외
+    response.results = await HallucinationLensCredibility.apply(
+      response.results
+    );
+
+    // 요약만으로는 확인하기 어려운 사실을 위해 원문 페이지에서 근거 문단을 찾음
+    if (settings.fetchEvidence) {
+      response.results = await HallucinationLensEvidence.attach(
+        response.results,
+        options.translate ? query : options.text || query,
+        settings
+      );
+    }
+
+    // 검색어가 아닌 실제 문장을 검증할 때만 근거가 문장을 뒷받침하는지 반박하는지 판정
+    if (settings.checkEntailment && options.text) {
+      response.results = await attachEntailment(response.results, options.text);
+    }
+
+    // 사용자가 LLM 판정을 켠 경우에만 설정한 주소로 문장과 근거를 보냄
+    if (options.text && response.results.length > 0) {
+      const judgeSettings = await HallucinationLensJudge.loadSettings();
+      if (
+        judgeSettings.enabled &&
+        HallucinationLensJudge.isValidEndpoint(judgeSettings.endpoint)
+      ) {
+        response.judge = await HallucinationLensJudge.judge(
+          options.text,
+          response.results,
+          judgeSettings
+        );
+      }
     }
 
-    return [];
+    return { ...response, query };
   } catch (error) {
     console.error("[HallucinationLens Background] 검색 오류:", error);
-    return [];
+    return { results: [], timedOut: [] };
+  }
+}
+
+// 오프스크린 문서 생성 (이미 있으면 그대로 사용, 동시에 여러 번 만들지 않음)
+let offscreenCreating = null;
+async function ensureOffscreenDocument() {
+  if (await chrome.offscreen.hasDocument()) {
+    return;
+  }
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen
+      .createDocument({
+        url: "offscreen.html",
+        reasons: ["WORKERS"],
+        justification: "검색 근거와 답변 문장의 함의 관계를 로컬에서 판정",
+      })
+      .finally(() => {
+        offscreenCreating = null;
+      });
   }
+  await offscreenCreating;
 }
 
-// DuckDuckGo API 검색
-async function searchDuckDuckGo(query) {
+// 주장-근거 쌍을 오프스크린 문서의 함의 판정기로 분류
+// 오프스크린 문서를 쓸 수 없으면 같은 판정기를 서비스 워커에서 실행 (어느 쪽도 외부로 보내지 않음)
+async function classifyEntailment(pairs) {
   try {
-    const encodedQuery = encodeURIComponent(query);
-    const apiUrl = `https://api.duckduckgo.com/?q=${encodedQuery}&format=json&no_html=1&skip_disambig=1`;
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({
+      target: "offscreen",
+      action: "classifyEntailment",
+      pairs,
+    });
+    if (response && response.success) {
+      return response.results;
+    }
+    throw new Error(response ? response.error : "오프스크린 문서 응답 없음");
+  } catch (error) {
+    console.warn(
+      "[HallucinationLens Background] 오프스크린 함의 판정 실패, 서비스 워커에서 판정:",
+      error
+    );
+    return HallucinationLensEntailment.classify(pairs);
+  }
+}
 
-    const response = await fetch(apiUrl);
-    const data = await response.json();
+// 검색 결과마다 검증 문장을 뒷받침/반박하는지 판정해 entailment로 기록
+// 근거는 원문에서 찾은 구절이 있으면 구절, 없으면 검색 요약을 사용
+async function attachEntailment(results, claim) {
+  if (results.length === 0) {
+    return results;
+  }
 
-    const results = [];
+  const pairs = results.map((result) => ({
+    claim,
+    evidence: [
+      ...(result.passages || []).map((passage) => passage.text),
+      result.snippet,
+    ].join("\n"),
+  }));
 
-    // Abstract (요약 정보)
-    if (data.Abstract && data.Abstract.trim()) {
-      results.push({
-        title: data.Heading || "정보 요약",
-        url: data.AbstractURL || "#",
-        snippet: data.Abstract,
-        isReliable: true,
-        source: "DuckDuckGo",
-      });
-    }
+  try {
+    const verdicts = await classifyEntailment(pairs);
+    return results.map((result, index) => ({
+      ...result,
+      entailment: verdicts[index],
+    }));
+  } catch (error) {
+    console.error("[HallucinationLens Background] 함의 판정 오류:", error);
+    return results;
+  }
+}
 
-    // Related Topics (관련 주제)
-    if (data.RelatedTopics && data.RelatedTopics.length > 0) {
-      data.RelatedTopics.slice(0, 2).forEach((topic) => {
-        if (topic.Text && topic.FirstURL) {
-          results.push({
-            title: topic.Text.split(" - ")[0] || "관련 주제",
-            url: topic.FirstURL,
-            snippet: topic.Text,
-            isReliable: true,
-            source: "DuckDuckGo",
-          });
-        }
-      });
-    }
+// 답변에 포함된 출처 링크 검증
+// 링크가 열리는지, 페이지 본문에 인용 문장의 핵심어가 들어 있는지 확인
+// (내부 네트워크 주소와 접근 권한이 없는 사이트는 가져오지 않음)
+async function verifyCitation(citation) {
+  if (!HallucinationLensNetwork.isPublicUrl(citation.url)) {
+    return {
+      ...citation,
+      status: "unchecked",
+      detail: "내부 네트워크 주소는 확인하지 않습니다.",
+    };
+  }
+  if (!(await HallucinationLensNetwork.canFetch(citation.url))) {
+    return {
+      ...citation,
+      status: "unchecked",
+      detail:
+        "사이트 접근 권한이 없습니다. 옵션 페이지에서 허용할 수 있습니다.",
+    };
+  }
 
-    // Answer (직접 답변)
-    if (data.Answer && data.Answer.trim()) {
-      results.push({
-        title: "직접 답변",
-        url: data.AnswerURL || "#",
-        snippet: data.Answer,
-        isReliable: true,
-        source: "DuckDuckGo",
-      });
+  let response;
+  try {
+    response = await HallucinationLensScheduler.fetch(
+      "citation",
+      citation.url,
+      { redirect: "follow" },
+      { timeoutMs: 10000 }
+    );
+  } catch (error) {
+    if (HallucinationLensScheduler.isTimeoutError(error)) {
+      return { ...citation, status: "unchecked", detail: "응답 시간 초과" };
     }
+    return { ...citation, status: "dead", detail: "연결할 수 없습니다." };
+  }
 
-    console.log("[HallucinationLens Background] DuckDuckGo 결과:", results);
-    return results;
-  } catch (error) {
-    console.error("[HallucinationLens Background] DuckDuckGo 오류:", error);
-    return [];
+  // 공개 주소에서 내부 네트워크 주소로 이동한 경우 본문을 읽지 않음
+  if (response.url && !HallucinationLensNetwork.isPublicUrl(response.url)) {
+    return {
+      ...citation,
+      status: "unchecked",
+      detail: "내부 네트워크 주소로 이동하는 링크입니다.",
+    };
+  }
+
+  if (!response.ok) {
+    return { ...citation, status: "dead", detail: `HTTP ${response.status}` };
+  }
+
+  const contentType = response.headers.get("content-type") || "";
+  if (!/text\/(html|plain)|application\/xhtml/.test(contentType)) {
+    return {
+      ...citation,
+      status: "unchecked",
+      detail: "본문을 확인할 수 없는 형식입니다.",
+    };
+  }
+
+  const keyTerms = citation.keyTerms || [];
+  if (keyTerms.length === 0) {
+    return { ...citation, status: "unchecked", detail: "확인할 핵심어 없음" };
   }
+
+  const pageText = extractPageText(await response.text()).toLowerCase();
+
+  // 여러 단어 구문은 구성 단어가 모두 본문에 있으면 언급된 것으로 간주
+  const matchedTerms = keyTerms.filter((term) => {
+    const lowerTerm = term.toLowerCase();
+    return (
+      pageText.includes(lowerTerm) ||
+      lowerTerm.split(/\s+/).every((word) => pageText.includes(word))
+    );
+  });
+
+  const ratio = matchedTerms.length / keyTerms.length;
+  return {
+    ...citation,
+    status: ratio >= 0.5 ? "supported" : "unrelated",
+    matchedTerms,
+    detail: `핵심어 ${matchedTerms.length}/${keyTerms.length}개 일치`,
+  };
 }
 
-// Wikipedia API 검색
-async function searchWikipedia(query) {
+// HTML에서 본문 텍스트만 추출 (Service Worker에는 DOMParser가 없음)
+function extractPageText(html) {
+  return html
+    .replace(/<(script|style|noscript|svg|template)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// 패키지 레지스트리 색인 (기본은 확장에 포함된 파일, 설정으로 전체 미러 파일 지정 가능)
+let registryIndexCache = null;
+
+async function loadRegistryIndex() {
+  if (registryIndexCache) {
+    return registryIndexCache;
+  }
+
+  const settings = await chrome.storage.local.get(["registryIndexUrl"]);
+  const indexUrl =
+    settings.registryIndexUrl || chrome.runtime.getURL("registry-index.json");
+
   try {
-    const encodedQuery = encodeURIComponent(query);
+    const response = await fetch(indexUrl);
+    const data = await response.json();
+    registryIndexCache = {
+      npm: new Set((data.npm || []).map(normalizePackageName)),
+      pypi: new Set((data.pypi || []).map(normalizePythonPackageName)),
+    };
+    console.log("[HallucinationLens Background] 레지스트리 색인 로드:", {
+      indexUrl,
+      npm: registryIndexCache.npm.size,
+      pypi: registryIndexCache.pypi.size,
+    });
+  } catch (error) {
+    console.error(
+      "[HallucinationLens Background] 레지스트리 색인 로드 실패:",
+      error
+    );
+    registryIndexCache = { npm: new Set(), pypi: new Set() };
+  }
+
+  return registryIndexCache;
+}
+
+// 색인 파일 설정이 바뀌면 다시 로드
+chrome.storage.onChanged.addListener((changes) => {
+  if (changes.registryIndexUrl) {
+    registryIndexCache = null;
+  }
+});
 
-    // 검색으로 관련 페이지 찾기
-    const searchUrl = `https://en.wikipedia.org/api/rest_v1/page/search/${encodedQuery}`;
-    const searchResponse = await fetch(searchUrl);
-    const searchData = await searchResponse.json();
+function normalizePackageName(name) {
+  return String(name).toLowerCase();
+}
 
-    if (!searchData.pages || searchData.pages.length === 0) {
-      return [];
+// PEP 503 규칙: 대소문자, "_", "." 차이는 같은 패키지
+function normalizePythonPackageName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[-_.]+/g, "-");
+}
+
+// 두 문자열의 편집 거리 (Levenshtein)
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
     }
+  }
+  return previous[b.length];
+}
 
-    const results = [];
-
-    // 상위 2개 결과에 대해 요약 정보 가져오기
-    for (let i = 0; i < Math.min(2, searchData.pages.length); i++) {
-      const page = searchData.pages[i];
-      try {
-        const summaryUrl = `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(
-          page.key
-        )}`;
-        const summaryResponse = await fetch(summaryUrl);
-        const summaryData = await summaryResponse.json();
-
-        if (summaryData.extract) {
-          results.push({
-            title: summaryData.title,
-            url:
-              summaryData.content_urls?.desktop?.page ||
-              `https://en.wikipedia.org/wiki/${page.key}`,
-            snippet: summaryData.extract,
-            isReliable: true,
-            source: "Wikipedia",
-          });
-        }
-      } catch (summaryError) {
-        console.warn(
-          "[HallucinationLens Background] Wikipedia 요약 실패:",
-          summaryError
-        );
-      }
+// 색인의 유명 패키지와 철자가 거의 같은 이름 찾기 (타이포스쿼팅 의심)
+// 세 글자 이하 이름은 우연히 비슷한 경우가 많아 검사하지 않음
+function findSimilarPackage(name, index) {
+  if (name.length <= 3) return null;
+
+  const compact = name.replace(/[-_.]/g, "");
+  const maxDistance = name.length <= 5 ? 1 : 2;
+
+  for (const known of index) {
+    if (Math.abs(known.length - name.length) > maxDistance) continue;
+    if (known.replace(/[-_.]/g, "") === compact) {
+      return { name: known, distance: 0 };
     }
+    const distance = editDistance(known, name);
+    if (distance <= maxDistance) {
+      return { name: known, distance };
+    }
+  }
+  return null;
+}
 
-    console.log("[HallucinationLens Background] Wikipedia 결과:", results);
-    return results;
+// 레지스트리에 패키지가 실제로 있는지 조회 (true/false, 조회 실패 시 null)
+async function lookupRegistry(ecosystem, name) {
+  const url =
+    ecosystem === "npm"
+      ? `https://registry.npmjs.org/${name.replace("/", "%2f")}`
+      : `https://pypi.org/pypi/${encodeURIComponent(name)}/json`;
+
+  try {
+    const response = await HallucinationLensScheduler.fetch("registry", url, {
+      method: "HEAD",
+    });
+    if (response.status === 404) return false;
+    return response.ok ? true : null;
   } catch (error) {
-    console.error("[HallucinationLens Background] Wikipedia 오류:", error);
-    return [];
+    console.warn("[HallucinationLens Background] 레지스트리 조회 실패:", error);
+    return null;
+  }
+}
+
+// 코드 블록에서 추출한 패키지 하나 검사
+async function checkPackage(pkg, index, onlineLookup) {
+  const name =
+    pkg.ecosystem === "pypi"
+      ? normalizePythonPackageName(pkg.name)
+      : normalizePackageName(pkg.name);
+  const ecosystemIndex = index[pkg.ecosystem] || new Set();
+
+  if (ecosystemIndex.has(name)) {
+    return { ...pkg, status: "known" };
+  }
+
+  const similar = findSimilarPackage(name, ecosystemIndex);
+  const exists = onlineLookup
+    ? await lookupRegistry(pkg.ecosystem, name)
+    : false;
+
+  // 레지스트리에 있는 패키지는 한 글자 차이일 때만 의심 (정상 패키지 오탐 방지)
+  if (similar && (exists !== true || similar.distance <= 1)) {
+    return {
+      ...pkg,
+      status: "suspicious",
+      similarTo: similar.name,
+      detail: `유명 패키지 "${similar.name}"와 이름이 비슷합니다${
+        exists === false ? " (레지스트리에도 없음)" : ""
+      }.`,
+    };
+  }
+
+  if (exists === true) {
+    return { ...pkg, status: "exists" };
+  }
+
+  if (exists === false) {
+    return {
+      ...pkg,
+      status: "unknown",
+      detail:
+        pkg.source === "import" && pkg.ecosystem === "pypi"
+          ? "PyPI에 없는 이름입니다. 프로젝트 내부 모듈일 수 있습니다."
+          : "레지스트리에 없는 패키지입니다.",
+    };
   }
+
+  return {
+    ...pkg,
+    status: "unchecked",
+    detail: "레지스트리를 조회할 수 없습니다.",
+  };
 }
 
 // Content Script에서 메시지 수신
@@ -144,19 +459,136 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       request.query
     );
 
-    performSearchRequest(request.query)
-      .then((results) => {
+    performSearchRequest(request.query, request.options)
+      .then(({ results, timedOut, judge, query, skipped }) => {
         console.log("[HallucinationLens Background] 검색 완료:", results);
-        sendResponse({ success: true, results: results });
+        sendResponse({
+          success: true,
+          results: results,
+          timedOut: timedOut,
+          judge: judge || null,
+          query: query || null,
+          skipped: Boolean(skipped),
+        });
       })
       .catch((error) => {
         console.error("[HallucinationLens Background] 검색 실패:", error);
-        sendResponse({ success: false, error: error.message, results: [] });
+        sendResponse({
+          success: false,
+          error: error.message,
+          results: [],
+          timedOut: [],
+        });
       });
 
     // 비동기 응답을 위해 true 반환
     return true;
   }
+
+  if (request.action === "testJudge") {
+    // 옵션 페이지의 LLM 판정 연결 확인 (저장 전 설정으로 예시 문장을 판정)
+    const { claim, results } = HallucinationLensJudge.TEST_CASE;
+    HallucinationLensJudge.judge(claim, results, request.settings)
+      .then((result) => {
+        sendResponse({ success: !result.error, result });
+      })
+      .catch((error) => {
+        sendResponse({ success: false, result: { error: error.message } });
+      });
+
+    // 비동기 응답을 위해 true 반환
+    return true;
+  }
+
+  if (request.action === "verifyCitations") {
+    console.log(
+      "[HallucinationLens Background] 출처 검증 메시지 수신:",
+      request.citations
+    );
+
+    Promise.all((request.citations || []).map(verifyCitation))
+      .then((citations) => {
+        console.log(
+          "[HallucinationLens Background] 출처 검증 완료:",
+          citations
+        );
+        sendResponse({ success: true, citations: citations });
+      })
+      .catch((error) => {
+        console.error("[HallucinationLens Background] 출처 검증 실패:", error);
+        sendResponse({ success: false, error: error.message, citations: [] });
+      });
+
+    return true;
+  }
+
+  if (request.action === "checkPackages") {
+    console.log(
+      "[HallucinationLens Background] 패키지 검사 메시지 수신:",
+      request.packages
+    );
+
+    Promise.all([
+      loadRegistryIndex(),
+      chrome.storage.local.get(["registryOnlineLookup"]),
+    ])
+      .then(([index, settings]) => {
+        // 전체 미러 파일을 쓰는 경우 온라인 조회를 끄고 색인만으로 판정
+        const onlineLookup = settings.registryOnlineLookup !== false;
+        return Promise.all(
+          (request.packages || []).map((pkg) =>
+            checkPackage(pkg, index, onlineLookup)
+          )
+        );
+      })
+      .then((packages) => {
+        console.log(
+          "[HallucinationLens Background] 패키지 검사 완료:",
+          packages
+        );
+        sendResponse({ success: true, packages: packages });
+      })
+      .catch((error) => {
+        console.error(
+          "[HallucinationLens Background] 패키지 검사 실패:",
+          error
+        );
+        sendResponse({ success: false, error: error.message, packages: [] });
+      });
+
+    return true;
+  }
+
+  if (request.action === "getCacheStats") {
+    HallucinationLensCache.getStats()
+      .then((stats) => sendResponse({ success: true, stats: stats }))
+      .catch((error) => {
+        console.error(
+          "[HallucinationLens Background] 캐시 통계 조회 실패:",
+          error
+        );
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true;
+  }
+
+  if (request.action === "clearCache") {
+    HallucinationLensCache.clear()
+      .then(() => {
+        console.log("[HallucinationLens Background] 검색 캐시 비움");
+        sendResponse({ success: true });
+      })
+      .catch((error) => {
+        console.error(
+          "[HallucinationLens Background] 캐시 비우기 실패:",
+          error
+        );
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true;
+  }
 });
 
 console.log("[HallucinationLens Background] Background script 로드됨");
@@ -0,0 +1,243 @@
+/**
+ * HallucinationLens - 검색 결과 캐시
+ * 정규화한 검색어와 제공자별로 결과를 IndexedDB에 보관하고(TTL 적용),
+ * 같은 요청이 동시에 들어오면 진행 중인 요청 하나를 함께 사용
+ * Background Script(importScripts)에서 사용
+ */
+
+class HallucinationLensCache {
+  static DB_NAME = "HallucinationLensCache";
+  static DB_VERSION = 1;
+
+  // 적중/미적중 횟수를 기록하는 meta 항목 (팝업에는 검색 통계만 표시)
+  static SEARCH_STATS = "stats";
+
+  // 진행 중인 요청 (캐시 키 -> Promise)
+  static inFlight = new Map();
+
+  static dbPromise = null;
+
+  /**
+   * IndexedDB 열기 (최초 호출 시 저장소 생성)
+   * @returns {Promise<IDBDatabase>} - 데이터베이스
+   */
+  static openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore("entries", { keyPath: "key" });
+          db.createObjectStore("meta", { keyPath: "key" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * IDBRequest를 Promise로 변환
+   * @param {IDBRequest} request - 요청
+   * @returns {Promise<*>} - 요청 결과
+   */
+  static promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 트랜잭션 완료를 Promise로 변환
+   * @param {IDBTransaction} transaction - 트랜잭션
+   * @returns {Promise<void>}
+   */
+  static complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 캐시에 저장할 결과인지 확인
+   * 빈 결과(찾지 못했거나 실패한 검색)와 일부 요청이 실패하거나 시간 초과된 결과(partial)는
+   * 저장하지 않아 "근거 없음"이나 빠진 근거가 유지 시간 내내 남지 않도록 함
+   * @param {Object[]} results - 검색 결과 배열 (runProvider가 정규화한 결과)
+   * @returns {boolean} - 저장 여부
+   */
+  static isCacheable(results) {
+    return Array.isArray(results) && results.length > 0 && !results.partial;
+  }
+
+  /**
+   * 검색어 정규화 (대소문자, 공백, 전각/반각 차이 제거)
+   * @param {string} text - 검색어
+   * @returns {string} - 정규화된 검색어
+   */
+  static normalize(text) {
+    return String(text || "")
+      .normalize("NFKC")
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * 캐시 키 생성
+   * @param {Object} provider - 검색 제공자 (cacheContext: 결과에 영향을 주는 context 키 목록)
+   * @param {string} query - 검색 쿼리
+   * @param {Object} context - 부가 정보
+   * @returns {string} - 캐시 키
+   */
+  static createKey(provider, query, context = {}) {
+    return [
+      provider.id,
+      this.normalize(query),
+      ...(provider.cacheContext || []).map((name) =>
+        this.normalize(context[name])
+      ),
+    ].join("|");
+  }
+
+  /**
+   * 캐시된 결과를 반환하거나, 없으면 검색 후 저장
+   * 같은 키의 요청이 진행 중이면 그 결과를 함께 기다림
+   * @param {string} key - 캐시 키
+   * @param {number} ttlMinutes - 유지 시간 (분, 0이면 캐시 사용 안 함)
+   * @param {Function} fetcher - async () => 결과 배열
+   * @param {string} statsKey - 적중/미적중을 기록할 meta 항목 (근거 페이지처럼 검색이 아닌 조회는 따로 기록)
+   * @returns {Promise<Object[]>} - 검색 결과 배열
+   */
+  static fetch(key, ttlMinutes, fetcher, statsKey = this.SEARCH_STATS) {
+    if (this.inFlight.has(key)) {
+      this.recordLookup(true, statsKey);
+      return this.inFlight.get(key);
+    }
+
+    // 캐시 조회부터 진행 중인 요청으로 등록해야 동시에 들어온 요청이 한 번만 검색함
+    const promise = (async () => {
+      const cached = ttlMinutes > 0 ? await this.get(key, ttlMinutes) : null;
+      if (cached) {
+        await this.recordLookup(true, statsKey);
+        return cached;
+      }
+
+      await this.recordLookup(false, statsKey);
+      const results = await fetcher();
+      if (ttlMinutes > 0 && this.isCacheable(results)) {
+        await this.put(key, results);
+      }
+      return results;
+    })();
+
+    const release = () => this.inFlight.delete(key);
+    this.inFlight.set(key, promise);
+    promise.then(release, release);
+
+    return promise;
+  }
+
+  /**
+   * 유효한 캐시 항목 조회
+   * @param {string} key - 캐시 키
+   * @param {number} ttlMinutes - 유지 시간 (분)
+   * @returns {Promise<Object[]|null>} - 캐시된 결과 (없거나 만료되면 null)
+   */
+  static async get(key, ttlMinutes) {
+    try {
+      const db = await this.openDatabase();
+      const entry = await this.promisify(
+        db.transaction("entries", "readonly").objectStore("entries").get(key)
+      );
+      if (!entry || Date.now() - entry.storedAt > ttlMinutes * 60 * 1000) {
+        return null;
+      }
+      return entry.results;
+    } catch (error) {
+      console.warn("[HallucinationLens] 검색 캐시 조회 실패:", error);
+      return null;
+    }
+  }
+
+  /**
+   * 캐시 항목 저장
+   * @param {string} key - 캐시 키
+   * @param {Object[]} results - 검색 결과 배열
+   */
+  static async put(key, results) {
+    try {
+      const db = await this.openDatabase();
+      await this.promisify(
+        db
+          .transaction("entries", "readwrite")
+          .objectStore("entries")
+          .put({ key, results, storedAt: Date.now() })
+      );
+    } catch (error) {
+      console.warn("[HallucinationLens] 검색 캐시 저장 실패:", error);
+    }
+  }
+
+  /**
+   * 적중/미적중 횟수 기록
+   * 읽기와 쓰기를 같은 readwrite 트랜잭션의 콜백 안에서 처리해
+   * 동시에 기록해도 횟수를 잃지 않음 (같은 저장소의 readwrite 트랜잭션은 차례로 실행됨)
+   * @param {boolean} hit - 적중 여부
+   * @param {string} statsKey - 기록할 meta 항목 (기본값: 검색 통계)
+   */
+  static async recordLookup(hit, statsKey = this.SEARCH_STATS) {
+    try {
+      const db = await this.openDatabase();
+      const transaction = db.transaction("meta", "readwrite");
+      const store = transaction.objectStore("meta");
+      const request = store.get(statsKey);
+      request.onsuccess = () => {
+        const stats = request.result || { key: statsKey, hits: 0, misses: 0 };
+        stats[hit ? "hits" : "misses"]++;
+        store.put(stats);
+      };
+      await this.complete(transaction);
+    } catch (error) {
+      console.warn("[HallucinationLens] 검색 캐시 통계 기록 실패:", error);
+    }
+  }
+
+  /**
+   * 캐시 통계 (팝업 표시용)
+   * @returns {Promise<Object>} - { hits, misses, entries }
+   */
+  static async getStats() {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(["entries", "meta"], "readonly");
+    const stats = await this.promisify(
+      transaction.objectStore("meta").get(this.SEARCH_STATS)
+    );
+    const entries = await this.promisify(
+      transaction.objectStore("entries").count()
+    );
+
+    return {
+      hits: stats ? stats.hits : 0,
+      misses: stats ? stats.misses : 0,
+      entries,
+    };
+  }
+
+  /**
+   * 캐시와 통계 비우기
+   */
+  static async clear() {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(["entries", "meta"], "readwrite");
+    transaction.objectStore("entries").clear();
+    transaction.objectStore("meta").clear();
+    await this.complete(transaction);
+  }
+}
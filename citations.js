@@ -0,0 +1,260 @@
+/**
+ * HallucinationLens - 답변 내 출처(링크, 인용) 수집
+ * 답변이 스스로 제시한 링크와 "~에 따르면" 형태의 출처를 모아 Background에서 검증
+ */
+
+class HallucinationLensCitations {
+  // 한 답변에서 검증할 최대 링크 수
+  static MAX_CITATIONS = 10;
+
+  // 본문에 그대로 적힌 URL
+  static INLINE_URL_PATTERN =
+    /\bhttps?:\/\/[^\s<>"'()[\]]+[^\s<>"'()[\].,;:!?]/g;
+
+  // 링크 없이 출처만 언급하는 표현
+  static SOURCE_MENTION_PATTERNS = [
+    /\baccording to (?:the )?([A-Z][\w&-]*(?: [A-Z][\w&-]*){0,4})/g,
+    /\b(?:as )?reported by (?:the )?([A-Z][\w&-]*(?: [A-Z][\w&-]*){0,4})/g,
+    /([가-힣A-Za-z0-9]+(?:\s[가-힣A-Za-z0-9]+)?)(?:의 발표|의 보고서|의 자료)?에 따르면/g,
+  ];
+
+  /**
+   * 응답 요소에서 출처 목록 수집
+   * @param {Element} element - 응답 요소
+   * @param {string} text - 코드 블록을 제외한 응답 텍스트
+   * @param {string} languageCode - 답변 언어 코드 (핵심어 추출용)
+   * @returns {Object[]} - 출처 배열 ({ kind, url, label, context, keyTerms })
+   */
+  static collect(element, text, languageCode) {
+    const citations = [];
+    const seenUrls = new Set();
+
+    const add = (citation) => {
+      if (citation.url) {
+        const key = citation.url.replace(/#.*$/, "").replace(/\/$/, "");
+        if (seenUrls.has(key)) return;
+        seenUrls.add(key);
+      }
+      citation.keyTerms = this.extractKeyTerms(citation.context, languageCode);
+      citations.push(citation);
+    };
+
+    // 1. 앵커 링크 (코드 블록 안의 링크는 제외)
+    element.querySelectorAll("a[href]").forEach((anchor) => {
+      if (anchor.closest("pre, code")) return;
+      const url = anchor.href;
+      if (!/^https?:\/\//.test(url)) return;
+
+      add({
+        kind: "anchor",
+        url,
+        label: anchor.textContent.trim() || url,
+        context: this.findContext(anchor),
+      });
+    });
+
+    // 2. 본문에 그대로 적힌 URL
+    for (const match of text.matchAll(this.INLINE_URL_PATTERN)) {
+      add({
+        kind: "inline",
+        url: match[0],
+        label: match[0],
+        context: this.sentenceAround(text, match.index),
+      });
+    }
+
+    // 3. 링크 없는 출처 언급 ("according to X", "X에 따르면")
+    this.SOURCE_MENTION_PATTERNS.forEach((pattern) => {
+      for (const match of text.matchAll(pattern)) {
+        add({
+          kind: "mention",
+          url: null,
+          label: match[1].trim(),
+          context: this.sentenceAround(text, match.index),
+        });
+      }
+    });
+
+    const limited = citations.slice(0, this.MAX_CITATIONS);
+    console.log("[HallucinationLens] 답변 내 출처 수집 결과:", limited);
+
+    return limited;
+  }
+
+  /**
+   * 링크가 포함된 문장(문맥) 찾기
+   * @param {Element} anchor - 링크 요소
+   * @returns {string} - 링크 주변 문장
+   */
+  static findContext(anchor) {
+    const block = anchor.closest("p, li, td, blockquote, div") || anchor;
+    const blockText = block.textContent || "";
+    const index = blockText.indexOf(anchor.textContent);
+    return this.sentenceAround(blockText, Math.max(index, 0));
+  }
+
+  /**
+   * 텍스트의 특정 위치를 포함하는 문장 반환
+   * @param {string} text - 전체 텍스트
+   * @param {number} index - 기준 위치
+   * @returns {string} - 해당 문장 (최대 300자)
+   */
+  static sentenceAround(text, index) {
+    const before = text.slice(0, index);
+    const start = Math.max(
+      before.lastIndexOf(". "),
+      before.lastIndexOf("\n"),
+      -1
+    );
+    const rest = text.slice(index);
+    const endMatch = rest.match(/[.!?。](\s|$)|\n/);
+    const end = endMatch ? index + endMatch.index + 1 : text.length;
+
+    const sentence = this.cleanContext(text.slice(start + 1, end));
+
+    // "자세한 내용은 링크 참고"처럼 링크 문장 자체가 짧으면 앞 문장을 인용 대상으로 봄
+    if (sentence.split(" ").length < 5 && start > 0) {
+      const previousStart = Math.max(
+        text.slice(0, start).lastIndexOf(". "),
+        text.slice(0, start).lastIndexOf("\n"),
+        -1
+      );
+      return this.cleanContext(text.slice(previousStart + 1, end));
+    }
+
+    return sentence;
+  }
+
+  /**
+   * 문맥 문자열에서 URL과 불필요한 공백 제거
+   * @param {string} context - 문맥 문자열
+   * @returns {string} - 정리된 문맥 (최대 300자)
+   */
+  static cleanContext(context) {
+    return context
+      .replace(this.INLINE_URL_PATTERN, " ")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, 300);
+  }
+
+  /**
+   * 출처 페이지에서 확인할 핵심어 추출 (핵심 구문 + 개체명/수치)
+   * @param {string} context - 출처가 인용된 문장
+   * @param {string} languageCode - 언어 코드
+   * @returns {string[]} - 핵심어 배열
+   */
+  static extractKeyTerms(context, languageCode) {
+    if (!context) return [];
+
+    // 출처 이름 자체("according to X")는 출처 페이지에 당연히 있으므로 제외
+    const claimText = this.SOURCE_MENTION_PATTERNS.reduce(
+      (current, pattern) => current.replace(pattern, " "),
+      context
+    );
+
+    const phrases = HallucinationLensUtils.extractKeyphrases(
+      claimText,
+      4,
+      languageCode
+    );
+    const facts = HallucinationLensFacts.extract(claimText).map((fact) =>
+      String(fact.type === "year" ? fact.value : fact.text)
+    );
+
+    // 대소문자만 다르거나 다른 핵심어에 포함되는 항목은 제거
+    const terms = [];
+    [...facts, ...phrases].forEach((term) => {
+      const lowerTerm = term.toLowerCase();
+      if (
+        !terms.some(
+          (kept) =>
+            kept.toLowerCase().includes(lowerTerm) ||
+            lowerTerm.includes(kept.toLowerCase())
+        )
+      ) {
+        terms.push(term);
+      }
+    });
+
+    return terms.slice(0, 6);
+  }
+
+  /**
+   * Background Script에 출처 검증 요청
+   * @param {Object[]} citations - 수집된 출처 배열
+   * @returns {Promise<Object[]>} - status가 채워진 출처 배열
+   */
+  static async verifyViaBackground(citations) {
+    const linked = citations.filter((citation) => citation.url);
+    if (linked.length === 0) {
+      return citations.map((citation) => ({
+        ...citation,
+        status: "no-link",
+      }));
+    }
+
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage(
+          { action: "verifyCitations", citations: linked },
+          (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+              console.warn(
+                "[HallucinationLens] 출처 검증 실패:",
+                chrome.runtime.lastError || response
+              );
+              resolve(
+                citations.map((citation) => ({
+                  ...citation,
+                  status: citation.url ? "unchecked" : "no-link",
+                }))
+              );
+              return;
+            }
+
+            const byUrl = new Map(
+              response.citations.map((citation) => [citation.url, citation])
+            );
+            resolve(
+              citations.map((citation) =>
+                citation.url
+                  ? byUrl.get(citation.url) || {
+                      ...citation,
+                      status: "unchecked",
+                    }
+                  : { ...citation, status: "no-link" }
+              )
+            );
+          }
+        );
+      } catch (error) {
+        console.error("[HallucinationLens] 출처 검증 메시지 전송 오류:", error);
+        resolve(
+          citations.map((citation) => ({ ...citation, status: "unchecked" }))
+        );
+      }
+    });
+  }
+
+  /**
+   * 출처 검증 상태의 표시 정보
+   * @param {string} status - 검증 상태
+   * @returns {Object} - { label, color }
+   */
+  static getStatusInfo(status) {
+    const statuses = {
+      supported: { label: "내용 확인됨", color: "#51cf66" },
+      dead: { label: "죽은 링크", color: "#ff6b6b" },
+      unrelated: { label: "출처에 해당 내용 없음", color: "#ff922b" },
+      unchecked: { label: "확인 불가", color: "#adb5bd" },
+      "no-link": { label: "링크 없는 출처", color: "#adb5bd" },
+    };
+    return statuses[status] || statuses.unchecked;
+  }
+}
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensCitations = HallucinationLensCitations;
+}
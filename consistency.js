@@ -0,0 +1,501 @@
+/**
+ * HallucinationLens - 답변 내부 일관성 검사
+ * 같은 대상(개체)의 같은 속성을 서로 다른 수치, 날짜, 이름으로 서술한 문장 쌍을 찾음
+ * 네트워크 요청 없이 추출된 텍스트만으로 동작
+ */
+
+class HallucinationLensConsistency {
+  // 한 답변에서 표시할 최대 모순 수
+  static MAX_CONTRADICTIONS = 5;
+
+  // 같은 단위로 보는 수치의 허용 오차 (반올림 표현 차이)
+  static NUMERIC_TOLERANCE = 0.05;
+
+  // 속성 단서로 쓰기에는 너무 일반적인 단어
+  static GENERIC_CUES = new Set([
+    "year",
+    "time",
+    "total",
+    "number",
+    "around",
+    "approximately",
+    "about",
+    "over",
+    "more",
+    "less",
+    "only",
+    "then",
+    "now",
+    "년",
+    "약",
+    "총",
+    "당시",
+    "현재",
+  ]);
+
+  // 사건을 나타내는 단서의 어간 (설립, 출시 등의 날짜만 서로 비교)
+  static EVENT_CUES = [
+    "found",
+    "establish",
+    "creat",
+    "releas",
+    "launch",
+    "born",
+    "die",
+    "complet",
+    "open",
+    "built",
+    "build",
+    "invent",
+    "publish",
+    "introduc",
+    "start",
+    "began",
+    "merg",
+    "acquir",
+    "elect",
+    "설립",
+    "창립",
+    "창업",
+    "출시",
+    "발표",
+    "완공",
+    "개통",
+    "출생",
+    "태어",
+    "사망",
+    "개장",
+    "건립",
+    "출범",
+    "발명",
+    "출간",
+    "개봉",
+    "인수",
+    "합병",
+    "선출",
+  ];
+
+  // 같은 사건이라도 구분해야 하는 순서 표현 ("first released" vs "released")
+  static ORDINAL_CUES = new Set([
+    "first",
+    "initial",
+    "original",
+    "latest",
+    "last",
+    "recent",
+    "처음",
+    "최초",
+    "최신",
+  ]);
+
+  // 이름으로 값을 갖는 단일 값 역할 속성 (공동 설립자처럼 여러 명일 수 있는 역할은 제외)
+  static ROLE_PATTERNS = [
+    { role: "ceo", pattern: /\bCEO\b|\bchief executive\b/i },
+    { role: "president", pattern: /\bpresident\b/i },
+    { role: "capital", pattern: /\bcapital\b/i },
+    { role: "director", pattern: /\bdirected by\b|\bdirector\b/i },
+    { role: "inventor", pattern: /\binvented by\b|\binventor\b/i },
+    { role: "ceo", pattern: /(최고경영자|대표이사)/ },
+    { role: "president", pattern: /대통령/ },
+    { role: "capital", pattern: /수도/ },
+    { role: "director", pattern: /감독/ },
+    { role: "inventor", pattern: /발명가/ },
+  ];
+
+  // 역할 속성의 표시 이름
+  static ROLE_LABELS = {
+    ceo: "CEO",
+    president: "대통령/회장",
+    capital: "수도",
+    director: "감독",
+    inventor: "발명가",
+  };
+
+  // 사건 단어와 목적어 사이에서 건너뛰는 한정사 ("released the iPhone")
+  static DETERMINERS = new Set([
+    "the",
+    "a",
+    "an",
+    "its",
+    "their",
+    "his",
+    "her",
+    "our",
+    "new",
+  ]);
+
+  static NAME_TYPES = new Set([
+    "person",
+    "organization",
+    "place",
+    "product",
+    "entity",
+  ]);
+
+  /**
+   * 두 서술 목록 사이의 모순 찾기
+   * 같은 목록을 넘기면 한 답변 안의 모순을, 다른 목록을 넘기면 이전 답변과의 모순을 찾음
+   * @param {Object[]} earlier - 먼저 나온 서술 배열 (모순의 first)
+   * @param {Object[]} later - 나중에 나온 서술 배열 (모순의 second)
+   * @returns {Object[]} - 모순 배열 (최대 MAX_CONTRADICTIONS개)
+   */
+  static compareStatements(earlier, later) {
+    const contradictions = [];
+    const seen = new Set();
+    const sameList = earlier === later;
+
+    for (let i = 0; i < earlier.length; i++) {
+      for (let j = sameList ? i + 1 : 0; j < later.length; j++) {
+        const a = earlier[i];
+        const b = later[j];
+        if (a.sentence === b.sentence || a.key !== b.key) continue;
+        if (!this.sharesCue(a, b) || this.isSameValue(a, b)) continue;
+
+        const pairKey = `${a.key}|${a.display}|${b.display}`;
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+
+        contradictions.push({
+          subject: a.subject,
+          attribute: a.attribute || this.describeCue(a, this.sharedCues(a, b)),
+          kind: a.kind,
+          first: { sentence: a.sentence, value: a.display },
+          second: { sentence: b.sentence, value: b.display },
+        });
+      }
+    }
+
+    return contradictions.slice(0, this.MAX_CONTRADICTIONS);
+  }
+
+  /**
+   * 문장마다 (대상, 속성, 값) 형태의 서술을 수집
+   * 개체명이 없는 문장("The company ...")은 앞 문장의 대상을 이어 받음
+   * @param {string} text - 답변 텍스트
+   * @param {string} languageCode - 답변 언어 코드
+   * @returns {Object[]} - 서술 배열
+   */
+  static collectStatements(text, languageCode) {
+    const statements = [];
+    let subject = null;
+
+    HallucinationLensUtils.segmentClaims(text).forEach((claim) => {
+      const sentence = claim.text;
+      const facts = HallucinationLensFacts.extract(sentence);
+      // "CEO of Microsoft"처럼 역할 단어가 붙은 개체명은 대상 이름만 남김
+      const names = facts
+        .filter((fact) => this.NAME_TYPES.has(fact.type))
+        .map((fact) => ({ ...fact, text: this.stripRoleWords(fact.text) }))
+        .filter((fact) => fact.text);
+
+      subject =
+        this.withVersion(sentence, names[0]) ||
+        this.findKoreanTopic(sentence) ||
+        subject;
+      if (!subject) return;
+
+      const nameWords = new Set(
+        [subject, ...names.map((fact) => fact.text)].flatMap((name) =>
+          name
+            .toLowerCase()
+            .split(/\s+/)
+            .map((word) => HallucinationLensKorean.normalizeWord(word))
+        )
+      );
+      const numericFacts = facts
+        .filter((fact) => HallucinationLensFacts.isNumeric(fact))
+        .map((fact) => ({
+          fact,
+          isTime: fact.type === "year" || fact.type === "date",
+          cues: this.findCues(sentence, fact, nameWords, languageCode),
+        }));
+
+      // 사건 단서가 없는 연도는 "2023년 인구"처럼 수치의 기준 시점으로 봄
+      const timeQualifiers = numericFacts
+        .filter((entry) => entry.isTime && !this.isEventCue(entry.cues))
+        .map((entry) => String(entry.fact.value));
+
+      // 1. 수치/날짜 서술
+      numericFacts.forEach(({ fact, isTime, cues }) => {
+        if (isTime && !this.isEventCue(cues)) return;
+
+        const ordinals = [...cues].filter((cue) => this.ORDINAL_CUES.has(cue));
+        // 같은 대상의 다른 사건("iPhone 출시"와 "iPad 출시")은 목적어로 구분
+        const object = isTime
+          ? this.findEventObject(sentence, cues, subject, languageCode)
+          : null;
+        statements.push({
+          sentence,
+          subject,
+          kind: isTime ? "time" : "number",
+          key: [
+            subject.toLowerCase(),
+            isTime ? "time" : `${fact.type}:${this.normalizeUnit(fact.unit)}`,
+            ...(isTime ? [] : timeQualifiers),
+            ...(object ? [`object:${object}`] : []),
+            ...ordinals.sort(),
+          ].join("|"),
+          value: fact.value,
+          display: fact.text,
+          cues,
+        });
+      });
+
+      // 2. 이름 서술 (설립자, 수도 등)
+      this.ROLE_PATTERNS.forEach(({ role, pattern }) => {
+        const match = sentence.match(pattern);
+        if (!match) return;
+
+        const candidates = names.filter((fact) => fact.text !== subject);
+        if (candidates.length === 0) return;
+
+        // 역할 단어에 가장 가까운 이름을 값으로 사용
+        const value = candidates.reduce((nearest, fact) =>
+          Math.abs(fact.index - match.index) <
+          Math.abs(nearest.index - match.index)
+            ? fact
+            : nearest
+        );
+
+        statements.push({
+          sentence,
+          subject,
+          kind: "name",
+          key: `${subject.toLowerCase()}|role:${role}`,
+          attribute: this.ROLE_LABELS[role],
+          value: value.text,
+          display: value.text,
+          cues: null,
+        });
+      });
+    });
+
+    return statements;
+  }
+
+  /**
+   * 개체명에서 역할 단어 제거 ("Microsoft's CEO" -> "Microsoft")
+   * @param {string} name - 개체명
+   * @returns {string} - 역할 단어가 제거된 이름
+   */
+  static stripRoleWords(name) {
+    return this.ROLE_PATTERNS.reduce(
+      (current, { pattern }) => current.replace(pattern, " "),
+      name
+    )
+      .replace(/^\s*of\s+|['’]s\b/gi, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * 개체명 뒤에 붙은 버전 번호까지 대상으로 사용 ("Python 3.0")
+   * @param {string} sentence - 문장
+   * @param {Object} name - 개체명 사실
+   * @returns {string|null} - 대상 이름
+   */
+  static withVersion(sentence, name) {
+    if (!name) return null;
+    const rest = sentence.slice(name.index + name.text.length);
+    const version = rest.match(/^\s+(v?\d+(?:\.\d+)+|v\d+)\b/i);
+    return version ? `${name.text} ${version[1]}` : name.text;
+  }
+
+  /**
+   * 사건의 목적어 찾기 ("released the iPhone" -> iphone, "아이폰을 출시" -> 아이폰)
+   * 사건 단어 바로 뒤에 전치사가 오는 수동태("was founded in")는 목적어 없음
+   * @param {string} sentence - 문장
+   * @param {Set<string>} cues - 수치 주변의 단서 단어 집합
+   * @param {string} subject - 서술의 대상
+   * @param {string} languageCode - 언어 코드
+   * @returns {string|null} - 소문자 목적어 (없으면 null)
+   */
+  static findEventObject(sentence, cues, subject, languageCode) {
+    const subjectWords = new Set(subject.toLowerCase().split(/\s+/));
+
+    const korean = sentence.match(/([가-힣A-Za-z0-9]+)(?:을|를)(?=\s|$)/);
+    if (korean) {
+      const object = korean[1].toLowerCase();
+      return subjectWords.has(object) ? null : object;
+    }
+
+    const pack = HallucinationLensLanguage.getPack(languageCode);
+    const tokens = HallucinationLensLanguage.tokenizeWords(
+      sentence.toLowerCase()
+    );
+    const eventIndex = tokens.findIndex((token) => {
+      const word = this.stem(token);
+      return cues.has(word) && this.isEventCue(new Set([word]));
+    });
+    if (eventIndex < 0) return null;
+
+    const object = tokens
+      .slice(eventIndex + 1)
+      .find((token) => !this.DETERMINERS.has(token));
+    if (
+      !object ||
+      /\d/.test(object) ||
+      pack.stopWords.has(object) ||
+      subjectWords.has(object)
+    ) {
+      return null;
+    }
+    return this.stem(object);
+  }
+
+  /**
+   * 단서 중에 사건(설립, 출시 등)을 나타내는 단어가 있는지 확인
+   * @param {Set<string>} cues - 단서 단어 집합
+   * @returns {boolean} - 사건 단서가 있으면 true
+   */
+  static isEventCue(cues) {
+    return [...cues].some((cue) =>
+      this.EVENT_CUES.some((event) => cue.startsWith(event))
+    );
+  }
+
+  /**
+   * 한국어 문장의 주제어 찾기 ("애플은 ..." -> "애플")
+   * @param {string} sentence - 문장
+   * @returns {string|null} - 주제어
+   */
+  static findKoreanTopic(sentence) {
+    const match = sentence.match(/^\s*([가-힣A-Za-z0-9]{2,})(은|는)\s/);
+    if (!match) return null;
+
+    const topic = match[1];
+    // 지시어로 시작하면 앞 문장의 대상을 이어 받음
+    return /^(이|그|저|이것|그것|이곳|그곳|해당)/.test(topic) ? null : topic;
+  }
+
+  /**
+   * 수치 주변에서 속성을 나타내는 단서 단어 찾기 ("founded in 1998" -> found)
+   * @param {string} sentence - 문장
+   * @param {Object} fact - 수치 사실
+   * @param {Set<string>} nameWords - 개체명에 속한 단어 (단서에서 제외)
+   * @param {string} languageCode - 언어 코드
+   * @returns {Set<string>} - 단서 단어 집합
+   */
+  static findCues(sentence, fact, nameWords, languageCode) {
+    const pack = HallucinationLensLanguage.getPack(languageCode);
+    const end = fact.index + fact.text.length;
+    const before = HallucinationLensLanguage.tokenizeWords(
+      sentence.slice(Math.max(0, fact.index - 40), fact.index).toLowerCase()
+    ).slice(-4);
+    const after = HallucinationLensLanguage.tokenizeWords(
+      sentence.slice(end, end + 30).toLowerCase()
+    ).slice(0, 3);
+
+    const cues = new Set();
+    [...before, ...after].forEach((token) => {
+      const word = this.stem(token);
+      if (
+        word.length >= 2 &&
+        !/\d/.test(word) &&
+        !pack.stopWords.has(token) &&
+        !pack.stopWords.has(word) &&
+        !nameWords.has(word) &&
+        !this.GENERIC_CUES.has(word)
+      ) {
+        cues.add(word);
+      }
+    });
+
+    return cues;
+  }
+
+  /**
+   * 속성 비교용 어간 추출 (영어 어미, 한국어 조사/어미 제거)
+   * @param {string} token - 소문자 토큰
+   * @returns {string} - 어간
+   */
+  static stem(token) {
+    if (/[가-힣]/.test(token)) {
+      return HallucinationLensKorean.normalizeWord(token);
+    }
+    return token.length >= 5 ? token.replace(/(ing|ed|es|s)$/, "") : token;
+  }
+
+  /**
+   * 단위 표기 통일 (employees -> employee)
+   * @param {string|null} unit - 단위
+   * @returns {string} - 정규화된 단위
+   */
+  static normalizeUnit(unit) {
+    if (!unit) return "";
+    return String(unit).toLowerCase().replace(/s$/, "");
+  }
+
+  /**
+   * 두 서술이 같은 속성을 말하는지 확인 (이름 서술은 역할이 같으면 같은 속성)
+   * @param {Object} a - 서술
+   * @param {Object} b - 서술
+   * @returns {boolean} - 공통 단서가 있으면 true
+   */
+  static sharesCue(a, b) {
+    if (a.kind === "name") return true;
+    return this.sharedCues(a, b).length > 0;
+  }
+
+  /**
+   * 두 서술의 공통 단서 단어
+   * @param {Object} a - 서술
+   * @param {Object} b - 서술
+   * @returns {string[]} - 공통 단서 배열
+   */
+  static sharedCues(a, b) {
+    if (!a.cues || !b.cues) return [];
+    return [...a.cues].filter((cue) => b.cues.has(cue));
+  }
+
+  /**
+   * 공통 단서를 문장에 실제로 쓰인 단어로 표시 ("complet" -> "completed")
+   * @param {Object} statement - 서술
+   * @param {string[]} cues - 공통 단서 배열
+   * @returns {string} - 표시용 속성 이름
+   */
+  static describeCue(statement, cues) {
+    const cue = cues[0];
+    if (!cue) return statement.kind;
+    // 한국어는 조사/어미를 뗀 어간이 더 읽기 쉬움
+    if (/[가-힣]/.test(cue)) return cue;
+
+    const word = HallucinationLensLanguage.tokenizeWords(
+      statement.sentence
+    ).find((token) => token.toLowerCase().startsWith(cue));
+    return word || cue;
+  }
+
+  /**
+   * 두 서술의 값이 같은지 확인 (수치는 허용 오차, 날짜는 앞부분 일치 허용)
+   * @param {Object} a - 서술
+   * @param {Object} b - 서술
+   * @returns {boolean} - 같은 값이면 true
+   */
+  static isSameValue(a, b) {
+    if (a.kind === "time") {
+      const first = String(a.value);
+      const second = String(b.value);
+      return first.startsWith(second) || second.startsWith(first);
+    }
+
+    if (a.kind === "number") {
+      const larger = Math.max(Math.abs(a.value), Math.abs(b.value));
+      return (
+        larger === 0 ||
+        Math.abs(a.value - b.value) / larger <= this.NUMERIC_TOLERANCE
+      );
+    }
+
+    const normalize = (name) => name.toLowerCase().replace(/\s+/g, " ");
+    const first = normalize(a.value);
+    const second = normalize(b.value);
+    // "Jobs"와 "Steve Jobs"처럼 한쪽이 다른 쪽의 일부이면 같은 이름으로 봄
+    return first.includes(second) || second.includes(first);
+  }
+}
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensConsistency = HallucinationLensConsistency;
+}
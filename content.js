@@ -4,10 +4,28 @@
  */
 
 class HallucinationLensContent {
+  // 답변 하나에서 개별 검색으로 검증할 최대 문장 수
+  static MAX_VERIFIED_CLAIMS = 8;
+
+  // 함의 판정 결과 표시 이름 (entailment.js의 LABELS와 같음)
+  static ENTAILMENT_LABELS = {
+    supports: "뒷받침",
+    refutes: "반박",
+    "not-enough-info": "근거 부족",
+  };
+
   constructor() {
     this.platform = HallucinationLensUtils.detectAIPlatform();
     this.processedElements = new WeakSet();
+    // 대화별 사실 기억 (처리한 답변마다 서술 목록을 저장해 이전 답변과 비교)
+    this.conversationMemory = {
+      key: window.location.pathname,
+      turns: [],
+      lastTurnId: 0,
+    };
     this.isEnabled = true;
+    // 신뢰도 표시 방식 ("score": 0~100점과 요인별 구성, "band": 높음/보통/낮음)
+    this.scoreDisplay = "score";
     this.observer = null;
 
     // 디바운스된 처리 함수
@@ -34,6 +52,14 @@ class HallucinationLensContent {
 
     // 설정 불러오기
     this.isEnabled = await HallucinationLensUtils.loadSetting("enabled", true);
+    this.scoreDisplay = await HallucinationLensUtils.loadSetting(
+      "scoreDisplay",
+      "score"
+    );
+    HallucinationLensUtils.rules = await HallucinationLensRules.loadRules();
+    HallucinationLensRules.watch((rules) => {
+      HallucinationLensUtils.rules = rules;
+    });
 
     if (!this.isEnabled) {
       console.log(
@@ -462,8 +488,13 @@ class HallucinationLensContent {
       console.log("응답 텍스트 처리 중...", text.substring(0, 100) + "...");
       console.log("전체 텍스트 길이:", text.length);
 
-      // 키워드 추출
-      const keywords = HallucinationLensUtils.extractKeywords(text);
+      // 답변 언어 감지 후 해당 언어 팩으로 핵심 구문(키워드) 추출
+      const language = HallucinationLensLanguage.detect(text);
+      const keywords = HallucinationLensUtils.extractKeyphrases(
+        text,
+        5,
+        language.code
+      );
       console.log("키워드 추출 결과:", keywords);
 
       if (keywords.length === 0) {
@@ -476,15 +507,86 @@ class HallucinationLensContent {
 
       console.log("추출된 키워드:", keywords);
 
-      // 검색 실행
-      const searchResults = await HallucinationLensUtils.searchDuckDuckGo(
-        keywords
+      // 개체명, 날짜, 수치 등 유형별 사실 추출
+      const facts = HallucinationLensFacts.extract(text);
+
+      // 네트워크 요청 전에 답변 안, 그리고 이전 답변과 모순되는 서술 확인
+      const statements = HallucinationLensConsistency.collectStatements(
+        text,
+        language.code
+      );
+      const contradictions = HallucinationLensConsistency.compareStatements(
+        statements,
+        statements
+      );
+      const conversationConflicts = this.recordConversationTurn(
+        element,
+        statements
       );
 
-      // 신뢰도 계산
-      const trustInfo = HallucinationLensUtils.calculateTrustScore(
-        searchResults,
-        keywords
+      // 문장(주장) 단위 분리 및 개별 검증
+      const claims = HallucinationLensUtils.segmentClaims(text);
+      const hedging = HallucinationLensHedging.analyzeClaims(claims);
+
+      // 답변이 제시한 링크/출처는 문장 검증과 병렬로 확인
+      const citationsPromise = HallucinationLensCitations.verifyViaBackground(
+        HallucinationLensCitations.collect(element, text, language.code)
+      );
+      // 코드 블록의 import/설치 명령에 나온 패키지가 실제로 있는지 확인
+      const packagesPromise = HallucinationLensPackages.checkViaBackground(
+        HallucinationLensPackages.collect(element)
+      );
+      await this.verifyClaims(claims, language, contradictions);
+      const citations = await citationsPromise;
+      const packages = await packagesPromise;
+
+      // 검색 근거 없이 단정적으로 서술된 문장 표시
+      const unsupported =
+        HallucinationLensHedging.findUnsupportedAssertions(claims);
+      unsupported.forEach((claim) => {
+        claim.verdict = HallucinationLensUtils.applyCertaintySignal(
+          claim.verdict,
+          null,
+          [claim]
+        );
+      });
+
+      // 문장별 검증 결과를 종합, 검증된 문장이 없으면 답변 전체 키워드로 검증
+      let searchResults = this.collectClaimResults(claims);
+      let trustInfo = HallucinationLensUtils.aggregateClaimVerdicts(
+        claims,
+        contradictions
+      );
+
+      if (!trustInfo) {
+        searchResults = await HallucinationLensUtils.searchDuckDuckGo(
+          keywords,
+          facts,
+          { language: language.code }
+        );
+        trustInfo =
+          searchResults.length === 0 &&
+          searchResults.timedOut &&
+          searchResults.timedOut.length > 0
+            ? HallucinationLensUtils.createTimeoutTrustInfo(
+                searchResults.timedOut
+              )
+            : HallucinationLensUtils.calculateTrustScore(
+                searchResults,
+                keywords,
+                facts,
+                contradictions
+              );
+      }
+      const timedOut = this.collectTimedOutSources(claims, searchResults);
+      // 키워드만으로 추정한 신호는 근거가 아니므로 신뢰도와 따로 표시
+      const heuristics =
+        HallucinationLensUtils.assessKeywordHeuristics(keywords);
+
+      trustInfo = HallucinationLensUtils.applyCertaintySignal(
+        trustInfo,
+        hedging,
+        unsupported
       );
 
       // 오버레이 생성
@@ -492,9 +594,31 @@ class HallucinationLensContent {
         trustInfo,
         searchResults,
         keywords,
+        claims,
+        facts,
+        language,
+        hedging,
+        citations,
+        packages,
+        contradictions,
+        conversationConflicts,
+        timedOut,
+        heuristics,
       });
 
-      this.createOverlay(element, trustInfo, searchResults, keywords);
+      this.createOverlay(element, trustInfo, searchResults, keywords, {
+        claims,
+        facts,
+        language,
+        hedging,
+        unsupported,
+        citations,
+        packages,
+        contradictions,
+        conversationConflicts,
+        timedOut,
+        heuristics,
+      });
 
       console.log("[HallucinationLens] 오버레이 생성 완료");
     } catch (error) {
@@ -502,6 +626,201 @@ class HallucinationLensContent {
     }
   }
 
+  /**
+   * 검증 대상 주장을 하나씩 검색하여 문장별 판정을 기록
+   * 한 답변이 과도한 검색 요청을 만들지 않도록 최대 MAX_VERIFIED_CLAIMS개까지만 검증
+   * @param {Object[]} claims - segmentClaims로 분리된 주장 배열
+   * @param {Object} language - 답변 전체에서 감지된 언어
+   * @param {Object[]} contradictions - 답변 내부 모순 (해당 문장의 판정에 반영)
+   * @returns {Promise<Object[]>} - verdict, keywords, results가 채워진 주장 배열
+   *   (검색 소스가 모두 시간 초과되면 verdict 대신 timedOut에 제공자 이름을 기록)
+   */
+  async verifyClaims(claims, language, contradictions = []) {
+    const checkableClaims = claims
+      .filter((claim) => claim.checkable)
+      .slice(0, HallucinationLensContent.MAX_VERIFIED_CLAIMS);
+
+    for (const claim of checkableClaims) {
+      try {
+        claim.keywords = HallucinationLensUtils.extractKeyphrases(
+          claim.text,
+          3,
+          language.code
+        );
+        if (claim.keywords.length === 0) {
+          continue;
+        }
+
+        claim.facts = HallucinationLensFacts.extract(claim.text);
+        claim.results = await HallucinationLensUtils.searchDuckDuckGo(
+          claim.keywords,
+          claim.facts,
+          { text: claim.text, language: language.code }
+        );
+        if (claim.results.length === 0 && claim.results.timedOut.length > 0) {
+          claim.timedOut = claim.results.timedOut;
+          continue;
+        }
+        claim.verdict = HallucinationLensUtils.applyJudgeVerdict(
+          HallucinationLensUtils.calculateTrustScore(
+            claim.results,
+            claim.keywords,
+            claim.facts,
+            contradictions.filter(
+              (contradiction) =>
+                contradiction.first.sentence === claim.text ||
+                contradiction.second.sentence === claim.text
+            )
+          ),
+          claim.results.judge
+        );
+      } catch (error) {
+        console.error("[HallucinationLens] 문장 검증 오류:", claim.text, error);
+      }
+    }
+
+    return claims;
+  }
+
+  /**
+   * 문장별 검색 결과를 중복 없이 하나의 목록으로 합침
+   * @param {Object[]} claims - 검증이 끝난 주장 배열
+   * @returns {Object[]} - 검색 결과 배열
+   */
+  collectClaimResults(claims) {
+    const seenUrls = new Set();
+    const results = [];
+
+    claims.forEach((claim) => {
+      (claim.results || []).forEach((result) => {
+        const key = result.url !== "#" ? result.url : result.title;
+        if (!seenUrls.has(key)) {
+          seenUrls.add(key);
+          results.push(result);
+        }
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   * 문장별 검색과 답변 전체 검색에서 시간 초과된 제공자 이름을 중복 없이 모음
+   * @param {Object[]} claims - 검증이 끝난 주장 배열
+   * @param {Object[]} searchResults - 답변 전체 검색 결과 (timedOut 포함)
+   * @returns {string[]} - 시간 초과된 제공자 이름 배열
+   */
+  collectTimedOutSources(claims, searchResults) {
+    const sources = new Set();
+
+    claims.forEach((claim) => {
+      ((claim.results && claim.results.timedOut) || []).forEach((name) =>
+        sources.add(name)
+      );
+    });
+    ((searchResults && searchResults.timedOut) || []).forEach((name) =>
+      sources.add(name)
+    );
+
+    return [...sources];
+  }
+
+  /**
+   * 대화 기억에 답변을 추가하고, 앞선 답변과 모순되는 서술 찾기
+   * 페이지 경로가 바뀌면(다른 대화로 이동) 기억을 비움
+   * @param {Element} element - 응답 요소
+   * @param {Object[]} statements - HallucinationLensConsistency.collectStatements 결과
+   * @returns {Object[]} - 이전 답변과의 모순 배열 (first에 turnId, turnNumber 포함)
+   */
+  recordConversationTurn(element, statements) {
+    const key = window.location.pathname;
+    if (this.conversationMemory.key !== key) {
+      this.conversationMemory = { key, turns: [], lastTurnId: 0 };
+    }
+
+    // 다시 그려져 문서에서 사라진 답변은 기억에서 제외
+    const turns = this.conversationMemory.turns.filter(
+      (turn) => turn.element.isConnected
+    );
+
+    // 같은 답변을 가리키는 중첩 요소는 비교하지 않고, 문서상 앞선 답변만 비교
+    const earlierTurns = turns.filter(
+      (turn) =>
+        !turn.element.contains(element) &&
+        !element.contains(turn.element) &&
+        turn.element.compareDocumentPosition(element) &
+          Node.DOCUMENT_POSITION_FOLLOWING
+    );
+
+    const conflicts = [];
+    const seen = new Set();
+    earlierTurns.forEach((turn) => {
+      const turnNumber = this.getTurnNumber(turn, turns);
+      HallucinationLensConsistency.compareStatements(
+        turn.statements,
+        statements
+      ).forEach((conflict) => {
+        const conflictKey = `${conflict.first.sentence}|${conflict.second.sentence}`;
+        if (seen.has(conflictKey)) return;
+        seen.add(conflictKey);
+        conflicts.push({
+          ...conflict,
+          first: { ...conflict.first, turnId: turn.id, turnNumber },
+        });
+      });
+    });
+
+    this.conversationMemory.lastTurnId++;
+    turns.push({
+      id: this.conversationMemory.lastTurnId,
+      element,
+      statements,
+    });
+    this.conversationMemory.turns = turns;
+
+    console.log("[HallucinationLens] 이전 답변과의 모순 검사 결과:", conflicts);
+
+    return conflicts.slice(0, HallucinationLensConsistency.MAX_CONTRADICTIONS);
+  }
+
+  /**
+   * 대화 안에서 답변의 순서 (문서 순서 기준, 1부터 시작)
+   * @param {Object} turn - 대화 기억의 답변
+   * @param {Object[]} turns - 대화 기억의 전체 답변
+   * @returns {number} - 답변 순서
+   */
+  getTurnNumber(turn, turns) {
+    const preceding = turns.filter(
+      (other) =>
+        other !== turn &&
+        !other.element.contains(turn.element) &&
+        !turn.element.contains(other.element) &&
+        other.element.compareDocumentPosition(turn.element) &
+          Node.DOCUMENT_POSITION_FOLLOWING
+    );
+    return preceding.length + 1;
+  }
+
+  /**
+   * 대화 기억의 이전 답변으로 스크롤하고 잠시 강조 표시
+   * @param {number} turnId - 답변 ID
+   */
+  scrollToTurn(turnId) {
+    const turn = this.conversationMemory.turns.find(
+      (candidate) => candidate.id === turnId
+    );
+    if (!turn || !turn.element.isConnected) {
+      console.warn("[HallucinationLens] 이전 답변을 찾을 수 없습니다:", turnId);
+      return;
+    }
+
+    turn.element.scrollIntoView({ behavior: "smooth", block: "center" });
+    turn.element.classList.add("hl-turn-highlight");
+    setTimeout(() => {
+      turn.element.classList.remove("hl-turn-highlight");
+    }, 2000);
+  }
+
   /**
    * 요소에서 텍스트 내용 추출
    * @param {Element} element - 텍스트를 추출할 요소
@@ -523,9 +842,27 @@ class HallucinationLensContent {
    * @param {Element} targetElement - 대상 요소
    * @param {Object} trustInfo - 신뢰도 정보
    * @param {Object[]} searchResults - 검색 결과
-   * @param {string[]} keywords - 키워드 배열
+   * @param {string[]} keywords - 핵심 구문(키워드) 배열
+   * @param {Object} details - 추가 분석 정보
+   * @param {Object[]} details.claims - 문장별 검증 결과
+   * @param {Object[]} details.facts - 추출된 개체명/수치 사실
+   * @param {Object} details.language - 감지된 답변 언어
+   * @param {Object} details.hedging - 확신도(유보/단정 표현) 분석 요약
+   * @param {Object[]} details.unsupported - 근거 없이 단정적으로 서술된 주장
+   * @param {Object[]} details.citations - 답변에 포함된 출처와 검증 상태
+   * @param {Object[]} details.packages - 코드 블록에서 추출한 패키지와 검사 상태
+   * @param {Object[]} details.contradictions - 답변 내부에서 서로 모순되는 서술
+   * @param {Object[]} details.conversationConflicts - 이전 답변과 모순되는 서술
+   * @param {string[]} details.timedOut - 시간 초과된 검색 제공자 이름
+   * @param {Object} details.heuristics - 키워드 기반 휴리스틱 신호 (검색 근거 아님)
    */
-  createOverlay(targetElement, trustInfo, searchResults, keywords) {
+  createOverlay(
+    targetElement,
+    trustInfo,
+    searchResults,
+    keywords,
+    details = {}
+  ) {
     // 기존 오버레이 제거
     const existingOverlay = targetElement.parentNode.querySelector(
       ".hallucination-lens-overlay"
@@ -539,13 +876,18 @@ class HallucinationLensContent {
     overlay.className = "hallucination-lens-overlay";
     overlay.setAttribute("data-platform", this.platform);
 
-    // 헤더 생성
+    // 헤더 생성 (이유에는 검색 자료의 문장, 사실 값 등 페이지에서 가져온 텍스트가 들어 있음)
+    const escape = HallucinationLensUtils.escapeHtml;
     const header = document.createElement("div");
     header.className = "hl-header";
     header.innerHTML = `
-      <div class="hl-trust-indicator" style="background-color: ${trustInfo.color}">
-        <span class="hl-trust-label">${trustInfo.label}</span>
-        <span class="hl-trust-reason">${trustInfo.reason}</span>
+      <div class="hl-trust-indicator" style="background-color: ${escape(
+        trustInfo.color
+      )}">
+        <span class="hl-trust-label">${escape(
+          trustInfo.label
+        )}${this.formatScore(trustInfo)}</span>
+        <span class="hl-trust-reason">${escape(trustInfo.reason)}</span>
       </div>
       <button class="hl-toggle-btn" title="검색 결과 토글">
         <svg width="12" height="12" viewBox="0 0 12 12">
@@ -563,10 +905,21 @@ class HallucinationLensContent {
     const keywordSection = document.createElement("div");
     keywordSection.className = "hl-keywords";
     keywordSection.innerHTML = `
-      <div class="hl-section-title">분석된 키워드</div>
+      <div class="hl-section-title">핵심 구문${
+        details.language
+          ? ` <span class="hl-language-badge">${HallucinationLensUtils.escapeHtml(
+              HallucinationLensLanguage.getDisplayName(details.language)
+            )}</span>`
+          : ""
+      }</div>
       <div class="hl-keyword-tags">
         ${keywords
-          .map((keyword) => `<span class="hl-keyword-tag">${keyword}</span>`)
+          .map(
+            (keyword) =>
+              `<span class="hl-keyword-tag">${HallucinationLensUtils.escapeHtml(
+                keyword
+              )}</span>`
+          )
           .join("")}
       </div>
     `;
@@ -576,23 +929,56 @@ class HallucinationLensContent {
     resultsSection.className = "hl-results";
 
     if (searchResults && searchResults.length > 0) {
-      const validResults = searchResults.filter((result) => result.url !== "#");
+      // 링크가 없는 결과는 검색 제공자의 자료(로컬 자료 등)만 표시
+      const validResults = searchResults.filter(
+        (result) => result.url !== "#" || result.providerId
+      );
 
       if (validResults.length > 0) {
         resultsSection.innerHTML = `
           <div class="hl-section-title">관련 검색 결과</div>
           <div class="hl-result-list">
             ${validResults
-              .map(
-                (result) => `
+              .map((result) => {
+                const body = `
+                  <div class="hl-result-title">${escape(result.title)}${
+                  result.credibility
+                    ? `<span class="hl-credibility-badge hl-credibility-${escape(
+                        result.credibility.tier
+                      )}" title="${escape(result.credibility.domain)}">${escape(
+                        result.credibility.label
+                      )}</span>`
+                    : ""
+                }${this.renderEntailment(result.entailment)}${
+                  result.edition
+                    ? `<span class="hl-result-edition">${escape(
+                        result.edition
+                      )}.wikipedia</span>`
+                    : ""
+                }</div>
+                  ${this.renderEvidence(result)}`;
+
+                // 링크가 없는 자료(로컬 자료)는 링크 없이 표시
+                return `
               <div class="hl-result-item">
-                <a href="${result.url}" target="_blank" rel="noopener noreferrer" class="hl-result-link">
-                  <div class="hl-result-title">${result.title}</div>
-                  <div class="hl-result-snippet">${result.snippet}</div>
-                </a>
+                ${
+                  result.url !== "#"
+                    ? `<a href="${escape(
+                        result.url
+                      )}" target="_blank" rel="noopener noreferrer" class="hl-result-link">${body}</a>`
+                    : `<div class="hl-result-link">${body}</div>`
+                }
+                ${
+                  result.searchQuery
+                    ? `<div class="hl-result-query">검색어: ${escape(
+                        result.searchQuery.query
+                      )} · ${escape(result.searchQuery.label)}</div>`
+                    : ""
+                }
+                ${this.renderFactChecks(result.factChecks)}
               </div>
-            `
-              )
+            `;
+              })
               .join("")}
           </div>
         `;
@@ -605,12 +991,70 @@ class HallucinationLensContent {
     } else {
       resultsSection.innerHTML = `
         <div class="hl-section-title">검색 결과</div>
-        <div class="hl-no-results">검색을 수행할 수 없습니다.</div>
+        <div class="hl-no-results">근거 자료를 찾지 못했습니다. 이 답변은 검증되지 않았습니다.</div>
       `;
     }
 
-    // 요소 조립
+    // 응답하지 않은 검색 소스 안내
+    if (details.timedOut && details.timedOut.length > 0) {
+      const notice = document.createElement("div");
+      notice.className = "hl-timeout-notice";
+      notice.textContent = `시간 초과: ${details.timedOut.join(
+        ", "
+      )} — 제한 시간 안에 응답하지 않아 결과에서 빠졌습니다.`;
+      resultsSection.insertBefore(notice, resultsSection.firstChild);
+    }
+
+    // 요소 조립 (점수 표시 방식이면 요인별 구성을 맨 위에 표시)
+    if (this.scoreDisplay === "score" && trustInfo.factors) {
+      const breakdown = this.renderScoreBreakdown(trustInfo);
+      if (breakdown) {
+        const scoreSection = document.createElement("div");
+        scoreSection.className = "hl-score";
+        scoreSection.innerHTML = breakdown;
+        content.appendChild(scoreSection);
+      }
+    }
     content.appendChild(keywordSection);
+    const factSection = this.createFactSection(details.facts);
+    if (factSection) {
+      content.appendChild(factSection);
+    }
+    const consistencySection = this.createConsistencySection(
+      details.contradictions
+    );
+    if (consistencySection) {
+      content.appendChild(consistencySection);
+    }
+    const conversationSection = this.createConversationSection(
+      details.conversationConflicts
+    );
+    if (conversationSection) {
+      content.appendChild(conversationSection);
+    }
+    const claimSection = this.createClaimSection(details.claims);
+    if (claimSection) {
+      content.appendChild(claimSection);
+    }
+    const certaintySection = this.createCertaintySection(
+      details.hedging,
+      details.unsupported
+    );
+    if (certaintySection) {
+      content.appendChild(certaintySection);
+    }
+    const heuristicSection = this.createHeuristicSection(details.heuristics);
+    if (heuristicSection) {
+      content.appendChild(heuristicSection);
+    }
+    const citationSection = this.createCitationSection(details.citations);
+    if (citationSection) {
+      content.appendChild(citationSection);
+    }
+    const codeSection = this.createCodeSection(details.packages);
+    if (codeSection) {
+      content.appendChild(codeSection);
+    }
     content.appendChild(resultsSection);
     overlay.appendChild(header);
     overlay.appendChild(content);
@@ -627,6 +1071,588 @@ class HallucinationLensContent {
     this.insertOverlay(targetElement, overlay);
   }
 
+  /**
+   * 추출된 사실(개체명, 날짜, 수치) 섹션 생성
+   * @param {Object[]} facts - 사실 배열
+   * @returns {Element|null} - 섹션 요소 (사실이 없으면 null)
+   */
+  createFactSection(facts) {
+    if (!facts || facts.length === 0) {
+      return null;
+    }
+
+    const escape = HallucinationLensUtils.escapeHtml;
+    const section = document.createElement("div");
+    section.className = "hl-facts";
+    section.innerHTML = `
+      <div class="hl-section-title">추출된 사실</div>
+      <div class="hl-keyword-tags">
+        ${facts
+          .slice(0, 15)
+          .map(
+            (fact) => `
+          <span class="hl-fact-tag hl-fact-${fact.type}">
+            <span class="hl-fact-type">${HallucinationLensFacts.getTypeLabel(
+              fact.type
+            )}</span>${escape(fact.text)}
+          </span>`
+          )
+          .join("")}
+      </div>
+    `;
+
+    return section;
+  }
+
+  /**
+   * 답변 내부 모순 섹션 생성 (서로 다른 값을 말한 두 문장을 함께 인용)
+   * @param {Object[]} contradictions - 모순 배열
+   * @returns {Element|null} - 섹션 요소 (모순이 없으면 null)
+   */
+  createConsistencySection(contradictions) {
+    if (!contradictions || contradictions.length === 0) {
+      return null;
+    }
+
+    const escape = HallucinationLensUtils.escapeHtml;
+    const section = document.createElement("div");
+    section.className = "hl-consistency";
+    section.innerHTML = `
+      <div class="hl-section-title">답변 내부 모순</div>
+      ${contradictions
+        .map(
+          (contradiction) => `
+        <div class="hl-contradiction">
+          <div class="hl-contradiction-title">${escape(
+            contradiction.subject
+          )} · ${escape(contradiction.attribute)}: ${escape(
+            contradiction.first.value
+          )} ↔ ${escape(contradiction.second.value)}</div>
+          <blockquote class="hl-contradiction-quote">${escape(
+            contradiction.first.sentence
+          )}</blockquote>
+          <blockquote class="hl-contradiction-quote">${escape(
+            contradiction.second.sentence
+          )}</blockquote>
+        </div>
+      `
+        )
+        .join("")}
+    `;
+
+    return section;
+  }
+
+  /**
+   * 이전 답변과의 모순 섹션 생성 (링크를 누르면 이전 답변으로 스크롤)
+   * @param {Object[]} conflicts - recordConversationTurn이 찾은 모순 배열
+   * @returns {Element|null} - 섹션 요소 (모순이 없으면 null)
+   */
+  createConversationSection(conflicts) {
+    if (!conflicts || conflicts.length === 0) {
+      return null;
+    }
+
+    const escape = HallucinationLensUtils.escapeHtml;
+    const section = document.createElement("div");
+    section.className = "hl-consistency hl-conversation";
+    section.innerHTML = `
+      <div class="hl-section-title">이전 답변과 충돌</div>
+      ${conflicts
+        .map(
+          (conflict) => `
+        <div class="hl-contradiction">
+          <div class="hl-contradiction-title">${escape(
+            conflict.subject
+          )} · ${escape(conflict.attribute)}: ${escape(
+            conflict.first.value
+          )} → ${escape(conflict.second.value)}</div>
+          <blockquote class="hl-contradiction-quote">${escape(
+            conflict.first.sentence
+          )}</blockquote>
+          <a href="#" class="hl-turn-link" data-turn-id="${
+            conflict.first.turnId
+          }">↑ ${conflict.first.turnNumber}번째 답변으로 이동</a>
+          <blockquote class="hl-contradiction-quote">${escape(
+            conflict.second.sentence
+          )}</blockquote>
+        </div>
+      `
+        )
+        .join("")}
+    `;
+
+    section.querySelectorAll(".hl-turn-link").forEach((link) => {
+      link.addEventListener("click", (event) => {
+        event.preventDefault();
+        this.scrollToTurn(Number(link.dataset.turnId));
+      });
+    });
+
+    return section;
+  }
+
+  /**
+   * 문장별 검증 결과 섹션 생성
+   * @param {Object[]} claims - 검증이 끝난 주장 배열
+   * @returns {Element|null} - 섹션 요소 (검증된 문장이 없으면 null)
+   */
+  createClaimSection(claims) {
+    // 시간 초과로 검증하지 못한 문장은 회색 "시간 초과" 표시로 함께 보여줌
+    const verifiedClaims = (claims || [])
+      .filter((claim) => claim.verdict || claim.timedOut)
+      .map((claim) =>
+        claim.verdict
+          ? claim
+          : {
+              ...claim,
+              verdict: {
+                score: "timeout",
+                label: "시간 초과",
+                reason: `${claim.timedOut.join(
+                  ", "
+                )} 응답이 제한 시간을 넘어 검증하지 못했습니다.`,
+                color: "#adb5bd",
+              },
+            }
+      );
+    if (verifiedClaims.length === 0) {
+      return null;
+    }
+
+    // LLM 판정을 사용했으면 어떤 모델과 서버에 문장을 보냈는지 표시
+    const judged = verifiedClaims
+      .map((claim) => claim.verdict.judge)
+      .filter(Boolean);
+
+    const escape = HallucinationLensUtils.escapeHtml;
+    const section = document.createElement("div");
+    section.className = "hl-claims";
+    section.innerHTML = `
+      <div class="hl-section-title">문장별 검증 결과</div>
+      ${
+        judged.length > 0
+          ? `<div class="hl-judge-notice">LLM 판정 사용: ${escape(
+              judged[0].model
+            )} (${escape(judged[0].host)}) — 문장 ${
+              judged.length
+            }개와 근거를 이 서버로 보내 판정했습니다.</div>`
+          : ""
+      }
+      <div class="hl-claim-list">
+        ${verifiedClaims
+          .map(
+            (claim) => `
+          <div class="hl-claim-item hl-claim-${claim.verdict.score}">
+            <span class="hl-claim-badge" style="background-color: ${
+              claim.verdict.color
+            }">${escape(
+              claim.verdict.label.replace("신뢰도: ", "")
+            )}${this.formatScore(claim.verdict)}</span>
+            <div class="hl-claim-body">
+              <div class="hl-claim-text">${escape(claim.text)}${
+              claim.certainty && claim.certainty.stance !== "neutral"
+                ? ` <span class="hl-stance-tag hl-stance-${
+                    claim.certainty.stance
+                  }">${
+                    claim.certainty.stance === "hedged" ? "유보적" : "단정적"
+                  }</span>`
+                : ""
+            }</div>
+              <div class="hl-claim-reason">${escape(claim.verdict.reason)}</div>
+              ${this.renderQueryPlan(claim.results && claim.results.plan)}
+              ${this.renderJudge(claim.verdict.judge)}
+              ${
+                this.scoreDisplay === "score"
+                  ? this.renderScoreBreakdown(claim.verdict)
+                  : ""
+              }
+            </div>
+          </div>
+        `
+          )
+          .join("")}
+      </div>
+    `;
+
+    return section;
+  }
+
+  /**
+   * 점수 표시 방식일 때 등급 옆에 붙일 점수 (" · 72점")
+   * @param {Object} trustInfo - 신뢰도 정보 객체
+   * @returns {string} - 점수 문자열 (세 단계 표시 방식이거나 점수가 없으면 빈 문자열)
+   */
+  formatScore(trustInfo) {
+    return this.scoreDisplay === "score" && typeof trustInfo.value === "number"
+      ? ` · ${trustInfo.value}점`
+      : "";
+  }
+
+  /**
+   * 신뢰도 점수의 요인별 구성을 펼쳐 볼 수 있는 목록으로 표시
+   * (요인마다 가중치, 값, 점수 기여도, 근거, 점수 상한)
+   * @param {Object} trustInfo - 신뢰도 정보 객체 ({ value, factors })
+   * @returns {string} - HTML 문자열 (요인이 없으면 빈 문자열)
+   */
+  renderScoreBreakdown(trustInfo) {
+    if (!trustInfo.factors || trustInfo.factors.length === 0) return "";
+
+    const escape = HallucinationLensUtils.escapeHtml;
+    const caps = trustInfo.factors.filter(
+      (factor) => typeof factor.cap === "number"
+    );
+    const limiting = caps.find(
+      (factor) => factor.cap === Math.min(...caps.map((cap) => cap.cap))
+    );
+    const weighted = trustInfo.factors.reduce(
+      (sum, factor) => sum + factor.contribution,
+      0
+    );
+    const capped = limiting && Math.round(weighted) > trustInfo.value;
+
+    return `<details class="hl-score-breakdown">
+      <summary>점수 구성 ${trustInfo.value}점 (요인별 가중 평균${
+      capped
+        ? `, ${escape(limiting.label)} 때문에 ${limiting.cap}점 이하로 제한`
+        : ""
+    })</summary>
+      <ul class="hl-score-factors">
+        ${trustInfo.factors
+          .map(
+            (factor) => `
+          <li class="hl-score-factor">
+            <span class="hl-score-factor-label">${escape(factor.label)}</span>
+            <span class="hl-score-factor-bar"><span style="width: ${Math.round(
+              factor.value * 100
+            )}%"></span></span>
+            <span class="hl-score-factor-points">+${
+              factor.contribution
+            }점</span>
+            <div class="hl-score-factor-detail">${escape(
+              factor.detail
+            )} · 가중치 ${factor.weight} · 값 ${Math.round(
+              factor.value * 100
+            )}%${
+              typeof factor.cap === "number" ? ` · 상한 ${factor.cap}점` : ""
+            }</div>
+          </li>`
+          )
+          .join("")}
+      </ul>
+    </details>`;
+  }
+
+  /**
+   * 문장 검색에 사용한 검색어 표시 (재검색했으면 시도 횟수와 앞서 실패한 검색어를 툴팁으로)
+   * @param {Object} plan - 검색어 계획 결과 ({ query, label, attempts })
+   * @returns {string} - HTML 문자열 (계획이 없으면 빈 문자열)
+   */
+  renderQueryPlan(plan) {
+    if (!plan || plan.attempts.length === 0) return "";
+
+    const escape = HallucinationLensUtils.escapeHtml;
+    const tried = plan.attempts
+      .map((attempt) => `${attempt.label}: ${attempt.query} (${attempt.count})`)
+      .join("\n");
+    const text = plan.query
+      ? `검색어: ${plan.query} · ${plan.label}${
+          plan.attempts.length > 1 ? ` (${plan.attempts.length}번째 시도)` : ""
+        }`
+      : `검색어 ${plan.attempts.length}개 모두 결과 없음`;
+    return `<div class="hl-claim-query" title="${escape(tried)}">${escape(
+      text
+    )}</div>`;
+  }
+
+  /**
+   * 문장의 LLM 판정 표시 (판정, confidence, 이유 또는 실패 사유)
+   * @param {Object} judge - LLM 판정 ({ verdict, confidence, rationale } 또는 { error })
+   * @returns {string} - HTML 문자열 (판정이 없으면 빈 문자열)
+   */
+  renderJudge(judge) {
+    if (!judge) return "";
+
+    const escape = HallucinationLensUtils.escapeHtml;
+    if (judge.error) {
+      return `<div class="hl-judge hl-judge-error">LLM 판정 실패: ${escape(
+        judge.error
+      )}</div>`;
+    }
+
+    return `<div class="hl-judge hl-judge-${escape(judge.verdict)}">
+      <span class="hl-judge-label">LLM 판정 · ${escape(
+        HallucinationLensContent.ENTAILMENT_LABELS[judge.verdict]
+      )} (${Math.round(judge.confidence * 100)}%)</span>
+      ${escape(judge.rationale)}
+    </div>`;
+  }
+
+  /**
+   * 확신도 분석 섹션 생성 (유보 표현 통계, 근거 없는 단정적 문장)
+   * @param {Object} hedging - 확신도 분석 요약
+   * @param {Object[]} unsupported - 근거 없이 단정적으로 서술된 주장
+   * @returns {Element|null} - 섹션 요소 (표시할 내용이 없으면 null)
+   */
+  createCertaintySection(hedging, unsupported = []) {
+    if (!hedging || hedging.total === 0) {
+      return null;
+    }
+
+    const escape = HallucinationLensUtils.escapeHtml;
+    const section = document.createElement("div");
+    section.className = "hl-certainty";
+    section.innerHTML = `
+      <div class="hl-section-title">표현 분석</div>
+      <div class="hl-certainty-summary">
+        전체 ${hedging.total}개 문장 중 유보적 표현 ${
+      hedging.hedgedCount
+    }개, 단정적 서술 ${hedging.assertiveCount}개${
+      hedging.cutoffMentioned ? " · 지식 기준 시점 언급 있음" : ""
+    }
+      </div>
+      ${
+        unsupported.length > 0
+          ? `<div class="hl-unsupported-list">
+          ${unsupported
+            .map(
+              (claim) =>
+                `<div class="hl-unsupported-item">근거 없는 단정: ${escape(
+                  claim.text
+                )}</div>`
+            )
+            .join("")}
+        </div>`
+          : ""
+      }
+    `;
+
+    return section;
+  }
+
+  /**
+   * 키워드 휴리스틱 신호 섹션 생성
+   * 검색 근거와 섞이지 않도록 "검색 근거 아님"을 명시하고 신뢰도와 별도로 표시
+   * @param {Object} heuristics - HallucinationLensUtils.assessKeywordHeuristics 결과
+   * @returns {Element|null} - 섹션 요소 (신호가 없으면 null)
+   */
+  createHeuristicSection(heuristics) {
+    if (!heuristics) {
+      return null;
+    }
+
+    const escape = HallucinationLensUtils.escapeHtml;
+    const section = document.createElement("div");
+    section.className = "hl-heuristics";
+    section.innerHTML = `
+      <div class="hl-section-title">키워드 휴리스틱 <span class="hl-heuristic-note">검색 근거 아님</span></div>
+      <div class="hl-heuristic-item hl-heuristic-${escape(heuristics.type)}">
+        <span class="hl-claim-badge hl-heuristic-badge">${escape(
+          heuristics.label
+        )}</span>
+        <div class="hl-claim-reason">${escape(heuristics.reason)}</div>
+      </div>
+    `;
+
+    return section;
+  }
+
+  /**
+   * 답변에 포함된 출처(링크, 인용) 검증 결과 섹션 생성
+   * @param {Object[]} citations - 검증 상태가 채워진 출처 배열
+   * @returns {Element|null} - 섹션 요소 (출처가 없으면 null)
+   */
+  createCitationSection(citations) {
+    if (!citations || citations.length === 0) {
+      return null;
+    }
+
+    const escape = HallucinationLensUtils.escapeHtml;
+    const section = document.createElement("div");
+    section.className = "hl-citations";
+    section.innerHTML = `
+      <div class="hl-section-title">답변에 포함된 출처</div>
+      <div class="hl-citation-list">
+        ${citations
+          .map((citation) => {
+            const status = HallucinationLensCitations.getStatusInfo(
+              citation.status
+            );
+            return `
+          <div class="hl-citation-item hl-citation-${escape(citation.status)}">
+            <span class="hl-claim-badge" style="background-color: ${
+              status.color
+            }">${status.label}</span>
+            <div class="hl-claim-body">
+              ${
+                citation.url
+                  ? `<a href="${escape(
+                      citation.url
+                    )}" target="_blank" rel="noopener noreferrer" class="hl-citation-link">${escape(
+                      citation.label
+                    )}</a>`
+                  : `<span class="hl-citation-link">${escape(
+                      citation.label
+                    )}</span>`
+              }
+              ${
+                citation.detail
+                  ? `<div class="hl-claim-reason">${escape(
+                      citation.detail
+                    )}</div>`
+                  : ""
+              }
+            </div>
+          </div>`;
+          })
+          .join("")}
+      </div>
+    `;
+
+    return section;
+  }
+
+  /**
+   * 코드 블록 패키지 검사 결과 섹션 생성
+   * @param {Object[]} packages - 검사 상태가 채워진 패키지 배열
+   * @returns {Element|null} - 섹션 요소 (패키지가 없으면 null)
+   */
+  createCodeSection(packages) {
+    if (!packages || packages.length === 0) {
+      return null;
+    }
+
+    const escape = HallucinationLensUtils.escapeHtml;
+    const section = document.createElement("div");
+    section.className = "hl-code";
+    section.innerHTML = `
+      <div class="hl-section-title">코드</div>
+      <div class="hl-package-list">
+        ${packages
+          .map((pkg) => {
+            const status = HallucinationLensPackages.getStatusInfo(pkg.status);
+            return `
+          <div class="hl-package-item hl-package-${escape(pkg.status)}">
+            <span class="hl-claim-badge" style="background-color: ${
+              status.color
+            }">${status.label}</span>
+            <div class="hl-claim-body">
+              <div class="hl-package-name">${escape(pkg.name)}
+                <span class="hl-package-ecosystem">${
+                  pkg.ecosystem === "pypi" ? "PyPI" : "npm"
+                }</span>
+              </div>
+              <code class="hl-package-statement">${escape(pkg.statement)}</code>
+              ${
+                pkg.detail
+                  ? `<div class="hl-claim-reason">${escape(pkg.detail)}</div>`
+                  : ""
+              }
+            </div>
+          </div>`;
+          })
+          .join("")}
+      </div>
+    `;
+
+    return section;
+  }
+
+  /**
+   * 검색 결과의 함의 판정 배지 생성 (판정한 문장과 반박 이유는 툴팁으로 표시)
+   * @param {Object} entailment - { label, confidence, sentence, reason }
+   * @returns {string} - HTML 문자열
+   */
+  renderEntailment(entailment) {
+    if (!entailment) return "";
+
+    const escape = HallucinationLensUtils.escapeHtml;
+    const title = [entailment.sentence, entailment.reason]
+      .filter(Boolean)
+      .join(" — ");
+    return `<span class="hl-entailment-badge hl-entailment-${escape(
+      entailment.label
+    )}" title="${escape(title)}">${escape(
+      HallucinationLensContent.ENTAILMENT_LABELS[entailment.label] ||
+        entailment.label
+    )}</span>`;
+  }
+
+  /**
+   * 검색 결과 본문 생성
+   * 원문에서 찾은 근거 문단이 있으면 요약 대신 표시하고, 가장 잘 맞는 문장을 강조
+   * @param {Object} result - 검색 결과 (passages: [{ heading, text, sentence }])
+   * @returns {string} - HTML 문자열
+   */
+  renderEvidence(result) {
+    const escape = HallucinationLensUtils.escapeHtml;
+    if (!result.passages || result.passages.length === 0) {
+      return `<div class="hl-result-snippet">${escape(result.snippet)}</div>`;
+    }
+
+    return result.passages
+      .map((passage) => {
+        const index = passage.sentence
+          ? passage.text.indexOf(passage.sentence)
+          : -1;
+        const text =
+          index >= 0
+            ? `${escape(
+                passage.text.slice(0, index)
+              )}<mark class="hl-evidence-mark">${escape(
+                passage.sentence
+              )}</mark>${escape(
+                passage.text.slice(index + passage.sentence.length)
+              )}`
+            : escape(passage.text);
+
+        return `
+          <div class="hl-evidence-passage">
+            ${
+              passage.heading
+                ? `<div class="hl-evidence-heading">${escape(
+                    passage.heading
+                  )}</div>`
+                : ""
+            }
+            <div class="hl-evidence-text">${text}</div>
+          </div>`;
+      })
+      .join("");
+  }
+
+  /**
+   * 검색 결과의 사실별 대조 결과(Wikidata 등) 목록 생성
+   * @param {Object[]} factChecks - 대조 결과 배열 ({ label, expected, stated, status })
+   * @returns {string} - HTML 문자열 (대조 결과가 없으면 빈 문자열)
+   */
+  renderFactChecks(factChecks) {
+    if (!factChecks || factChecks.length === 0) {
+      return "";
+    }
+
+    const escape = HallucinationLensUtils.escapeHtml;
+    return `
+      <div class="hl-fact-check-list">
+        ${factChecks
+          .map(
+            (check) => `
+          <div class="hl-fact-check hl-fact-check-${escape(check.status)}">
+            <span class="hl-claim-badge" style="background-color: ${
+              check.status === "match" ? "#51cf66" : "#ff6b6b"
+            }">${check.status === "match" ? "일치" : "불일치"}</span>
+            <span class="hl-fact-check-text">${escape(
+              check.label
+            )}: 답변 ${escape(check.stated)} / 자료 ${escape(
+              check.expected
+            )}</span>
+          </div>`
+          )
+          .join("")}
+      </div>
+    `;
+  }
+
   /**
    * 오버레이를 적절한 위치에 삽입
    * @param {Element} targetElement - 대상 요소
@@ -0,0 +1,533 @@
+/**
+ * HallucinationLens - 로컬 자료(오프라인 코퍼스)
+ * 사용자가 가져온 Markdown/텍스트/HTML 문서를 구절로 나눠 IndexedDB에 저장하고
+ * BM25 역색인으로 검색 (검색어가 외부로 나가지 않으며 네트워크 없이 동작)
+ * Background Script(importScripts), 팝업, 옵션 페이지에서 함께 사용
+ */
+
+class HallucinationLensCorpus {
+  static DB_NAME = "HallucinationLensCorpus";
+  static DB_VERSION = 1;
+
+  // 구절 최대 길이 (글자 수)
+  static MAX_PASSAGE_LENGTH = 600;
+
+  // BM25 파라미터
+  static BM25_K1 = 1.2;
+  static BM25_B = 0.75;
+
+  // 검색어 토큰 중 이 비율 이상이 들어 있는 구절만 결과로 사용
+  static MIN_MATCH_RATIO = 0.5;
+
+  // 가져올 수 있는 파일 확장자
+  static FILE_TYPES = {
+    md: "markdown",
+    markdown: "markdown",
+    txt: "text",
+    text: "text",
+    html: "html",
+    htm: "html",
+  };
+
+  // 색인에서 제외할 영어 불용어
+  static STOPWORDS = new Set([
+    "the",
+    "and",
+    "for",
+    "are",
+    "was",
+    "were",
+    "with",
+    "that",
+    "this",
+    "from",
+    "has",
+    "have",
+    "had",
+    "its",
+    "into",
+    "than",
+    "then",
+    "also",
+    "but",
+    "not",
+    "you",
+    "your",
+    "can",
+    "will",
+    "which",
+    "their",
+    "there",
+    "been",
+    "is",
+    "of",
+    "to",
+    "in",
+    "on",
+    "at",
+    "by",
+    "an",
+    "as",
+    "or",
+    "be",
+    "it",
+  ]);
+
+  static dbPromise = null;
+
+  /**
+   * IndexedDB 열기 (최초 호출 시 저장소 생성)
+   * @returns {Promise<IDBDatabase>} - 데이터베이스
+   */
+  static openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore("documents", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          const passages = db.createObjectStore("passages", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          passages.createIndex("documentId", "documentId");
+          // 역색인: 토큰 -> { 구절 ID: [토큰 빈도, 구절 길이] }
+          db.createObjectStore("terms", { keyPath: "term" });
+          db.createObjectStore("meta", { keyPath: "key" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * IDBRequest를 Promise로 변환
+   * @param {IDBRequest} request - 요청
+   * @returns {Promise<*>} - 요청 결과
+   */
+  static promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 트랜잭션 완료 대기
+   * @param {IDBTransaction} transaction - 트랜잭션
+   * @returns {Promise<void>}
+   */
+  static complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 텍스트를 색인용 토큰으로 분리
+   * 한글은 조사/어미 변화에 덜 민감하도록 글자 2-gram으로 색인
+   * @param {string} text - 텍스트
+   * @returns {string[]} - 토큰 배열 (중복 포함)
+   */
+  static tokenize(text) {
+    const tokens = [];
+
+    for (const match of (text || "")
+      .toLowerCase()
+      .matchAll(/[\p{L}\p{N}]+/gu)) {
+      const word = match[0];
+      if (/[가-힣]/.test(word)) {
+        if (word.length === 1) continue;
+        for (let i = 0; i < word.length - 1; i++) {
+          tokens.push(word.slice(i, i + 2));
+        }
+      } else if (word.length >= 2 && !this.STOPWORDS.has(word)) {
+        tokens.push(word);
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 파일 이름으로 문서 형식 판별
+   * @param {string} name - 파일 이름
+   * @returns {string|null} - "markdown" | "text" | "html" (지원하지 않으면 null)
+   */
+  static detectType(name) {
+    const extension = (name.split(".").pop() || "").toLowerCase();
+    return this.FILE_TYPES[extension] || null;
+  }
+
+  /**
+   * 문서 내용을 제목(# 표시)과 문단으로 이루어진 일반 텍스트로 변환
+   * @param {string} content - 문서 내용
+   * @param {string} type - 문서 형식
+   * @returns {string} - 일반 텍스트
+   */
+  static toPlainText(content, type) {
+    if (type === "html") {
+      return this.htmlToText(content);
+    }
+    if (type === "markdown") {
+      return content
+        .replace(/^```.*$/gm, "")
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+        .replace(/<[^>]+>/g, "")
+        .replace(/^\s*>\s?/gm, "")
+        .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, "")
+        .replace(/^\s*\|?[-:| ]+\|?\s*$/gm, "")
+        .replace(/\|/g, " ")
+        .replace(/[*_~`]+/g, "");
+    }
+    return content;
+  }
+
+  /**
+   * HTML을 텍스트로 변환 (제목은 "# "로, 블록 요소는 문단으로 구분)
+   * @param {string} html - HTML 문자열
+   * @returns {string} - 텍스트
+   */
+  static htmlToText(html) {
+    if (typeof DOMParser !== "undefined") {
+      const doc = new DOMParser().parseFromString(html, "text/html");
+      doc
+        .querySelectorAll("script, style, noscript, nav, footer")
+        .forEach((node) => node.remove());
+
+      const blocks = [];
+      doc.body
+        .querySelectorAll("h1, h2, h3, h4, h5, h6, p, li, td, pre, blockquote")
+        .forEach((node) => {
+          if (node.parentElement.closest("p, li, td, pre, blockquote")) return;
+          const text = node.textContent.replace(/\s+/g, " ").trim();
+          if (!text) return;
+          blocks.push(/^H\d$/.test(node.tagName) ? `# ${text}` : text);
+        });
+
+      return blocks.length > 0 ? blocks.join("\n\n") : doc.body.textContent;
+    }
+
+    return html
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, "")
+      .replace(/<h\d[^>]*>/gi, "\n\n# ")
+      .replace(/<\/(p|li|h\d|div|td|pre|blockquote)>/gi, "\n\n")
+      .replace(/<[^>]+>/g, "")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&amp;/g, "&")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">");
+  }
+
+  /**
+   * 텍스트를 구절로 분할 (문단을 합쳐 최대 길이에 맞추고, 가장 가까운 제목을 기록)
+   * @param {string} text - 일반 텍스트
+   * @returns {Object[]} - 구절 배열 ({ heading, text })
+   */
+  static chunk(text) {
+    const passages = [];
+    let heading = "";
+    let buffer = "";
+
+    const flush = () => {
+      if (buffer.trim()) {
+        passages.push({ heading, text: buffer.trim() });
+      }
+      buffer = "";
+    };
+
+    text
+      .replace(/^(#{1,6}\s+.+)$/gm, "\n$1\n")
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+      .forEach((paragraph) => {
+        const headingMatch = paragraph.match(/^#{1,6}\s+(.+)$/);
+        if (headingMatch) {
+          flush();
+          heading = headingMatch[1];
+          return;
+        }
+
+        // 긴 문단은 문장 단위로 나눔
+        const pieces =
+          paragraph.length > this.MAX_PASSAGE_LENGTH
+            ? paragraph.match(/[^.!?。]+[.!?。]*\s*/g) || [paragraph]
+            : [paragraph];
+
+        pieces.forEach((piece) => {
+          if (
+            buffer &&
+            buffer.length + piece.length + 1 > this.MAX_PASSAGE_LENGTH
+          ) {
+            flush();
+          }
+          buffer += (buffer && !/\s$/.test(buffer) ? " " : "") + piece;
+        });
+      });
+    flush();
+
+    return passages;
+  }
+
+  /**
+   * 문서 가져오기 (구절 분할 후 색인에 추가)
+   * @param {string} name - 파일 이름
+   * @param {string} content - 파일 내용
+   * @returns {Promise<Object>} - 저장된 문서 정보 ({ id, name, type, passageCount })
+   */
+  static async importDocument(name, content) {
+    const type = this.detectType(name);
+    if (!type) {
+      throw new Error(`지원하지 않는 파일 형식입니다: ${name}`);
+    }
+
+    const passages = this.chunk(this.toPlainText(content, type));
+    if (passages.length === 0) {
+      throw new Error(`가져올 내용이 없습니다: ${name}`);
+    }
+
+    const db = await this.openDatabase();
+    const transaction = db.transaction(
+      ["documents", "passages", "terms", "meta"],
+      "readwrite"
+    );
+    const done = this.complete(transaction);
+
+    const documentInfo = {
+      name,
+      type,
+      importedAt: new Date().toISOString(),
+      passageCount: passages.length,
+    };
+    documentInfo.id = await this.promisify(
+      transaction.objectStore("documents").add(documentInfo)
+    );
+
+    // 구절 저장 후 토큰별 게시 목록(postings) 모으기
+    const postings = {};
+    let totalLength = 0;
+    for (const passage of passages) {
+      const tokens = this.tokenize(`${passage.heading} ${passage.text}`);
+      const terms = {};
+      tokens.forEach((token) => {
+        terms[token] = (terms[token] || 0) + 1;
+      });
+
+      const passageId = await this.promisify(
+        transaction.objectStore("passages").add({
+          documentId: documentInfo.id,
+          heading: passage.heading,
+          text: passage.text,
+          length: tokens.length,
+          terms,
+        })
+      );
+
+      Object.entries(terms).forEach(([term, frequency]) => {
+        postings[term] = postings[term] || {};
+        postings[term][passageId] = [frequency, tokens.length];
+      });
+      totalLength += tokens.length;
+    }
+
+    await this.mergePostings(transaction, postings);
+    await this.updateStats(transaction, passages.length, totalLength);
+    await done;
+
+    console.log("[HallucinationLens] 로컬 자료 가져오기 완료:", documentInfo);
+    return documentInfo;
+  }
+
+  /**
+   * 역색인에 게시 목록 추가
+   * @param {IDBTransaction} transaction - 쓰기 트랜잭션
+   * @param {Object} postings - 토큰 -> { 구절 ID: [빈도, 길이] }
+   */
+  static async mergePostings(transaction, postings) {
+    const store = transaction.objectStore("terms");
+    for (const [term, entries] of Object.entries(postings)) {
+      const existing = await this.promisify(store.get(term));
+      store.put({
+        term,
+        postings: { ...(existing ? existing.postings : {}), ...entries },
+      });
+    }
+  }
+
+  /**
+   * 전체 구절 수와 길이 합계 갱신 (BM25 평균 길이 계산용)
+   * @param {IDBTransaction} transaction - 쓰기 트랜잭션
+   * @param {number} passageDelta - 구절 수 변화량
+   * @param {number} lengthDelta - 길이 합계 변화량
+   */
+  static async updateStats(transaction, passageDelta, lengthDelta) {
+    const store = transaction.objectStore("meta");
+    const stats = (await this.promisify(store.get("stats"))) || {
+      key: "stats",
+      passageCount: 0,
+      totalLength: 0,
+    };
+    stats.passageCount = Math.max(0, stats.passageCount + passageDelta);
+    stats.totalLength = Math.max(0, stats.totalLength + lengthDelta);
+    store.put(stats);
+  }
+
+  /**
+   * 문서 삭제 (구절과 역색인 항목도 함께 제거)
+   * @param {number} documentId - 문서 ID
+   */
+  static async deleteDocument(documentId) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(
+      ["documents", "passages", "terms", "meta"],
+      "readwrite"
+    );
+    const done = this.complete(transaction);
+
+    const passageStore = transaction.objectStore("passages");
+    const termStore = transaction.objectStore("terms");
+    const passages = await this.promisify(
+      passageStore.index("documentId").getAll(documentId)
+    );
+
+    let totalLength = 0;
+    for (const passage of passages) {
+      for (const term of Object.keys(passage.terms)) {
+        const entry = await this.promisify(termStore.get(term));
+        if (!entry) continue;
+        delete entry.postings[passage.id];
+        if (Object.keys(entry.postings).length > 0) {
+          termStore.put(entry);
+        } else {
+          termStore.delete(term);
+        }
+      }
+      passageStore.delete(passage.id);
+      totalLength += passage.length;
+    }
+
+    transaction.objectStore("documents").delete(documentId);
+    await this.updateStats(transaction, -passages.length, -totalLength);
+    await done;
+  }
+
+  /**
+   * 가져온 문서 목록
+   * @returns {Promise<Object[]>} - 문서 배열
+   */
+  static async listDocuments() {
+    const db = await this.openDatabase();
+    const transaction = db.transaction("documents", "readonly");
+    return this.promisify(transaction.objectStore("documents").getAll());
+  }
+
+  /**
+   * BM25로 구절 검색
+   * @param {string} query - 검색 쿼리
+   * @param {number} limit - 최대 결과 수
+   * @returns {Promise<Object[]>} - 검색 결과 배열 ({ title, url, snippet, score, documentId, passageId })
+   */
+  static async search(query, limit = 3) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const db = await this.openDatabase();
+    const transaction = db.transaction(
+      ["documents", "passages", "terms", "meta"],
+      "readonly"
+    );
+
+    const stats = await this.promisify(
+      transaction.objectStore("meta").get("stats")
+    );
+    if (!stats || stats.passageCount === 0) return [];
+
+    const averageLength = stats.totalLength / stats.passageCount || 1;
+    const scores = {};
+    const matchedTerms = {};
+
+    for (const term of queryTerms) {
+      const entry = await this.promisify(
+        transaction.objectStore("terms").get(term)
+      );
+      if (!entry) continue;
+
+      const postings = Object.entries(entry.postings);
+      const idf = Math.log(
+        1 +
+          (stats.passageCount - postings.length + 0.5) / (postings.length + 0.5)
+      );
+      postings.forEach(([passageId, [frequency, length]]) => {
+        const normalization =
+          frequency +
+          this.BM25_K1 *
+            (1 - this.BM25_B + (this.BM25_B * length) / averageLength);
+        scores[passageId] =
+          (scores[passageId] || 0) +
+          (idf * frequency * (this.BM25_K1 + 1)) / normalization;
+        matchedTerms[passageId] = (matchedTerms[passageId] || 0) + 1;
+      });
+    }
+
+    const ranked = Object.entries(scores)
+      .filter(
+        ([passageId]) =>
+          matchedTerms[passageId] / queryTerms.length >= this.MIN_MATCH_RATIO
+      )
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit);
+
+    const results = [];
+    for (const [passageId, score] of ranked) {
+      const passage = await this.promisify(
+        transaction.objectStore("passages").get(Number(passageId))
+      );
+      if (!passage) continue;
+      const documentInfo = await this.promisify(
+        transaction.objectStore("documents").get(passage.documentId)
+      );
+
+      results.push({
+        title: [documentInfo ? documentInfo.name : "", passage.heading]
+          .filter(Boolean)
+          .join(" › "),
+        url: "#",
+        snippet: passage.text,
+        score: Math.round(score * 100) / 100,
+        documentId: passage.documentId,
+        passageId: passage.id,
+      });
+    }
+
+    return results;
+  }
+}
+
+// 검색 제공자로 등록
+HallucinationLensProviders.register({
+  id: "local-corpus",
+  name: "Local corpus",
+  description: "옵션 페이지에서 가져온 문서를 오프라인으로 검색",
+  // 가져온 문서가 바뀌면 결과도 바뀌고, 로컬 검색이라 캐시할 이유가 없음
+  cacheable: false,
+  // 사용자가 직접 가져온 신뢰하는 문서
+  credibility: "trusted",
+  search: async (query) => HallucinationLensCorpus.search(query),
+});
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensCorpus = HallucinationLensCorpus;
+}
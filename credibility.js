@@ -0,0 +1,218 @@
+/**
+ * HallucinationLens - 출처 신뢰도
+ * 검색 결과 링크의 도메인을 평판 표(domain-reputation.json)와 사용자 허용/차단 목록으로 분류하고,
+ * 등급별 가중치를 결과에 기록 (calculateTrustScore와 오버레이 배지에서 사용)
+ * Background Script(importScripts)와 옵션 페이지에서 사용
+ */
+
+class HallucinationLensCredibility {
+  static STORAGE_KEY = "credibilitySettings";
+
+  // 사용자 설정 기본값 (도메인 목록, 도메인별 등급 덮어쓰기)
+  static DEFAULT_SETTINGS = { allowlist: [], blocklist: [], overrides: {} };
+
+  // 평판 표를 불러오지 못했을 때 사용할 최소 등급
+  static FALLBACK_TABLE = {
+    tiers: {
+      trusted: { label: "사용자 신뢰", weight: 1 },
+      unknown: { label: "일반", weight: 0.6 },
+    },
+    suffixes: {},
+    domains: {},
+  };
+
+  static tablePromise = null;
+
+  /**
+   * 평판 표 불러오기 (확장 프로그램에 포함된 domain-reputation.json, 한 번만 읽음)
+   * @returns {Promise<Object>} - { tiers, suffixes, domains }
+   */
+  static loadTable() {
+    if (!this.tablePromise) {
+      this.tablePromise = fetch(chrome.runtime.getURL("domain-reputation.json"))
+        .then((response) => response.json())
+        .then((data) => ({
+          tiers: { ...this.FALLBACK_TABLE.tiers, ...(data.tiers || {}) },
+          suffixes: data.suffixes || {},
+          domains: data.domains || {},
+        }))
+        .catch((error) => {
+          console.error("[HallucinationLens] 도메인 평판 표 로드 실패:", error);
+          this.tablePromise = null;
+          return this.FALLBACK_TABLE;
+        });
+    }
+    return this.tablePromise;
+  }
+
+  /**
+   * 저장된 사용자 설정 불러오기 (기본값과 병합)
+   * @returns {Promise<Object>} - { allowlist, blocklist, overrides }
+   */
+  static async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      return { ...this.DEFAULT_SETTINGS, ...(result[this.STORAGE_KEY] || {}) };
+    } catch (error) {
+      console.error(
+        "[HallucinationLens] 출처 신뢰도 설정 불러오기 오류:",
+        error
+      );
+      return { ...this.DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * 사용자 설정 저장
+   * @param {Object} settings - { allowlist, blocklist, overrides }
+   */
+  static async saveSettings(settings) {
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: settings });
+  }
+
+  /**
+   * 입력된 도메인 정규화 (주소를 붙여넣어도 호스트만 남김)
+   * @param {string} value - 도메인 또는 주소
+   * @returns {string} - 소문자 도메인 (www. 제외, 올바르지 않으면 빈 문자열)
+   */
+  static normalizeDomain(value) {
+    const domain = String(value || "")
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, "")
+      .replace(/[/?#:].*$/, "")
+      .replace(/^www\./, "")
+      .replace(/\.$/, "");
+    return /^[a-z0-9.-]+\.[a-z0-9-]+$|^[a-z]{2,}$/.test(domain) ? domain : "";
+  }
+
+  /**
+   * 결과 링크의 호스트 (http/https가 아니면 빈 문자열)
+   * @param {string} url - 결과 링크
+   * @returns {string} - 호스트
+   */
+  static getHost(url) {
+    try {
+      const parsed = new URL(url);
+      return /^https?:$/.test(parsed.protocol)
+        ? this.normalizeDomain(parsed.hostname)
+        : "";
+    } catch (error) {
+      return "";
+    }
+  }
+
+  /**
+   * 호스트가 도메인 또는 그 하위 도메인인지 확인
+   * @param {string} host - 호스트
+   * @param {string} domain - 도메인
+   * @returns {boolean} - 일치 여부
+   */
+  static matchDomain(host, domain) {
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+
+  /**
+   * 호스트의 신뢰도 등급 판정
+   * 차단 목록 → 허용 목록 → 사용자 덮어쓰기 → 평판 표 도메인 → 최상위 도메인 규칙 순으로,
+   * 도메인은 가장 구체적인 항목을 먼저 적용
+   * @param {string} host - 호스트 (없으면 defaultTier 사용)
+   * @param {Object} table - 평판 표
+   * @param {Object} settings - 사용자 설정
+   * @param {string} defaultTier - 판정할 수 없을 때의 등급
+   * @returns {Object} - { tier, label, weight, domain, rule } (차단이면 tier: "blocked")
+   */
+  static lookup(host, table, settings, defaultTier = "unknown") {
+    const describe = (tier, domain, rule) => {
+      const info = table.tiers[tier] || table.tiers.unknown;
+      return {
+        tier: table.tiers[tier] ? tier : "unknown",
+        label: info.label,
+        weight: info.weight,
+        domain,
+        rule,
+      };
+    };
+
+    if (!host) {
+      return describe(defaultTier, "", "default");
+    }
+
+    const blocked = settings.blocklist.find((domain) =>
+      this.matchDomain(host, domain)
+    );
+    if (blocked) {
+      return {
+        tier: "blocked",
+        label: "차단",
+        weight: 0,
+        domain: blocked,
+        rule: "blocklist",
+      };
+    }
+
+    const allowed = settings.allowlist.find((domain) =>
+      this.matchDomain(host, domain)
+    );
+    if (allowed) {
+      return describe("trusted", allowed, "allowlist");
+    }
+
+    const labels = host.split(".");
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join(".");
+      if (settings.overrides[candidate]) {
+        return describe(settings.overrides[candidate], candidate, "override");
+      }
+      if (table.domains[candidate]) {
+        return describe(table.domains[candidate], candidate, "table");
+      }
+    }
+    for (let i = 1; i < labels.length; i++) {
+      const suffix = labels.slice(i).join(".");
+      if (table.suffixes[suffix]) {
+        return describe(table.suffixes[suffix], suffix, "suffix");
+      }
+    }
+
+    return describe("unknown", host, "default");
+  }
+
+  /**
+   * 검색 결과에 신뢰도를 기록하고 차단된 도메인의 결과 제거
+   * 링크가 없는 결과(로컬 자료 등)는 제공자의 credibility 등급을 사용
+   * @param {Object[]} results - 정규화된 검색 결과 배열
+   * @returns {Promise<Object[]>} - credibility가 추가된 결과 배열
+   */
+  static async apply(results) {
+    const [table, settings] = await Promise.all([
+      this.loadTable(),
+      this.loadSettings(),
+    ]);
+
+    return results
+      .map((result) => {
+        const provider =
+          HallucinationLensProviders.providers[result.providerId];
+        return {
+          ...result,
+          credibility: this.lookup(
+            this.getHost(result.url),
+            table,
+            settings,
+            (provider && provider.credibility) || "unknown"
+          ),
+        };
+      })
+      .filter((result) => {
+        if (result.credibility.tier !== "blocked") return true;
+        console.log("[HallucinationLens] 차단된 출처 제외:", result.url);
+        return false;
+      });
+  }
+}
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensCredibility = HallucinationLensCredibility;
+}
@@ -0,0 +1,433 @@
+/**
+ * HallucinationLens - 문장 함의 판정 (NLI)
+ * 주장과 근거 문장 쌍을 supports(뒷받침) / refutes(반박) / not-enough-info(근거 부족)로 분류
+ * 모든 판정은 브라우저 안에서만 실행되며, 판정기(backend)를 등록해 교체할 수 있음
+ * (ONNX/WASM 모델 같은 판정기를 같은 인터페이스로 등록해 사용하고, 규칙 기반 판정기는
+ * 모델이 없거나 실패할 때의 대체용으로 반박 신호만 찾음)
+ * 오프스크린 문서(offscreen.html)와 Background Script(대체용)에서 사용
+ */
+
+class HallucinationLensEntailment {
+  // 판정 결과 표시 이름
+  static LABELS = {
+    supports: "뒷받침",
+    refutes: "반박",
+    "not-enough-info": "근거 부족",
+  };
+
+  // 등록된 판정기 (id -> 판정기)
+  static backends = {};
+
+  // 사용할 판정기 ID (불러오지 못하면 규칙 기반으로 대체)
+  static activeBackend = "rules";
+
+  // 판정기별 준비 상태 (id -> Promise)
+  static loading = {};
+
+  /**
+   * 판정기 등록
+   * @param {Object} backend - 판정기
+   * @param {string} backend.id - 판정기 ID
+   * @param {string} backend.name - 표시 이름
+   * @param {Function} [backend.load] - async () => void (모델 파일 로드 등, 한 번만 호출)
+   * @param {Function} backend.classify - async (pairs) => [{ label, confidence, sentence }]
+   */
+  static registerBackend(backend) {
+    this.backends[backend.id] = backend;
+  }
+
+  /**
+   * 주장-근거 쌍 판정
+   * @param {Object[]} pairs - [{ claim, evidence }]
+   * @returns {Promise<Object[]>} - [{ label, confidence, sentence, backend }]
+   */
+  static async classify(pairs) {
+    const backend = this.backends[this.activeBackend] || this.backends.rules;
+
+    try {
+      await this.prepare(backend);
+      const results = await backend.classify(pairs);
+      return results.map((result) => ({ ...result, backend: backend.id }));
+    } catch (error) {
+      if (backend.id === "rules") throw error;
+      console.warn(
+        `[HallucinationLens] ${backend.name} 판정 실패, 규칙 기반으로 대체:`,
+        error
+      );
+      const results = await this.backends.rules.classify(pairs);
+      return results.map((result) => ({ ...result, backend: "rules" }));
+    }
+  }
+
+  /**
+   * 판정기 준비 (load가 있으면 한 번만 실행)
+   * @param {Object} backend - 판정기
+   * @returns {Promise<void>}
+   */
+  static prepare(backend) {
+    if (!backend.load) return Promise.resolve();
+    if (!this.loading[backend.id]) {
+      this.loading[backend.id] = backend.load().catch((error) => {
+        delete this.loading[backend.id];
+        throw error;
+      });
+    }
+    return this.loading[backend.id];
+  }
+}
+
+// 규칙 기반 판정기 (대체용)
+// 어휘 겹침으로 근거 문장을 고르고, 수치/연도 불일치, 부정 표현, 반대말로 반박을 판단
+// (부정 표현/반대말만으로 판단한 반박은 확신도를 낮춰, 점수에는 확신도가 충분할 때만 반영)
+// 어휘가 겹친다고 같은 뜻은 아니므로 뒷받침으로는 판정하지 않고, 반박 신호가 없으면 근거 부족으로 둠
+HallucinationLensEntailment.registerBackend({
+  id: "rules",
+  name: "규칙 기반",
+
+  // 주장의 내용어 중 이 비율 이상이 근거 문장에 있어야 같은 내용을 다룬다고 봄
+  MIN_COVERAGE: 0.5,
+
+  // 수치 비교 허용 오차 (비율)
+  NUMBER_TOLERANCE: 0.01,
+
+  // 부정 표현/반대말만으로 판단한 반박의 확신도 비율 (수치 불일치보다 오판이 잦음)
+  CUE_CONFIDENCE: 0.7,
+
+  STOPWORDS: new Set([
+    "in",
+    "on",
+    "at",
+    "of",
+    "to",
+    "by",
+    "as",
+    "is",
+    "it",
+    "an",
+    "or",
+    "be",
+    "the",
+    "and",
+    "for",
+    "that",
+    "this",
+    "with",
+    "from",
+    "was",
+    "were",
+    "are",
+    "has",
+    "have",
+    "had",
+    "its",
+    "his",
+    "her",
+    "their",
+    "which",
+    "who",
+    "also",
+    "been",
+    "into",
+    "about",
+    "than",
+    "not",
+    "no",
+  ]),
+
+  // 부정 표현 (언어별)
+  NEGATION_PATTERN:
+    /\b(not|no|never|neither|nor|none|without|cannot)\b|n't\b|않|아니|없|못|ない|ません|nicht|kein|jamais|pas\b|nunca|ningún/gi,
+
+  // 부정 표현이 겹쳐 긍정이 되거나 부정이 아닌 관용 표현 (부정 표현을 세기 전에 제거)
+  DOUBLE_NEGATION_PATTERN:
+    /없어서는\s*안\s*[되될된돼]|없으면\s*안\s*[되될된돼]|않(?:을|고는)\s*수\s*없|(?:없|않|아니)지\s*않|아니(?:면|고는)\s*안\s*[되될된돼]|\bnot\s+(?:only|just|merely|un\w+)\b|\bno\s+doubt\b|\bnot\s+without\b|\bcannot\s+help\b|\bwithout\s+(?:a\s+)?doubt\b/gi,
+
+  // 부정 표현의 범위를 나누는 절 경계
+  CLAUSE_PATTERN:
+    /[,;:]|\s(?:but|although|though|whereas|while|because)\s|(?:지만|는데|으나|므로|면서)\s/i,
+
+  // 반대말 쌍 (한쪽이 주장에, 다른 쪽이 근거에 나오면 반박 신호)
+  ANTONYMS: [
+    ["increase", "decrease"],
+    ["increased", "decreased"],
+    ["rise", "fall"],
+    ["before", "after"],
+    ["larger", "smaller"],
+    ["largest", "smallest"],
+    ["highest", "lowest"],
+    ["first", "last"],
+    ["oldest", "youngest"],
+    ["true", "false"],
+    ["legal", "illegal"],
+    ["possible", "impossible"],
+    ["north", "south"],
+    ["east", "west"],
+    ["증가", "감소"],
+    ["상승", "하락"],
+    ["이전", "이후"],
+    ["최대", "최소"],
+    ["최고", "최저"],
+    ["최초", "마지막"],
+    ["가능", "불가능"],
+    ["합법", "불법"],
+    ["북쪽", "남쪽"],
+    ["동쪽", "서쪽"],
+  ],
+
+  async classify(pairs) {
+    return pairs.map(({ claim, evidence }) =>
+      this.classifyPair(claim, evidence)
+    );
+  },
+
+  /**
+   * 주장 하나와 근거 텍스트 판정
+   * @param {string} claim - 주장 문장
+   * @param {string} evidence - 근거 텍스트 (여러 문장 가능)
+   * @returns {Object} - { label, confidence, sentence }
+   */
+  classifyPair(claim, evidence) {
+    const claimTerms = new Set(this.tokenize(claim));
+    if (claimTerms.size === 0 || !evidence) {
+      return { label: "not-enough-info", confidence: 0, sentence: "" };
+    }
+
+    // 주장과 충분히 겹치는 근거 문장 (겹치는 비율 순)
+    const scored = this.splitSentences(evidence)
+      .map((sentence) => {
+        const terms = new Set(this.tokenize(sentence));
+        const overlap = [...claimTerms].filter((term) =>
+          terms.has(term)
+        ).length;
+        return { sentence, coverage: overlap / claimTerms.size };
+      })
+      .sort((a, b) => b.coverage - a.coverage);
+    const related = scored.filter((item) => item.coverage >= this.MIN_COVERAGE);
+    const round = (value) => Math.round(value * 100) / 100;
+
+    if (related.length === 0) {
+      return {
+        label: "not-enough-info",
+        confidence: round(scored.length > 0 ? scored[0].coverage : 0),
+        sentence: scored.length > 0 ? scored[0].sentence : "",
+      };
+    }
+
+    // 주장의 수치를 모두 담은 문장이 있으면 다른 문장의 수치(다른 사건의 연도 등)는 반박으로 보지 않음
+    const confirmed = related.find((item) =>
+      this.containsNumbers(claim, item.sentence)
+    );
+
+    for (const item of related) {
+      const numberConflict =
+        !confirmed && this.findNumberConflict(claim, item.sentence);
+      const conflict =
+        numberConflict ||
+        this.findNegationConflict(claim, item.sentence) ||
+        this.findAntonymConflict(claim, item.sentence);
+      if (conflict) {
+        const byNumber = conflict === numberConflict;
+        return {
+          label: "refutes",
+          confidence: round(
+            item.coverage * (byNumber ? 1 : this.CUE_CONFIDENCE)
+          ),
+          sentence: item.sentence,
+          reason: conflict,
+        };
+      }
+    }
+
+    // 반박 신호가 없으면 근거 부족 (confidence는 가장 관련 있는 문장과 겹치는 비율)
+    const best = confirmed || related[0];
+    return {
+      label: "not-enough-info",
+      confidence: round(best.coverage),
+      sentence: best.sentence,
+    };
+  },
+
+  /**
+   * 내용어 토큰 분리 (한글은 조사/어미를 뗀 뒤 글자 2-gram, 그 외는 2글자 이상 단어,
+   * 수치와 "1443년에"처럼 수치에 붙은 단위, "없어서는 안 될" 같은 관용 표현은 제외)
+   * @param {string} text - 텍스트
+   * @returns {string[]} - 토큰 배열
+   */
+  tokenize(text) {
+    const tokens = [];
+    const source = String(text || "")
+      .toLowerCase()
+      .replace(this.DOUBLE_NEGATION_PATTERN, " ");
+    for (const match of source.matchAll(/\p{L}+/gu)) {
+      if (match.index > 0 && /\d/.test(source[match.index - 1])) continue;
+
+      const word = match[0];
+      if (/[가-힣]/.test(word)) {
+        const stem =
+          typeof HallucinationLensKorean !== "undefined"
+            ? HallucinationLensKorean.normalizeWord(word)
+            : word;
+        for (let i = 0; i < stem.length - 1; i++) {
+          tokens.push(stem.slice(i, i + 2));
+        }
+      } else if (word.length >= 2 && !this.STOPWORDS.has(word)) {
+        tokens.push(word);
+      }
+    }
+    return tokens;
+  },
+
+  /**
+   * 문장 분리
+   * @param {string} text - 텍스트
+   * @returns {string[]} - 문장 배열
+   */
+  splitSentences(text) {
+    return (String(text).match(/[^.!?。\n]+[.!?。]*/g) || [])
+      .map((sentence) => sentence.trim())
+      .filter((sentence) => sentence.length > 0);
+  },
+
+  /**
+   * 텍스트의 수치 추출 (천 단위 구분 기호 제거, 4자리 연도는 따로 표시)
+   * @param {string} text - 텍스트
+   * @returns {Object[]} - [{ value, isYear }]
+   */
+  extractNumbers(text) {
+    return (String(text).match(/\d[\d,]*(?:\.\d+)?/g) || [])
+      .map((raw) => raw.replace(/,(?=\d{3}\b)/g, ""))
+      .map((raw) => ({
+        value: Number(raw),
+        isYear: /^(1\d|20)\d{2}$/.test(raw),
+      }))
+      .filter((number) => Number.isFinite(number.value));
+  },
+
+  /**
+   * 주장의 수치가 모두 근거 문장에 있는지 확인 (주장에 수치가 없으면 false)
+   * @param {string} claim - 주장 문장
+   * @param {string} sentence - 근거 문장
+   * @returns {boolean} - 모두 있는지 여부
+   */
+  containsNumbers(claim, sentence) {
+    const stated = this.extractNumbers(claim);
+    const found = this.extractNumbers(sentence);
+    return (
+      stated.length > 0 &&
+      stated.every((number) =>
+        found.some((other) => this.isSameNumber(number, other))
+      )
+    );
+  },
+
+  /**
+   * 같은 수치인지 확인 (연도는 정확히 같아야 하고, 그 외는 허용 오차 안이면 같음)
+   * @param {Object} a - { value, isYear }
+   * @param {Object} b - 비교할 수치
+   * @returns {boolean} - 같은지 여부
+   */
+  isSameNumber(a, b) {
+    if (a.isYear || b.isYear) {
+      return a.value === b.value;
+    }
+    return (
+      Math.abs(a.value - b.value) <= Math.abs(b.value) * this.NUMBER_TOLERANCE
+    );
+  },
+
+  /**
+   * 주장의 수치(연도)가 근거 문장의 같은 종류 수치와 하나도 맞지 않으면 반박 신호
+   * @param {string} claim - 주장 문장
+   * @param {string} sentence - 근거 문장
+   * @returns {string|null} - 반박 이유
+   */
+  findNumberConflict(claim, sentence) {
+    const claimNumbers = this.extractNumbers(claim);
+    const evidenceNumbers = this.extractNumbers(sentence);
+
+    for (const isYear of [true, false]) {
+      const stated = claimNumbers.filter((number) => number.isYear === isYear);
+      const found = evidenceNumbers.filter(
+        (number) => number.isYear === isYear
+      );
+      if (stated.length === 0 || found.length === 0) continue;
+
+      const matched = stated.some((number) =>
+        found.some((other) => this.isSameNumber(number, other))
+      );
+      if (!matched) {
+        return `${isYear ? "연도" : "수치"} 불일치 (답변 ${stated
+          .map((number) => number.value)
+          .join(", ")} / 자료 ${found
+          .map((number) => number.value)
+          .join(", ")})`;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * 한쪽에만 부정 표현이 있으면 반박 신호
+   * 상대 문장과 내용어가 겹치는 절의 부정 표현만 세고, "없어서는 안 될"처럼
+   * 겹쳐서 긍정이 되는 표현은 세지 않음
+   * @param {string} claim - 주장 문장
+   * @param {string} sentence - 근거 문장
+   * @returns {string|null} - 반박 이유
+   */
+  findNegationConflict(claim, sentence) {
+    const count = (text, other) => {
+      const otherTerms = new Set(this.tokenize(other));
+      return String(text)
+        .replace(this.DOUBLE_NEGATION_PATTERN, " ")
+        .split(this.CLAUSE_PATTERN)
+        .filter((clause) =>
+          this.tokenize(clause).some((term) => otherTerms.has(term))
+        )
+        .reduce(
+          (total, clause) =>
+            total + (clause.match(this.NEGATION_PATTERN) || []).length,
+          0
+        );
+    };
+    return count(claim, sentence) % 2 !== count(sentence, claim) % 2
+      ? "부정 표현 불일치"
+      : null;
+  },
+
+  /**
+   * 주장과 근거 문장에 서로 반대되는 표현이 있으면 반박 신호
+   * @param {string} claim - 주장 문장
+   * @param {string} sentence - 근거 문장
+   * @returns {string|null} - 반박 이유
+   */
+  findAntonymConflict(claim, sentence) {
+    const has = (text, word) =>
+      /[가-힣]/.test(word)
+        ? text.includes(word)
+        : new RegExp(`\\b${word}\\b`, "i").test(text);
+
+    for (const [first, second] of this.ANTONYMS) {
+      for (const [stated, opposite] of [
+        [first, second],
+        [second, first],
+      ]) {
+        if (
+          has(claim, stated) &&
+          !has(claim, opposite) &&
+          has(sentence, opposite) &&
+          !has(sentence, stated)
+        ) {
+          return `반대 표현 (답변 "${stated}" / 자료 "${opposite}")`;
+        }
+      }
+    }
+
+    return null;
+  },
+});
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensEntailment = HallucinationLensEntailment;
+}
@@ -0,0 +1,282 @@
+/**
+ * HallucinationLens - 근거 문단 추출
+ * 상위 검색 결과의 원문 페이지를 가져와 본문만 남기고 구절로 나눈 뒤,
+ * 검증할 문장과 가장 잘 맞는 구절(과 그 안의 문장)을 결과에 붙임
+ * Background Script(importScripts)에서 사용 (구절 분할과 토큰화는 HallucinationLensCorpus 사용,
+ * 가져올 수 있는 주소인지는 HallucinationLensNetwork로 확인)
+ */
+
+class HallucinationLensEvidence {
+  // 원문을 가져올 상위 결과 수
+  static MAX_PAGES = 2;
+
+  // 결과 하나에 붙일 구절 수
+  static MAX_PASSAGES = 2;
+
+  // 메뉴, 버튼 문구처럼 짧은 구절은 근거로 쓰지 않음
+  static MIN_PASSAGE_LENGTH = 40;
+
+  // 지나치게 큰 페이지는 앞부분만 사용 (문자 수)
+  static MAX_PAGE_LENGTH = 500000;
+
+  // 검증 문장의 토큰 중 이 비율 이상이 나와야 근거 구절로 인정
+  static MIN_MATCH_RATIO = 0.3;
+
+  // 캐시 적중/미적중을 기록할 meta 항목 (검색 통계와 따로 기록)
+  static CACHE_STATS = "evidenceStats";
+
+  // 본문이 아닌 영역 (내용째 제거)
+  static BOILERPLATE_TAGS = [
+    "head",
+    "script",
+    "style",
+    "noscript",
+    "template",
+    "svg",
+    "nav",
+    "header",
+    "footer",
+    "aside",
+    "form",
+    "iframe",
+    "button",
+    "select",
+  ];
+
+  /**
+   * 상위 결과에 근거 구절 붙이기 (원문을 가져오지 못한 결과는 그대로 둠)
+   * @param {Object[]} results - 정규화된 검색 결과 배열
+   * @param {string} claim - 검증할 문장 (없으면 검색 쿼리)
+   * @param {Object} settings - 검색 설정 (캐시 유지 시간)
+   * @returns {Promise<Object[]>} - passages가 추가된 결과 배열
+   */
+  static async attach(results, claim, settings = {}) {
+    const ttlMinutes = Number(settings.cacheTtlMinutes) || 0;
+    const candidates = results.filter((result) => this.isFetchable(result));
+    const permitted = await Promise.all(
+      candidates.map((result) => HallucinationLensNetwork.canFetch(result.url))
+    );
+    const targets = candidates
+      .filter((result, index) => permitted[index])
+      .slice(0, this.MAX_PAGES);
+
+    const passagesByUrl = new Map(
+      await Promise.all(
+        targets.map(async (result) => {
+          try {
+            return [
+              result.url,
+              await this.getPassages(result.url, claim, ttlMinutes),
+            ];
+          } catch (error) {
+            console.warn(
+              "[HallucinationLens] 근거 문단 추출 실패:",
+              result.url,
+              error
+            );
+            return [result.url, []];
+          }
+        })
+      )
+    );
+
+    return results.map((result) => {
+      const passages = passagesByUrl.get(result.url);
+      return passages && passages.length > 0 ? { ...result, passages } : result;
+    });
+  }
+
+  /**
+   * 원문을 가져올 수 있는 결과인지 확인
+   * (http/https 링크가 있고, 제공자가 evidence: false로 제외하지 않은 결과)
+   * @param {Object} result - 검색 결과
+   * @returns {boolean} - 가져올 수 있는지 여부
+   */
+  static isFetchable(result) {
+    const provider = HallucinationLensProviders.providers[result.providerId];
+    return (
+      /^https?:\/\//i.test(result.url || "") &&
+      !(provider && provider.evidence === false)
+    );
+  }
+
+  /**
+   * 원문 페이지에서 근거 구절 찾기 (검색 결과 캐시가 있으면 함께 사용)
+   * @param {string} url - 원문 URL
+   * @param {string} claim - 검증할 문장
+   * @param {number} ttlMinutes - 캐시 유지 시간 (분, 0이면 캐시 사용 안 함)
+   * @returns {Promise<Object[]>} - 구절 배열 ({ heading, text, sentence, score })
+   */
+  static getPassages(url, claim, ttlMinutes) {
+    const cache = HallucinationLensProviders.cache;
+    const fetcher = () => this.fetchPassages(url, claim);
+
+    if (!cache || ttlMinutes <= 0) {
+      return fetcher();
+    }
+    return cache.fetch(
+      ["evidence", url, cache.normalize(claim)].join("|"),
+      ttlMinutes,
+      fetcher,
+      this.CACHE_STATS
+    );
+  }
+
+  /**
+   * 원문을 가져와 구절로 나누고 검증 문장과 맞는 구절 고르기
+   * @param {string} url - 원문 URL
+   * @param {string} claim - 검증할 문장
+   * @returns {Promise<Object[]>} - 구절 배열
+   */
+  static async fetchPassages(url, claim) {
+    const response = await HallucinationLensProviders.fetch("evidence", url, {
+      redirect: "follow",
+    });
+    if (
+      !response.ok ||
+      (response.url && !HallucinationLensNetwork.isPublicUrl(response.url))
+    ) {
+      return [];
+    }
+
+    const contentType = response.headers.get("content-type") || "";
+    if (!/text\/(html|plain)|application\/xhtml/.test(contentType)) {
+      return [];
+    }
+
+    const body = (await response.text()).slice(0, this.MAX_PAGE_LENGTH);
+    const text = /text\/plain/.test(contentType)
+      ? body
+      : this.extractText(body);
+
+    const passages = HallucinationLensCorpus.chunk(text).filter(
+      (passage) => passage.text.length >= this.MIN_PASSAGE_LENGTH
+    );
+    return this.rankPassages(passages, claim);
+  }
+
+  /**
+   * HTML에서 본문 텍스트만 추출 (탐색 메뉴, 머리말/꼬리말 등 제거)
+   * <main>이나 <article>이 있으면 그 영역만 사용
+   * @param {string} html - HTML 문자열
+   * @returns {string} - 제목("# ")과 문단으로 이루어진 텍스트
+   */
+  static extractText(html) {
+    let content = html.replace(/<!--[\s\S]*?-->/g, "");
+    this.BOILERPLATE_TAGS.forEach((tag) => {
+      content = content.replace(
+        new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}>`, "gi"),
+        ""
+      );
+    });
+
+    const main =
+      content.match(/<main\b[^>]*>([\s\S]*)<\/main>/i) ||
+      content.match(/<article\b[^>]*>([\s\S]*)<\/article>/i);
+    if (main) {
+      content = main[1];
+    }
+
+    return this.decodeEntities(HallucinationLensCorpus.htmlToText(content))
+      .replace(/\[(?:\d+|[a-z]|편집|edit)\]/gi, "")
+      .replace(/[ \t]+/g, " ");
+  }
+
+  /**
+   * 남은 HTML 엔티티 변환 (숫자 엔티티와 자주 쓰이는 이름 엔티티)
+   * @param {string} text - 텍스트
+   * @returns {string} - 변환된 텍스트
+   */
+  static decodeEntities(text) {
+    const named = { quot: '"', apos: "'", nbsp: " ", ndash: "–", mdash: "—" };
+
+    return text
+      .replace(/&#x([0-9a-f]+);/gi, (match, hex) =>
+        String.fromCodePoint(parseInt(hex, 16))
+      )
+      .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+      .replace(/&([a-z]+);/gi, (match, name) =>
+        name.toLowerCase() in named ? named[name.toLowerCase()] : match
+      );
+  }
+
+  /**
+   * 페이지 구절을 BM25로 순위를 매겨 상위 구절 선택
+   * @param {Object[]} passages - 구절 배열 ({ heading, text })
+   * @param {string} claim - 검증할 문장
+   * @returns {Object[]} - 상위 구절 배열 ({ heading, text, sentence, score })
+   */
+  static rankPassages(passages, claim) {
+    const queryTerms = [...new Set(HallucinationLensCorpus.tokenize(claim))];
+    if (queryTerms.length === 0 || passages.length === 0) return [];
+
+    const tokenized = passages.map((passage) =>
+      HallucinationLensCorpus.tokenize(`${passage.heading} ${passage.text}`)
+    );
+    const averageLength =
+      tokenized.reduce((sum, tokens) => sum + tokens.length, 0) /
+        tokenized.length || 1;
+    const documentFrequency = {};
+    queryTerms.forEach((term) => {
+      documentFrequency[term] = tokenized.filter((tokens) =>
+        tokens.includes(term)
+      ).length;
+    });
+
+    const { BM25_K1: k1, BM25_B: b } = HallucinationLensCorpus;
+    return passages
+      .map((passage, index) => {
+        const tokens = tokenized[index];
+        let score = 0;
+        let matched = 0;
+
+        queryTerms.forEach((term) => {
+          const frequency = tokens.filter((token) => token === term).length;
+          if (frequency === 0) return;
+          matched++;
+          const idf = Math.log(
+            1 +
+              (passages.length - documentFrequency[term] + 0.5) /
+                (documentFrequency[term] + 0.5)
+          );
+          score +=
+            (idf * frequency * (k1 + 1)) /
+            (frequency + k1 * (1 - b + (b * tokens.length) / averageLength));
+        });
+
+        return { passage, score, ratio: matched / queryTerms.length };
+      })
+      .filter((item) => item.ratio >= this.MIN_MATCH_RATIO)
+      .sort((x, y) => y.score - x.score)
+      .slice(0, this.MAX_PASSAGES)
+      .map(({ passage, score }) => ({
+        heading: passage.heading,
+        text: passage.text,
+        sentence: this.findBestSentence(passage.text, queryTerms),
+        score: Math.round(score * 100) / 100,
+      }));
+  }
+
+  /**
+   * 구절 안에서 검증 문장과 가장 많이 겹치는 문장 찾기 (오버레이 강조용)
+   * @param {string} text - 구절 본문
+   * @param {string[]} queryTerms - 검증 문장의 토큰
+   * @returns {string} - 가장 잘 맞는 문장
+   */
+  static findBestSentence(text, queryTerms) {
+    const sentences = text.match(/[^.!?。]+[.!?。]*/g) || [text];
+    let best = sentences[0];
+    let bestCount = -1;
+
+    sentences.forEach((sentence) => {
+      const tokens = new Set(HallucinationLensCorpus.tokenize(sentence));
+      const count = queryTerms.filter((term) => tokens.has(term)).length;
+      if (count > bestCount) {
+        best = sentence;
+        bestCount = count;
+      }
+    });
+
+    return best.trim();
+  }
+}
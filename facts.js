@@ -0,0 +1,703 @@
+/**
+ * HallucinationLens - 사실 추출기
+ * 답변에서 개체명(인물, 기관, 장소, 제품)과 날짜, 연도, 수량, 비율, 금액을 추출
+ */
+
+class HallucinationLensFacts {
+  // 숫자 뒤에 붙는 배수 단위
+  static SCALE_WORDS = {
+    thousand: 1e3,
+    million: 1e6,
+    billion: 1e9,
+    trillion: 1e12,
+    k: 1e3,
+    bn: 1e9,
+    천: 1e3,
+    만: 1e4,
+    억: 1e8,
+    조: 1e12,
+  };
+
+  static MONTHS = {
+    january: 1,
+    february: 2,
+    march: 3,
+    april: 4,
+    may: 5,
+    june: 6,
+    july: 7,
+    august: 8,
+    september: 9,
+    october: 10,
+    november: 11,
+    december: 12,
+    jan: 1,
+    feb: 2,
+    mar: 3,
+    apr: 4,
+    jun: 6,
+    jul: 7,
+    aug: 8,
+    sep: 9,
+    sept: 9,
+    oct: 10,
+    nov: 11,
+    dec: 12,
+  };
+
+  static CURRENCY_SYMBOLS = {
+    $: "USD",
+    "€": "EUR",
+    "£": "GBP",
+    "¥": "JPY",
+    "₩": "KRW",
+  };
+
+  static CURRENCY_WORDS = {
+    달러: "USD",
+    dollars: "USD",
+    dollar: "USD",
+    usd: "USD",
+    원: "KRW",
+    won: "KRW",
+    krw: "KRW",
+    엔: "JPY",
+    yen: "JPY",
+    jpy: "JPY",
+    유로: "EUR",
+    euros: "EUR",
+    euro: "EUR",
+    eur: "EUR",
+    위안: "CNY",
+    yuan: "CNY",
+    파운드: "GBP",
+    pounds: "GBP",
+    gbp: "GBP",
+  };
+
+  static ORGANIZATION_SUFFIXES = [
+    "Inc",
+    "Corp",
+    "Corporation",
+    "Company",
+    "Co",
+    "Ltd",
+    "LLC",
+    "Group",
+    "University",
+    "Institute",
+    "Foundation",
+    "Association",
+    "Agency",
+    "Bank",
+    "Organization",
+    "Society",
+    "Council",
+    "Committee",
+    "Ministry",
+    "Department",
+    "Labs",
+    "Technologies",
+  ];
+
+  static PLACE_WORDS = [
+    "City",
+    "River",
+    "Mountain",
+    "Mount",
+    "Lake",
+    "Island",
+    "Islands",
+    "Ocean",
+    "Sea",
+    "Republic",
+    "Kingdom",
+    "State",
+    "Province",
+    "County",
+    "Valley",
+    "Bay",
+    "Tower",
+    "Bridge",
+    "Palace",
+    "Castle",
+    "Temple",
+    "Park",
+    "Square",
+    "Street",
+    "Airport",
+    "Station",
+  ];
+
+  static KNOWN_PLACES = new Set([
+    "korea",
+    "south korea",
+    "north korea",
+    "japan",
+    "china",
+    "united states",
+    "usa",
+    "america",
+    "canada",
+    "mexico",
+    "brazil",
+    "france",
+    "germany",
+    "italy",
+    "spain",
+    "united kingdom",
+    "england",
+    "russia",
+    "india",
+    "australia",
+    "europe",
+    "asia",
+    "africa",
+    "seoul",
+    "busan",
+    "tokyo",
+    "beijing",
+    "shanghai",
+    "london",
+    "paris",
+    "berlin",
+    "new york",
+    "washington",
+    "california",
+    "한국",
+    "대한민국",
+    "북한",
+    "일본",
+    "중국",
+    "미국",
+    "캐나다",
+    "영국",
+    "프랑스",
+    "독일",
+    "이탈리아",
+    "스페인",
+    "러시아",
+    "인도",
+    "호주",
+    "유럽",
+    "아시아",
+    "아프리카",
+    "서울",
+    "부산",
+    "인천",
+    "대구",
+    "대전",
+    "광주",
+    "제주",
+    "도쿄",
+    "베이징",
+    "런던",
+    "파리",
+    "베를린",
+    "뉴욕",
+  ]);
+
+  static PERSON_TITLES = [
+    "Mr",
+    "Mrs",
+    "Ms",
+    "Dr",
+    "Prof",
+    "President",
+    "King",
+    "Queen",
+    "Sir",
+    "CEO",
+    "Senator",
+    "Minister",
+  ];
+
+  // 문장 맨 앞에 자주 오는 대문자 일반 단어 (개체명으로 보지 않음)
+  static COMMON_CAPITALIZED = new Set([
+    "The",
+    "A",
+    "An",
+    "This",
+    "That",
+    "These",
+    "Those",
+    "It",
+    "Its",
+    "In",
+    "On",
+    "At",
+    "For",
+    "From",
+    "By",
+    "With",
+    "However",
+    "Also",
+    "Additionally",
+    "Moreover",
+    "Furthermore",
+    "Today",
+    "Yes",
+    "No",
+    "Here",
+    "There",
+    "When",
+    "While",
+    "After",
+    "Before",
+    "During",
+    "As",
+    "If",
+    "Some",
+    "Many",
+    "Most",
+    "Other",
+    "Overall",
+    "First",
+    "Second",
+    "Finally",
+    "I",
+    "We",
+    "You",
+    "They",
+    "He",
+    "She",
+    "Later",
+    "Earlier",
+    "Then",
+    "Now",
+    "Next",
+    "Thus",
+    "Therefore",
+    "Meanwhile",
+    "Instead",
+    "Still",
+    "Since",
+    "Although",
+    "Though",
+    "Because",
+    "Despite",
+    "Currently",
+    "Recently",
+    "Initially",
+    "Originally",
+    "Eventually",
+    "Ultimately",
+    "Hope",
+    "Unfortunately",
+    "Fortunately",
+    "Similarly",
+    "Nevertheless",
+    "Indeed",
+    "Perhaps",
+    "Generally",
+    "Typically",
+    "Usually",
+    "Notably",
+    "Importantly",
+    "Interestingly",
+    "Specifically",
+    "Once",
+    "Yet",
+    "So",
+    "But",
+    "And",
+    "Or",
+    "Both",
+    "Each",
+    "Every",
+    "All",
+    "Such",
+    "Their",
+    "His",
+    "Her",
+    "Our",
+    "What",
+    "Which",
+    "Who",
+    "How",
+    "Why",
+    "Where",
+  ]);
+
+  /**
+   * 텍스트에서 유형별 사실을 추출하는 함수
+   * @param {string} text - 분석할 텍스트
+   * @returns {Object[]} - 사실 배열 ({ type, text, value, unit })
+   */
+  static extract(text) {
+    if (!text || typeof text !== "string") {
+      return [];
+    }
+
+    const facts = [];
+    // 이미 다른 사실로 인식된 구간은 다시 추출하지 않음
+    const taken = [];
+    const claim = (start, end) => {
+      if (taken.some(([s, e]) => start < e && end > s)) {
+        return false;
+      }
+      taken.push([start, end]);
+      return true;
+    };
+
+    const addMatches = (pattern, build) => {
+      for (const match of text.matchAll(pattern)) {
+        const fact = build(match);
+        if (fact && claim(match.index, match.index + match[0].length)) {
+          facts.push({ ...fact, text: match[0].trim(), index: match.index });
+        }
+      }
+    };
+
+    // 날짜 (연-월-일 순서로 구체적인 패턴부터)
+    addMatches(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, (m) =>
+      this.buildDate(m[1], m[2], m[3])
+    );
+    addMatches(/(\d{4})\s*년\s*(\d{1,2})\s*월(?:\s*(\d{1,2})\s*일)?/g, (m) =>
+      this.buildDate(m[1], m[2], m[3])
+    );
+    addMatches(
+      /\b([A-Z][a-z]{2,8})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/g,
+      (m) => this.buildDate(m[3], this.MONTHS[m[1].toLowerCase()], m[2])
+    );
+    addMatches(/\b(\d{1,2})\s+([A-Z][a-z]{2,8})\.?,?\s+(\d{4})\b/g, (m) =>
+      this.buildDate(m[3], this.MONTHS[m[2].toLowerCase()], m[1])
+    );
+    addMatches(/\b([A-Z][a-z]{2,8})\s+(\d{4})\b/g, (m) =>
+      this.buildDate(m[2], this.MONTHS[m[1].toLowerCase()])
+    );
+
+    // 금액
+    addMatches(
+      /([$€£¥₩])\s?(\d[\d,]*(?:\.\d+)?)(?:\s?(thousand|million|billion|trillion|bn|k)\b)?/gi,
+      (m) => ({
+        type: "currency",
+        value: this.parseNumber(m[2], m[3]),
+        unit: this.CURRENCY_SYMBOLS[m[1]],
+      })
+    );
+    addMatches(
+      /(\d[\d,]*(?:\.\d+)?)\s?(thousand|million|billion|trillion|천|만|억|조)?\s?(달러|dollars?|usd|원|won|krw|엔|yen|jpy|유로|euros?|eur|위안|yuan|파운드|pounds|gbp)(?![a-z])/gi,
+      (m) => ({
+        type: "currency",
+        value: this.parseNumber(m[1], m[2]),
+        unit: this.CURRENCY_WORDS[m[3].toLowerCase()],
+      })
+    );
+
+    // 비율
+    addMatches(
+      /(\d+(?:\.\d+)?)\s?(%|percent\b|퍼센트|프로(?![가-힣]))/gi,
+      (m) => ({ type: "percentage", value: parseFloat(m[1]), unit: "%" })
+    );
+
+    // 수량 (숫자 + 배수 단위 + 측정 단위)
+    addMatches(
+      /(\d[\d,]*(?:\.\d+)?)\s?(thousand|million|billion|trillion|천|만|억|조)?\s?(km²|km2|km|kg|mg|cm|mm|m|meters?|metres?|kilometers?|kilometres?|miles?|feet|ft|tons?|톤|킬로미터|미터|킬로그램|명|개|대|곳|권|people|users|employees|times|배|years?|년간|시간|hours?|days?|일간|gb|tb|mb|parameters|토큰|tokens)(?![a-z])/gi,
+      (m) => ({
+        type: "quantity",
+        value: this.parseNumber(m[1], m[2]),
+        unit: m[3].toLowerCase(),
+      })
+    );
+
+    // 연도
+    addMatches(/\b(1[0-9]{3}|20[0-9]{2})\s*(?:년|s\b)?/g, (m) => {
+      const year = parseInt(m[1], 10);
+      return year >= 1000 && year <= 2100
+        ? { type: "year", value: year, unit: null }
+        : null;
+    });
+
+    // 배수 단위만 붙은 수량 (950만, 3 million)
+    addMatches(
+      /(\d[\d,]*(?:\.\d+)?)\s?(thousand|million|billion|trillion|천|만|억|조)(?![a-z])/gi,
+      (m) => ({
+        type: "quantity",
+        value: this.parseNumber(m[1], m[2]),
+        unit: null,
+      })
+    );
+
+    facts.push(...this.extractEntities(text, claim));
+
+    facts.sort((a, b) => a.index - b.index);
+
+    console.log("[HallucinationLens] 사실 추출 결과:", facts);
+
+    return facts;
+  }
+
+  /**
+   * 개체명(인물, 기관, 장소, 제품) 추출
+   * @param {string} text - 분석할 텍스트
+   * @param {Function} claim - 구간 중복 확인 함수
+   * @returns {Object[]} - 개체 사실 배열
+   */
+  static extractEntities(text, claim) {
+    const entities = [];
+    const seen = new Set();
+
+    const add = (type, name, index) => {
+      const key = `${type}:${name.toLowerCase()}`;
+      if (seen.has(key) || !claim(index, index + name.length)) {
+        return;
+      }
+      seen.add(key);
+      entities.push({ type, text: name, value: name, unit: null, index });
+    };
+
+    // 영문 대문자 연속 구간 (of, the 등 연결어 허용)
+    const capitalized =
+      /\b[A-Z][\w&'-]*(?:\s+(?:(?:of|the|for|and|de|von)\s+)?[A-Z][\w&'-]*)*/g;
+    for (const match of text.matchAll(capitalized)) {
+      let name = match[0];
+      let index = match.index;
+      const words = name.split(/\s+/);
+
+      // 문장 앞의 일반 단어 제거 ("The Eiffel Tower" -> "Eiffel Tower")
+      while (words.length > 0 && this.COMMON_CAPITALIZED.has(words[0])) {
+        index += words[0].length + 1;
+        words.shift();
+      }
+      if (words.length === 0) continue;
+      if (
+        words.length === 1 &&
+        this.isSentenceInitialWord(words[0], text, index)
+      ) {
+        continue;
+      }
+      name = words.join(" ");
+
+      const type = this.classifyEnglishEntity(words, text, index);
+      if (type) {
+        add(type, name, index);
+      }
+    }
+
+    // 한국어 개체명 (직함, 접미사, 알려진 지명 기준)
+    const koreanWord = /[가-힣A-Za-z0-9]+/g;
+    for (const match of text.matchAll(koreanWord)) {
+      const word = HallucinationLensKorean.normalizeWord(match[0]);
+      if (!/[가-힣]/.test(word) || word.length < 2) continue;
+
+      const type = this.classifyKoreanEntity(word, text, match);
+      if (type) {
+        add(type, word, match.index);
+      }
+    }
+
+    return entities;
+  }
+
+  /**
+   * 문장 첫 단어가 대문자로 시작할 뿐인 일반 단어인지 확인
+   * 쉼표가 바로 뒤에 오거나("Later, ...") 다른 곳에서 소문자로 쓰였으면 일반 단어로 봄
+   * @param {string} word - 단어
+   * @param {string} text - 원문
+   * @param {number} index - 단어 시작 위치
+   * @returns {boolean} - 문장 첫 단어인 일반 단어이면 true
+   */
+  static isSentenceInitialWord(word, text, index) {
+    if (!/^\s*$|[.!?:]\s*$|\n\s*$/.test(text.slice(0, index))) return false;
+    if (text[index + word.length] === ",") return true;
+
+    const lower = word.toLowerCase();
+    return (
+      lower !== word &&
+      new RegExp(`(^|[^\\w])${lower}(?![\\w])`).test(text.slice(index + 1))
+    );
+  }
+
+  /**
+   * 영문 개체명 유형 분류
+   * @param {string[]} words - 개체명을 이루는 단어 배열
+   * @param {string} text - 원문
+   * @param {number} index - 개체명 시작 위치
+   * @returns {string|null} - 개체 유형 또는 null
+   */
+  static classifyEnglishEntity(words, text, index) {
+    const name = words.join(" ");
+    const last = words[words.length - 1].replace(/\.$/, "");
+    const before = text.slice(Math.max(0, index - 12), index);
+
+    if (this.ORGANIZATION_SUFFIXES.includes(last)) return "organization";
+    if (
+      this.PLACE_WORDS.some((word) => words.includes(word)) ||
+      this.KNOWN_PLACES.has(name.toLowerCase())
+    ) {
+      return "place";
+    }
+    if (
+      this.PERSON_TITLES.some((title) =>
+        new RegExp(`\\b${title}\\.?\\s*$`).test(before)
+      )
+    ) {
+      return "person";
+    }
+    // 숫자/버전이 붙거나 중간 대문자가 있으면 제품명으로 판단 (GPT-4, iPhone 15)
+    if (words.some((word) => /\d/.test(word) || /[a-z][A-Z]/.test(word))) {
+      return "product";
+    }
+    // 한 단어짜리 약어 (NASA, IBM)는 기관으로 판단
+    if (words.length === 1 && /^[A-Z]{2,6}$/.test(name)) return "organization";
+    // 두세 단어의 고유명사는 인물로 판단 (Gustave Eiffel)
+    if (words.length >= 2 && words.length <= 3) {
+      return /^(in|at|from|to)\s*$/i.test(before.trim().split(/\s+/).pop())
+        ? "place"
+        : "person";
+    }
+    if (words.length === 1 && words[0].length >= 3) return "entity";
+
+    return null;
+  }
+
+  /**
+   * 한국어 개체명 유형 분류
+   * @param {string} word - 조사를 제거한 단어
+   * @param {string} text - 원문
+   * @param {Object} match - 정규식 매치 정보
+   * @returns {string|null} - 개체 유형 또는 null
+   */
+  static classifyKoreanEntity(word, text, match) {
+    const after = text.slice(
+      match.index + match[0].length,
+      match.index + match[0].length + 6
+    );
+
+    if (this.KNOWN_PLACES.has(word)) return "place";
+    if (
+      /(대학교|대학|전자|그룹|은행|재단|협회|위원회|연구소|연구원|공사|공단|주식회사|회사|부|청|처)$/.test(
+        word
+      ) &&
+      word.length >= 3
+    ) {
+      return "organization";
+    }
+    if (/(특별시|광역시|시|도|군|반도)$/.test(word) && word.length >= 3) {
+      return "place";
+    }
+    if (
+      /^\s*(대통령|교수|박사|회장|대표|의원|장관|총리|선수|감독|작가|씨)/.test(
+        after
+      ) &&
+      word.length >= 2 &&
+      word.length <= 4
+    ) {
+      return "person";
+    }
+    if (/(대왕|왕)$/.test(word) && word.length >= 3) return "person";
+
+    return null;
+  }
+
+  /**
+   * 날짜 사실 생성
+   * @param {string|number} year - 연도
+   * @param {string|number} month - 월
+   * @param {string|number} day - 일 (선택)
+   * @returns {Object|null} - 날짜 사실 또는 null
+   */
+  static buildDate(year, month, day) {
+    const y = parseInt(year, 10);
+    const m = parseInt(month, 10);
+    const d = day ? parseInt(day, 10) : null;
+
+    if (!y || !m || m < 1 || m > 12 || (d !== null && (d < 1 || d > 31))) {
+      return null;
+    }
+
+    const pad = (n) => String(n).padStart(2, "0");
+    return {
+      type: "date",
+      value: d ? `${y}-${pad(m)}-${pad(d)}` : `${y}-${pad(m)}`,
+      unit: null,
+    };
+  }
+
+  /**
+   * 숫자 문자열과 배수 단위를 실제 값으로 변환
+   * @param {string} number - 숫자 문자열 ("1,234.5")
+   * @param {string} scale - 배수 단위 ("million", "억" 등)
+   * @returns {number} - 변환된 값
+   */
+  static parseNumber(number, scale) {
+    const base = parseFloat(String(number).replace(/,/g, ""));
+    const multiplier = scale ? this.SCALE_WORDS[scale.toLowerCase()] || 1 : 1;
+    return base * multiplier;
+  }
+
+  /**
+   * 수치/날짜 사실인지 확인
+   * @param {Object} fact - 사실 객체
+   * @returns {boolean} - 수치형 사실 여부
+   */
+  static isNumeric(fact) {
+    return ["date", "year", "quantity", "percentage", "currency"].includes(
+      fact.type
+    );
+  }
+
+  /**
+   * 수치/날짜 사실이 주어진 텍스트(검색 결과 등)에서 확인되는지 검사
+   * @param {Object} fact - 확인할 사실
+   * @param {string} text - 비교할 텍스트
+   * @returns {boolean} - 확인 여부
+   */
+  static isConfirmedBy(fact, text) {
+    if (!text) return false;
+
+    if (fact.type === "date" || fact.type === "year") {
+      const year = String(fact.value).slice(0, 4);
+      const textFacts = this.extract(text).filter(
+        (f) => f.type === "date" || f.type === "year"
+      );
+      return textFacts.some((f) =>
+        fact.type === "date" && f.type === "date"
+          ? String(f.value).startsWith(fact.value) ||
+            fact.value.startsWith(f.value)
+          : String(f.value).slice(0, 4) === year
+      );
+    }
+
+    // 수량, 비율, 금액은 1% 오차 내의 같은 값이 있으면 확인된 것으로 간주
+    const values = this.extract(text)
+      .filter((f) => typeof f.value === "number")
+      .map((f) => f.value);
+    for (const match of text.matchAll(/\d[\d,]*(?:\.\d+)?/g)) {
+      values.push(parseFloat(match[0].replace(/,/g, "")));
+    }
+
+    return values.some(
+      (value) =>
+        Math.abs(value - fact.value) <= Math.abs(fact.value) * 0.01 ||
+        value === fact.value
+    );
+  }
+
+  /**
+   * 사실 유형의 한국어 표시 이름
+   * @param {string} type - 사실 유형
+   * @returns {string} - 표시 이름
+   */
+  static getTypeLabel(type) {
+    const labels = {
+      person: "인물",
+      organization: "기관",
+      place: "장소",
+      product: "제품",
+      entity: "개체",
+      date: "날짜",
+      year: "연도",
+      quantity: "수량",
+      percentage: "비율",
+      currency: "금액",
+    };
+    return labels[type] || type;
+  }
+}
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensFacts = HallucinationLensFacts;
+}
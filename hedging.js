@@ -0,0 +1,161 @@
+/**
+ * HallucinationLens - 확신도(헤징) 분석기
+ * 답변 문장이 불확실성을 드러내는지(유보적), 단정적으로 서술하는지 판별
+ */
+
+class HallucinationLensHedging {
+  // 지식 기준 시점 언급 (답변 스스로 정보가 오래되었을 수 있음을 밝힘)
+  static CUTOFF_PATTERNS = [
+    /\b(as of|since) my (last|latest)? ?(knowledge|training|update)/i,
+    /\bknowledge cut-?off\b/i,
+    /\bmy training data\b/i,
+    /\bI (don't|do not) have (access to )?(real-time|current|up-to-date)/i,
+    /(제 |저의 )?(지식|학습 데이터|훈련 데이터)(의)? ?(기준|시점|마감)/,
+    /(최신 정보|실시간 정보)(를|에)? ?(알 수 없|확인할 수 없|접근할 수 없)/,
+    /(知識|トレーニングデータ)の(カットオフ|時点)/,
+  ];
+
+  // 불확실성 표현 (답변 스스로 내용이 틀릴 수 있음을 밝힘)
+  // 유보 표현이면서 검증 대상에서도 제외하는 기준 (HallucinationLensUtils.getClaimSkipReason과 공유)
+  static UNCERTAINTY_PATTERNS = [
+    /\b(i'?m not (sure|certain)|i am not (sure|certain)|not entirely sure|not certain)\b/i,
+    /\b(maybe|perhaps|possibly|probably|likely|unlikely|presumably)\b/i,
+    /\b(may|might|could) (be|have|not)\b/i,
+    /\b(it (seems|appears)|appears to|seems to|is believed|reportedly|allegedly)\b/i,
+    /\b(to my knowledge|as far as i know|if i recall)\b/i,
+    /(아마|아마도|어쩌면)/,
+    /(수도 있|것 같습니다|것 같아요|것으로 보입니다)/,
+    /(확실하지 않|정확하지 않을|확인이 필요|제가 알기로는|기억하기로는)/,
+    /(かもしれません|と思われます|と考えられます|おそらく|だろう|でしょう)/,
+    /\b(vielleicht|wahrscheinlich|möglicherweise)\b/i,
+  ];
+
+  // 어림/일반화/능력 표현 (유보적이지만 "약 330미터", "최대 300명을 수용할 수 있습니다"처럼
+  // 값은 검증할 수 있으므로 검증 대상에 남김)
+  static QUALIFIER_PATTERNS = [
+    /\b(approximately|roughly|around|about|estimated|an estimated)\s+\d/i,
+    /\b(generally|typically|usually|often|in most cases)\b/i,
+    /(대략|약\s*\d|추정|추산)/,
+    /(일반적으로|보통|대체로|대개|흔히)/,
+    /(것으로 알려져|알려져 있습니다|로 추정됩니다)/,
+    /(수 있습니다|수 있어요)/,
+    /\b(etwa|ungefähr)\b/i,
+  ];
+
+  // 불확실성/유보 표현
+  static HEDGE_PATTERNS = [
+    ...this.UNCERTAINTY_PATTERNS,
+    ...this.QUALIFIER_PATTERNS,
+  ];
+
+  /**
+   * 불확실성 표현이 있는 문장인지 확인 (검증 대상에서 제외할 유보 문장)
+   * @param {string} sentence - 문장
+   * @returns {boolean} - 불확실성 표현 여부
+   */
+  static isUncertain(sentence) {
+    return this.UNCERTAINTY_PATTERNS.some((pattern) => pattern.test(sentence));
+  }
+
+  // 단정/확신 표현
+  static ASSERTIVE_PATTERNS = [
+    /\b(definitely|certainly|undoubtedly|without (a )?doubt|clearly|obviously)\b/i,
+    /\b(always|never|exactly|precisely|proven|guaranteed)\b/i,
+    /\b(the fact is|it is a fact|in fact|is known to be)\b/i,
+    /(확실히|분명히|틀림없이|반드시|명백히|정확히|항상|절대|결코|입증된|사실입니다)/,
+    /(必ず|確実に|間違いなく|明らかに|常に)/,
+    /\b(definitiv|sicher|immer|niemals|genau)\b/i,
+  ];
+
+  /**
+   * 문장 하나의 확신도 판별
+   * @param {string} sentence - 분석할 문장
+   * @param {Object[]} facts - 문장에서 추출된 사실 (구체적 수치가 있으면 단정적 서술로 봄)
+   * @returns {Object} - { stance: "hedged"|"assertive"|"neutral", markers, cutoff }
+   */
+  static analyzeSentence(sentence, facts = []) {
+    const collect = (patterns) =>
+      patterns
+        .map((pattern) => (sentence.match(pattern) || [])[0])
+        .filter(Boolean)
+        .map((marker) => marker.trim());
+
+    const cutoffMarkers = collect(this.CUTOFF_PATTERNS);
+    const hedgeMarkers = collect(this.HEDGE_PATTERNS);
+    const assertiveMarkers = collect(this.ASSERTIVE_PATTERNS);
+
+    let stance = "neutral";
+    if (cutoffMarkers.length > 0 || hedgeMarkers.length > 0) {
+      stance = "hedged";
+    } else if (
+      assertiveMarkers.length > 0 ||
+      facts.some((fact) => HallucinationLensFacts.isNumeric(fact))
+    ) {
+      // 유보 표현 없이 구체적인 수치/날짜를 말하는 문장도 단정적 서술로 간주
+      stance = "assertive";
+    }
+
+    return {
+      stance,
+      markers: [...cutoffMarkers, ...hedgeMarkers, ...assertiveMarkers],
+      cutoff: cutoffMarkers.length > 0,
+    };
+  }
+
+  /**
+   * 주장 배열 전체의 확신도 분석 (각 주장에 certainty 필드를 채움)
+   * @param {Object[]} claims - segmentClaims 결과
+   * @returns {Object} - { hedgedCount, assertiveCount, total, cutoffMentioned }
+   */
+  static analyzeClaims(claims) {
+    const summary = {
+      hedgedCount: 0,
+      assertiveCount: 0,
+      total: 0,
+      cutoffMentioned: false,
+    };
+
+    claims.forEach((claim) => {
+      if (claim.skipReason === "too-short" || claim.skipReason === "greeting") {
+        return;
+      }
+
+      claim.certainty = this.analyzeSentence(
+        claim.text,
+        claim.facts || HallucinationLensFacts.extract(claim.text)
+      );
+
+      summary.total++;
+      if (claim.certainty.stance === "hedged") summary.hedgedCount++;
+      if (claim.certainty.stance === "assertive") summary.assertiveCount++;
+      if (claim.certainty.cutoff) summary.cutoffMentioned = true;
+    });
+
+    console.log("[HallucinationLens] 확신도 분석 결과:", summary);
+
+    return summary;
+  }
+
+  /**
+   * 근거 없이 단정적으로 서술된 주장 찾기
+   * 검증 결과 신뢰할 수 있는 자료가 없었던 단정적 주장을 반환
+   * @param {Object[]} claims - verifyClaims가 끝난 주장 배열
+   * @returns {Object[]} - 근거 없는 단정적 주장 배열
+   */
+  static findUnsupportedAssertions(claims) {
+    return claims.filter(
+      (claim) =>
+        claim.certainty &&
+        claim.certainty.stance === "assertive" &&
+        claim.verdict &&
+        !(claim.results || []).some(
+          (result) => result.isReliable !== false && result.source
+        )
+    );
+  }
+}
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensHedging = HallucinationLensHedging;
+}
@@ -0,0 +1,250 @@
+/**
+ * HallucinationLens - LLM 판정 (선택 기능, 기본값 꺼짐)
+ * 사용자가 지정한 OpenAI 호환 chat-completions 주소(로컬 모델 서버 등)에 문장과 근거를 보내
+ * JSON 형식의 판정(뒷받침/반박/근거 부족)과 이유를 받고, 응답 형식을 검사
+ * Background Script(importScripts)와 옵션 페이지에서 사용
+ */
+
+class HallucinationLensJudge {
+  static STORAGE_KEY = "judgeSettings";
+
+  // 사용자 설정 기본값 (사용자가 켜기 전에는 아무 데이터도 보내지 않음)
+  static DEFAULT_SETTINGS = {
+    enabled: false,
+    endpoint: "http://localhost:8080/v1/chat/completions",
+    model: "",
+    apiKey: "",
+  };
+
+  // 허용하는 판정 값과 표시 이름
+  static VERDICTS = {
+    supports: "뒷받침",
+    refutes: "반박",
+    "not-enough-info": "근거 부족",
+  };
+
+  // 모델에 보낼 근거 수와 근거 하나의 최대 길이 (문자 수)
+  static MAX_EVIDENCE = 4;
+  static MAX_EVIDENCE_LENGTH = 1200;
+
+  // 판정 이유의 최대 길이 (문자 수)
+  static MAX_RATIONALE_LENGTH = 500;
+
+  // 로컬 모델은 응답이 느릴 수 있으므로 검색보다 제한 시간을 길게 둠 (ms)
+  static TIMEOUT_MS = 30000;
+
+  // 옵션 페이지의 연결 확인에 쓰는 예시 문장과 근거
+  static TEST_CASE = {
+    claim: "The Eiffel Tower is located in Paris.",
+    results: [
+      {
+        source: "연결 확인",
+        title: "Eiffel Tower",
+        snippet:
+          "The Eiffel Tower is a wrought-iron lattice tower on the Champ de Mars in Paris, France.",
+      },
+    ],
+  };
+
+  static SYSTEM_PROMPT = [
+    "You are a fact-checking judge. Decide whether the numbered evidence supports or refutes the claim.",
+    "Use only the evidence given. If it does not settle the claim, answer not-enough-info.",
+    "Reply with a single JSON object and nothing else:",
+    '{"verdict": "supports" | "refutes" | "not-enough-info", "confidence": number between 0 and 1, "rationale": "one or two sentences", "evidence": [numbers of the evidence items you relied on]}',
+  ].join("\n");
+
+  /**
+   * 저장된 사용자 설정 불러오기 (기본값과 병합)
+   * @returns {Promise<Object>} - { enabled, endpoint, model, apiKey }
+   */
+  static async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      return { ...this.DEFAULT_SETTINGS, ...(result[this.STORAGE_KEY] || {}) };
+    } catch (error) {
+      console.error("[HallucinationLens] LLM 판정 설정 불러오기 오류:", error);
+      return { ...this.DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * 사용자 설정 저장
+   * @param {Object} settings - { enabled, endpoint, model, apiKey }
+   */
+  static async saveSettings(settings) {
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: settings });
+  }
+
+  /**
+   * chat-completions 주소 검사
+   * @param {string} endpoint - 주소
+   * @returns {boolean} - http/https 주소인지 여부
+   */
+  static isValidEndpoint(endpoint) {
+    try {
+      return /^https?:$/.test(new URL(endpoint).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 문장과 검색 결과를 모델에 보내 판정 받기
+   * @param {string} claim - 검증할 문장
+   * @param {Object[]} results - 검색 결과 배열 (passages가 있으면 구절 사용)
+   * @param {Object} settings - LLM 판정 설정
+   * @returns {Promise<Object>} - { verdict, confidence, rationale, evidence, model, host }
+   *   (요청이나 응답 형식이 잘못되면 { error, model, host })
+   */
+  static async judge(claim, results, settings) {
+    const model = settings.model || "기본 모델";
+    const host = new URL(settings.endpoint).host;
+    const evidence = this.collectEvidence(results);
+
+    try {
+      const response = await HallucinationLensScheduler.fetch(
+        "llm-judge",
+        settings.endpoint,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(settings.apiKey
+              ? { Authorization: `Bearer ${settings.apiKey}` }
+              : {}),
+          },
+          body: JSON.stringify({
+            ...(settings.model ? { model: settings.model } : {}),
+            messages: this.buildMessages(claim, evidence),
+            temperature: 0,
+            response_format: { type: "json_object" },
+          }),
+        },
+        { concurrency: 1, timeoutMs: this.TIMEOUT_MS, retries: 1 }
+      );
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const verdict = this.parseResponse(await response.json(), evidence);
+      return { ...verdict, model, host };
+    } catch (error) {
+      console.warn("[HallucinationLens] LLM 판정 실패:", error);
+      return { error: error.message, model, host };
+    }
+  }
+
+  /**
+   * 모델에 보낼 근거 목록 (원문 구절이 있으면 구절, 없으면 검색 요약)
+   * @param {Object[]} results - 검색 결과 배열
+   * @returns {Object[]} - [{ source, title, text }]
+   */
+  static collectEvidence(results) {
+    return results.slice(0, this.MAX_EVIDENCE).map((result) => ({
+      source: result.source,
+      title: result.title,
+      text: [
+        ...(result.passages || []).map((passage) => passage.text),
+        result.snippet,
+      ]
+        .join("\n")
+        .slice(0, this.MAX_EVIDENCE_LENGTH),
+    }));
+  }
+
+  /**
+   * chat-completions 메시지 생성
+   * @param {string} claim - 검증할 문장
+   * @param {Object[]} evidence - 근거 목록
+   * @returns {Object[]} - messages 배열
+   */
+  static buildMessages(claim, evidence) {
+    return [
+      { role: "system", content: this.SYSTEM_PROMPT },
+      {
+        role: "user",
+        content: [
+          `Claim: ${claim}`,
+          "",
+          "Evidence:",
+          ...evidence.map(
+            (item, index) =>
+              `[${index + 1}] ${item.title} (${item.source})\n${item.text}`
+          ),
+        ].join("\n"),
+      },
+    ];
+  }
+
+  /**
+   * 모델 응답에서 판정 JSON을 꺼내 형식 검사
+   * (코드 블록으로 감싼 응답도 허용하고, 형식이 맞지 않으면 오류)
+   * @param {Object} data - chat-completions 응답 본문
+   * @param {Object[]} evidence - 모델에 보낸 근거 목록
+   * @returns {Object} - { verdict, confidence, rationale, evidence: 근거 번호 배열 }
+   */
+  static parseResponse(data, evidence) {
+    const content =
+      data &&
+      Array.isArray(data.choices) &&
+      data.choices[0] &&
+      data.choices[0].message &&
+      data.choices[0].message.content;
+    if (typeof content !== "string") {
+      throw new Error("응답에 choices[0].message.content가 없습니다.");
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(
+        content
+          .trim()
+          .replace(/^```(?:json)?\s*/i, "")
+          .replace(/\s*```$/, "")
+      );
+    } catch (error) {
+      throw new Error("판정이 JSON 형식이 아닙니다.");
+    }
+
+    if (!parsed || typeof parsed !== "object") {
+      throw new Error("판정이 JSON 객체가 아닙니다.");
+    }
+    if (!Object.hasOwn(this.VERDICTS, String(parsed.verdict))) {
+      throw new Error(`알 수 없는 판정 값: ${parsed.verdict}`);
+    }
+    if (
+      typeof parsed.confidence !== "number" ||
+      parsed.confidence < 0 ||
+      parsed.confidence > 1
+    ) {
+      throw new Error("confidence는 0에서 1 사이의 숫자여야 합니다.");
+    }
+    if (typeof parsed.rationale !== "string" || !parsed.rationale.trim()) {
+      throw new Error("rationale이 비어 있습니다.");
+    }
+    if (
+      parsed.evidence !== undefined &&
+      !(
+        Array.isArray(parsed.evidence) &&
+        parsed.evidence.every(
+          (index) =>
+            Number.isInteger(index) && index >= 1 && index <= evidence.length
+        )
+      )
+    ) {
+      throw new Error("evidence는 근거 번호 배열이어야 합니다.");
+    }
+
+    return {
+      verdict: parsed.verdict,
+      confidence: parsed.confidence,
+      rationale: parsed.rationale.trim().slice(0, this.MAX_RATIONALE_LENGTH),
+      evidence: parsed.evidence || [],
+    };
+  }
+}
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensJudge = HallucinationLensJudge;
+}
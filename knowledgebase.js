@@ -0,0 +1,279 @@
+/**
+ * HallucinationLens - 사용자 정의 HTTP 지식 베이스
+ * 팀 내부 문서 검색처럼 HTTP로 조회할 수 있는 소스를 URL 템플릿, 메서드, 헤더와
+ * 응답 JSON 경로 매핑으로 설정하고 검색 제공자로 등록
+ * Background Script(importScripts), 팝업, 옵션 페이지에서 함께 사용
+ */
+
+class HallucinationLensKnowledgeBase {
+  // 설정 저장 키 (chrome.storage.local)
+  static STORAGE_KEY = "customProviders";
+
+  // 검색 제공자 ID 접두사 (기본 제공자와 구분)
+  static ID_PREFIX = "custom:";
+
+  // 소스 하나에서 가져올 최대 결과 수
+  static MAX_RESULTS = 5;
+
+  // 새 소스의 기본값
+  static DEFAULT_SOURCE = {
+    name: "",
+    urlTemplate: "https://docs.example.com/api/search?q={query}",
+    method: "GET",
+    headers: {},
+    bodyTemplate: "",
+    resultsPath: "results",
+    fields: {
+      title: "title",
+      url: "url",
+      snippet: "snippet",
+    },
+  };
+
+  /**
+   * 저장된 소스 목록 불러오기
+   * @returns {Promise<Object[]>} - 소스 배열
+   */
+  static async loadSources() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      return result[this.STORAGE_KEY] || [];
+    } catch (error) {
+      console.error(
+        "[HallucinationLens] 사용자 정의 소스 불러오기 오류:",
+        error
+      );
+      return [];
+    }
+  }
+
+  /**
+   * 소스 목록 저장
+   * @param {Object[]} sources - 소스 배열
+   */
+  static async saveSources(sources) {
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: sources });
+  }
+
+  /**
+   * 저장된 소스를 검색 제공자로 등록 (삭제된 소스는 등록 해제)
+   * @returns {Promise<Object[]>} - 등록된 소스 배열
+   */
+  static async registerAll() {
+    const sources = await this.loadSources();
+
+    HallucinationLensProviders.list()
+      .filter((provider) => provider.id.startsWith(this.ID_PREFIX))
+      .forEach((provider) =>
+        HallucinationLensProviders.unregister(provider.id)
+      );
+
+    sources
+      .filter((source) => this.validate(source).length === 0)
+      .forEach((source) => {
+        HallucinationLensProviders.register({
+          id: this.getProviderId(source),
+          name: source.name,
+          description: `사용자 정의 소스 (${this.getHost(source.urlTemplate)})`,
+          cacheContext: ["language"],
+          search: (query, context) => this.search(source, query, context),
+        });
+      });
+
+    return sources;
+  }
+
+  /**
+   * 소스의 검색 제공자 ID
+   * @param {Object} source - 소스 설정
+   * @returns {string} - 제공자 ID
+   */
+  static getProviderId(source) {
+    return `${this.ID_PREFIX}${source.id}`;
+  }
+
+  /**
+   * 소스 설정 검증
+   * @param {Object} source - 소스 설정
+   * @returns {string[]} - 오류 메시지 배열 (문제가 없으면 빈 배열)
+   */
+  static validate(source) {
+    const errors = [];
+
+    if (!source.id) {
+      errors.push("소스 ID가 없습니다.");
+    }
+    if (!source.name || !source.name.trim()) {
+      errors.push("이름을 입력하세요.");
+    }
+    if (!/^https?:\/\/[^/\s]+/.test(source.urlTemplate || "")) {
+      errors.push("URL 템플릿은 http:// 또는 https://로 시작해야 합니다.");
+    }
+    if (!["GET", "POST"].includes(source.method)) {
+      errors.push("HTTP 메서드는 GET 또는 POST만 사용할 수 있습니다.");
+    }
+    if (
+      !source.headers ||
+      typeof source.headers !== "object" ||
+      Array.isArray(source.headers)
+    ) {
+      errors.push("헤더는 JSON 객체여야 합니다.");
+    }
+    if (!source.fields || !source.fields.snippet) {
+      errors.push("본문(snippet) 경로를 입력하세요.");
+    }
+
+    return errors;
+  }
+
+  /**
+   * 소스에 검색 요청을 보내고 결과를 { title, url, snippet }으로 변환
+   * @param {Object} source - 소스 설정
+   * @param {string} query - 검색 쿼리
+   * @param {Object} context - 부가 정보 ({ language })
+   * @returns {Promise<Object[]>} - 검색 결과 배열
+   */
+  static async search(source, query, context = {}) {
+    const request = this.buildRequest(source, query, context);
+    const response = await HallucinationLensProviders.fetch(
+      this.getProviderId(source),
+      request.url,
+      request.init
+    );
+    if (!response.ok) {
+      throw new Error(`${source.name} HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    return this.mapResults(source, data);
+  }
+
+  /**
+   * 템플릿에 쿼리와 언어를 채워 fetch 요청 구성
+   * URL에는 URL 인코딩, 본문에는 JSON 문자열 이스케이프를 적용
+   * @param {Object} source - 소스 설정
+   * @param {string} query - 검색 쿼리
+   * @param {Object} context - 부가 정보 ({ language })
+   * @returns {Object} - { url, init }
+   */
+  static buildRequest(source, query, context = {}) {
+    const values = { query, language: context.language || "" };
+    const fill = (template, escape) =>
+      template.replace(/\{(query|language)\}/g, (match, key) =>
+        escape(values[key])
+      );
+
+    const headers = {};
+    Object.entries(source.headers || {}).forEach(([name, value]) => {
+      headers[name] = fill(String(value), (text) => text);
+    });
+
+    const init = { method: source.method, headers };
+    if (source.method === "POST" && source.bodyTemplate) {
+      init.body = fill(source.bodyTemplate, (text) =>
+        JSON.stringify(text).slice(1, -1)
+      );
+      if (!Object.keys(headers).some((name) => /^content-type$/i.test(name))) {
+        headers["Content-Type"] = "application/json";
+      }
+    }
+
+    return {
+      url: fill(source.urlTemplate, encodeURIComponent),
+      init,
+    };
+  }
+
+  /**
+   * 응답 JSON에서 결과 배열을 찾아 필드 매핑 적용
+   * @param {Object} source - 소스 설정
+   * @param {*} data - 응답 JSON
+   * @returns {Object[]} - 검색 결과 배열
+   */
+  static mapResults(source, data) {
+    const items = this.getPath(data, source.resultsPath);
+    const list = Array.isArray(items) ? items : items ? [items] : [];
+    const fields = source.fields || {};
+
+    return list
+      .slice(0, this.MAX_RESULTS)
+      .map((item) => {
+        const url = this.toText(this.getPath(item, fields.url));
+        return {
+          title: this.toText(this.getPath(item, fields.title)) || source.name,
+          url: url ? this.resolveUrl(url, source.urlTemplate) : "#",
+          snippet: this.toText(this.getPath(item, fields.snippet)),
+        };
+      })
+      .filter((result) => result.snippet);
+  }
+
+  /**
+   * 점(.)과 [n]으로 이루어진 JSON 경로의 값 가져오기 ("$.hits[0]._source.title")
+   * @param {*} data - JSON 값
+   * @param {string} path - JSON 경로 (비어 있거나 "$"이면 전체)
+   * @returns {*} - 경로의 값 (없으면 undefined)
+   */
+  static getPath(data, path) {
+    const keys = String(path || "")
+      .replace(/^\$\.?/, "")
+      .replace(/\[(\d+)\]/g, ".$1")
+      .split(".")
+      .filter(Boolean);
+
+    return keys.reduce(
+      (value, key) =>
+        value !== null && value !== undefined ? value[key] : undefined,
+      data
+    );
+  }
+
+  /**
+   * 매핑된 값을 표시용 텍스트로 변환 (배열은 이어 붙이고 HTML 태그 제거)
+   * @param {*} value - 매핑된 값
+   * @returns {string} - 텍스트
+   */
+  static toText(value) {
+    if (value === null || value === undefined) return "";
+    const text = Array.isArray(value)
+      ? value.map((item) => this.toText(item)).join(" … ")
+      : typeof value === "object"
+      ? ""
+      : String(value);
+
+    return text
+      .replace(/<[^>]+>/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * 상대 경로 URL을 소스의 주소 기준으로 변환
+   * @param {string} url - 결과 URL
+   * @param {string} urlTemplate - 소스의 URL 템플릿
+   * @returns {string} - 절대 URL (http/https가 아니면 "#")
+   */
+  static resolveUrl(url, urlTemplate) {
+    try {
+      const resolved = new URL(url, urlTemplate.replace(/\{[^}]*\}/g, ""));
+      return /^https?:$/.test(resolved.protocol) ? resolved.href : "#";
+    } catch (error) {
+      return "#";
+    }
+  }
+
+  /**
+   * URL 템플릿의 호스트 이름
+   * @param {string} urlTemplate - URL 템플릿
+   * @returns {string} - 호스트 이름
+   */
+  static getHost(urlTemplate) {
+    const match = (urlTemplate || "").match(/^https?:\/\/([^/?#]+)/);
+    return match ? match[1] : "";
+  }
+}
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensKnowledgeBase = HallucinationLensKnowledgeBase;
+}
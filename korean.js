@@ -0,0 +1,296 @@
+/**
+ * HallucinationLens - 한국어 형태소 정규화
+ * 조사와 어미를 떼어 내고 복합 명사를 합쳐 키워드 빈도 계산을 돕는다
+ */
+
+class HallucinationLensKorean {
+  // 용언 어미 (긴 것부터 검사)
+  static VERB_ENDINGS = [
+    "하였습니다",
+    "되었습니다",
+    "이었습니다",
+    "했습니다",
+    "됐습니다",
+    "였습니다",
+    "었습니다",
+    "았습니다",
+    "합니다",
+    "됩니다",
+    "입니다",
+    "습니다",
+    "하였다",
+    "되었다",
+    "이었다",
+    "했었다",
+    "했던",
+    "했다",
+    "한다",
+    "하다",
+    "하는",
+    "하고",
+    "하여",
+    "해서",
+    "하며",
+    "하기",
+    "해야",
+    "됐다",
+    "된다",
+    "되다",
+    "되는",
+    "되고",
+    "되어",
+    "되며",
+    "되기",
+    "이라는",
+    "이라고",
+    "이며",
+    "으며",
+    "이고",
+    "이다",
+    "였다",
+    "었다",
+    "았다",
+    "라는",
+    "라고",
+    "한",
+    "할",
+    "함",
+    "된",
+    "될",
+    "됨",
+  ];
+
+  // 조사 (긴 것부터 검사)
+  static PARTICLES = [
+    "에서부터",
+    "으로부터",
+    "에게서",
+    "에서는",
+    "에서도",
+    "으로서",
+    "으로써",
+    "으로는",
+    "이라도",
+    "에서",
+    "에게",
+    "한테",
+    "께서",
+    "으로",
+    "로서",
+    "로써",
+    "로는",
+    "부터",
+    "까지",
+    "보다",
+    "처럼",
+    "만큼",
+    "이나",
+    "에는",
+    "와",
+    "과",
+    "은",
+    "는",
+    "이",
+    "가",
+    "을",
+    "를",
+    "의",
+    "에",
+    "도",
+    "만",
+    "로",
+    "나",
+    "들",
+  ];
+
+  // 조사/어미처럼 끝나지만 그 자체로 명사인 단어
+  static NOUN_EXCEPTIONS = new Set([
+    "고양이",
+    "아이",
+    "나이",
+    "사이",
+    "차이",
+    "오이",
+    "거리",
+    "자리",
+    "소리",
+    "머리",
+    "다리",
+    "우리",
+    "국가",
+    "평가",
+    "증가",
+    "추가",
+    "참가",
+    "휴가",
+    "대가",
+    "전문가",
+    "작가",
+    "화가",
+    "예술가",
+    "정치가",
+    "사업가",
+    "건축가",
+    "과학자",
+    "도로",
+    "경로",
+    "진로",
+    "통로",
+    "회로",
+    "미로",
+    "의도",
+    "제도",
+    "정도",
+    "속도",
+    "온도",
+    "태도",
+    "한도",
+    "인도",
+    "지도",
+    "경기도",
+    "강원도",
+    "한국은행",
+    "대한민국",
+    "우주",
+    "한글",
+    "한국",
+    "전기",
+    "하나",
+    "나라",
+    "수도",
+    "시간",
+    "기간",
+  ]);
+
+  /**
+   * 한국어 단어에서 조사를 제거
+   * @param {string} word - 단어
+   * @returns {string} - 조사가 제거된 단어
+   */
+  static stripParticles(word) {
+    if (!word || this.NOUN_EXCEPTIONS.has(word)) {
+      return word;
+    }
+
+    for (const particle of this.PARTICLES) {
+      if (!word.endsWith(particle)) continue;
+
+      const stem = word.slice(0, -particle.length);
+      // 한 글자 조사는 어간이 두 글자 이상일 때만 제거 (국가, 나이 등 보호)
+      const minStem = particle.length === 1 && /[가-힣]$/.test(stem) ? 2 : 1;
+      if (stem.length >= minStem) {
+        return stem;
+      }
+    }
+
+    return word;
+  }
+
+  /**
+   * 한국어 단어에서 용언 어미를 제거 ("건립되었습니다" -> "건립")
+   * @param {string} word - 단어
+   * @returns {string} - 어미가 제거된 단어
+   */
+  static stripVerbEnding(word) {
+    if (!word || this.NOUN_EXCEPTIONS.has(word)) {
+      return word;
+    }
+
+    for (const ending of this.VERB_ENDINGS) {
+      if (!word.endsWith(ending)) continue;
+
+      const stem = word.slice(0, -ending.length);
+      if (stem.length >= 2 || (stem.length === 1 && ending.length >= 2)) {
+        return stem;
+      }
+    }
+
+    return word;
+  }
+
+  /**
+   * 단어 하나를 정규화 (어미 → 조사 순서로 제거)
+   * 영문/숫자 뒤에 붙은 조사("chatgpt는", "1395년에")도 함께 제거
+   * @param {string} word - 단어
+   * @returns {string} - 정규화된 단어
+   */
+  static normalizeWord(word) {
+    if (!word || !/[가-힣]/.test(word)) {
+      return word;
+    }
+
+    // "전문가들은"처럼 조사가 겹친 경우를 위해 두 번까지 제거
+    const withoutEnding = this.stripVerbEnding(word);
+    const once = this.stripParticles(withoutEnding);
+    return once === withoutEnding ? once : this.stripParticles(once);
+  }
+
+  /**
+   * 공백으로 나뉜 토큰 배열을 정규화하고 복합 명사를 합침
+   * "인공 지능"처럼 띄어 쓴 명사 쌍은 텍스트 안에서 붙여 쓴 형태가 있거나
+   * 두 번 이상 반복될 때 하나의 복합 명사로 취급
+   * @param {string[]} tokens - 소문자로 전처리된 토큰 배열
+   * @param {Object} options - 옵션
+   * @param {boolean} options.markBoundaries - 조사/어미를 뗀 자리에 빈 문자열을 넣어
+   *   구문 경계로 표시 ("서울은 대한민국의 수도" -> 서울 | 대한민국 | 수도)
+   * @returns {string[]} - 정규화된 토큰 배열
+   */
+  static normalizeTokens(tokens, { markBoundaries = false } = {}) {
+    const normalized = tokens.map((token) => ({
+      original: token,
+      word: this.normalizeWord(token),
+    }));
+
+    const isKoreanNoun = (entry) =>
+      /^[가-힣]{2,}$/.test(entry.word) && entry.word === entry.original;
+
+    // 띄어 쓴 명사 쌍의 출현 횟수와 붙여 쓴 형태 수집
+    const pairCounts = {};
+    const joinedForms = new Set(normalized.map((entry) => entry.word));
+    for (let i = 0; i < normalized.length - 1; i++) {
+      if (
+        isKoreanNoun(normalized[i]) &&
+        /^[가-힣]{2,}$/.test(normalized[i + 1].word)
+      ) {
+        const pair = normalized[i].word + normalized[i + 1].word;
+        pairCounts[pair] = (pairCounts[pair] || 0) + 1;
+      }
+    }
+
+    const result = [];
+    for (let i = 0; i < normalized.length; i++) {
+      const current = normalized[i];
+      const next = normalized[i + 1];
+
+      if (next && isKoreanNoun(current) && /^[가-힣]{2,}$/.test(next.word)) {
+        const pair = current.word + next.word;
+        if (pairCounts[pair] >= 2 || joinedForms.has(pair)) {
+          result.push(pair);
+          if (markBoundaries && next.word !== next.original) result.push("");
+          i++;
+          continue;
+        }
+      }
+
+      result.push(current.word);
+      if (markBoundaries && current.word !== current.original) result.push("");
+    }
+
+    return result;
+  }
+
+  /**
+   * 문자열 전체를 정규화된 검색어로 변환
+   * @param {string} text - 검색어
+   * @returns {string} - 조사와 어미가 제거된 검색어
+   */
+  static normalizeQuery(text) {
+    if (!text) return text;
+    return this.normalizeTokens(text.split(/\s+/).filter(Boolean)).join(" ");
+  }
+}
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensKorean = HallucinationLensKorean;
+}
@@ -0,0 +1,579 @@
+/**
+ * HallucinationLens - 언어 감지 및 언어별 텍스트 처리
+ * 언어 팩(토크나이저, 불용어, 정규화기)을 등록하고 답변 언어에 맞는 팩을 선택
+ */
+
+class HallucinationLensLanguage {
+  // 등록된 언어 팩 (코드 -> 팩)
+  static packs = {};
+
+  // 문자 체계별 유니코드 범위
+  static SCRIPTS = {
+    hangul: /[ᄀ-ᇿ㄰-㆏가-힣]/g,
+    kana: /[぀-ヿㇰ-ㇿ]/g,
+    han: /[一-鿿㐀-䶿]/g,
+    cyrillic: /[Ѐ-ӿ]/g,
+    latin: /[A-Za-zÀ-ɏ]/g,
+  };
+
+  /**
+   * 언어 팩 등록
+   * @param {Object} pack - 언어 팩
+   * @param {string} pack.code - ISO 639-1 언어 코드
+   * @param {string} pack.name - 표시 이름
+   * @param {string} pack.script - 주 문자 체계 (SCRIPTS의 키)
+   * @param {Set<string>} pack.stopWords - 불용어 집합
+   * @param {Function} [pack.tokenize] - (segment) => 토큰 배열
+   * @param {Function} [pack.normalize] - (tokens) => 정규화된 토큰 배열
+   * @param {string} [pack.joiner] - 여러 토큰으로 된 구문을 이을 문자 (기본값: 공백)
+   */
+  static registerPack(pack) {
+    this.packs[pack.code] = {
+      tokenize: (segment) => this.tokenizeWords(segment),
+      normalize: (tokens) => tokens,
+      joiner: " ",
+      ...pack,
+    };
+  }
+
+  /**
+   * 언어 코드로 언어 팩 조회 (없으면 영어 팩)
+   * @param {string} code - 언어 코드
+   * @returns {Object} - 언어 팩
+   */
+  static getPack(code) {
+    return this.packs[code] || this.packs.en;
+  }
+
+  /**
+   * 텍스트의 언어 감지
+   * 문자 체계 비율로 후보를 고르고, 라틴 문자 언어는 불용어 일치 수로 구분
+   * @param {string} text - 분석할 텍스트
+   * @returns {Object} - { code, name, confidence }
+   */
+  static detect(text) {
+    if (!text || typeof text !== "string") {
+      return { code: "en", name: this.packs.en.name, confidence: 0 };
+    }
+
+    const counts = {};
+    let total = 0;
+    Object.entries(this.SCRIPTS).forEach(([script, pattern]) => {
+      counts[script] = (text.match(pattern) || []).length;
+      total += counts[script];
+    });
+
+    if (total === 0) {
+      return { code: "en", name: this.packs.en.name, confidence: 0 };
+    }
+
+    // 가나가 조금이라도 섞여 있으면 한자는 일본어의 일부로 간주
+    let script = Object.entries(counts).sort(([, a], [, b]) => b - a)[0][0];
+    if (script === "han" && counts.kana > counts.han * 0.1) {
+      script = "kana";
+    }
+    const scriptRatio =
+      script === "kana"
+        ? (counts.kana + counts.han) / total
+        : counts[script] / total;
+
+    const candidates = Object.values(this.packs).filter(
+      (pack) => pack.script === script
+    );
+
+    let best = candidates[0] || this.packs.en;
+    if (candidates.length > 1) {
+      const words = this.tokenizeWords(text.toLowerCase());
+      let bestHits = -1;
+      candidates.forEach((pack) => {
+        const hits = words.filter((word) => pack.stopWords.has(word)).length;
+        if (hits > bestHits) {
+          bestHits = hits;
+          best = pack;
+        }
+      });
+    }
+
+    const language = {
+      code: best.code,
+      name: best.name,
+      confidence: Math.round(scriptRatio * 100) / 100,
+    };
+    console.log("[HallucinationLens] 언어 감지 결과:", language);
+
+    return language;
+  }
+
+  /**
+   * 유니코드 문자/숫자 기준 단어 분리 (공백으로 띄어 쓰는 언어용)
+   * @param {string} segment - 분리할 텍스트
+   * @returns {string[]} - 토큰 배열
+   */
+  static tokenizeWords(segment) {
+    return segment.match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu) || [];
+  }
+
+  /**
+   * 띄어쓰기가 없는 언어(일본어, 중국어)의 단어 분리
+   * 브라우저의 Intl.Segmenter를 사용하고, 없으면 문자 체계가 바뀌는 지점에서 분리
+   * @param {string} segment - 분리할 텍스트
+   * @param {string} locale - 로케일 코드
+   * @returns {string[]} - 토큰 배열
+   */
+  static tokenizeCJK(segment, locale) {
+    if (typeof Intl !== "undefined" && Intl.Segmenter) {
+      const segmenter = new Intl.Segmenter(locale, { granularity: "word" });
+      return Array.from(segmenter.segment(segment))
+        .filter((part) => part.isWordLike)
+        .map((part) => part.segment);
+    }
+
+    return (
+      segment.match(/[一-鿿㐀-䶿]+|[゠-ヿ]+|[぀-ゟ]+|[\p{L}\p{N}]+/gu) || []
+    );
+  }
+
+  /**
+   * 표시용 언어 이름 (코드 포함)
+   * @param {Object} language - detect 결과
+   * @returns {string} - "한국어 (ko)" 형태의 문자열
+   */
+  static getDisplayName(language) {
+    if (!language) return "";
+    return `${language.name} (${language.code})`;
+  }
+}
+
+// 영어
+HallucinationLensLanguage.registerPack({
+  code: "en",
+  name: "English",
+  script: "latin",
+  stopWords: new Set([
+    "the",
+    "a",
+    "an",
+    "and",
+    "or",
+    "but",
+    "in",
+    "on",
+    "at",
+    "to",
+    "for",
+    "of",
+    "with",
+    "by",
+    "is",
+    "are",
+    "was",
+    "were",
+    "be",
+    "been",
+    "have",
+    "has",
+    "had",
+    "do",
+    "does",
+    "did",
+    "will",
+    "would",
+    "could",
+    "should",
+    "may",
+    "might",
+    "can",
+    "this",
+    "that",
+    "these",
+    "those",
+    "it",
+    "its",
+    "as",
+    "from",
+    "into",
+    "about",
+    "than",
+    "not",
+    "which",
+    "who",
+    "their",
+    "they",
+    "also",
+    "such",
+    "there",
+  ]),
+  // 영어 복수형은 단수로 맞춤 (models -> model)
+  normalize: (tokens) =>
+    tokens.map((token) =>
+      /^[a-z]{4,}s$/.test(token) && !/(ss|us|is)$/.test(token)
+        ? token.slice(0, -1)
+        : token
+    ),
+});
+
+// 한국어 (한국어 답변에 섞인 영어 단어도 함께 처리)
+HallucinationLensLanguage.registerPack({
+  code: "ko",
+  name: "한국어",
+  script: "hangul",
+  stopWords: new Set([
+    ...HallucinationLensLanguage.packs.en.stopWords,
+    "그",
+    "이",
+    "저",
+    "것",
+    "수",
+    "있",
+    "없",
+    "하",
+    "되",
+    "된",
+    "될",
+    "함",
+    "임",
+    "입니다",
+    "습니다",
+    "에서",
+    "에게",
+    "에",
+    "를",
+    "을",
+    "가",
+    "은",
+    "는",
+    "으로",
+    "로",
+    "와",
+    "과",
+    "도",
+    "만",
+    "그리고",
+    "또한",
+    "하지만",
+    "그러나",
+    "따라서",
+    "그래서",
+    "왜냐하면",
+    "때문에",
+  ]),
+  normalize: (tokens) =>
+    HallucinationLensLanguage.packs.en.normalize(
+      HallucinationLensKorean.normalizeTokens(tokens, { markBoundaries: true })
+    ),
+});
+
+// 일본어
+HallucinationLensLanguage.registerPack({
+  code: "ja",
+  name: "日本語",
+  script: "kana",
+  joiner: "",
+  stopWords: new Set([
+    "これ",
+    "それ",
+    "あれ",
+    "この",
+    "その",
+    "あの",
+    "こと",
+    "もの",
+    "ため",
+    "など",
+    "よう",
+    "する",
+    "した",
+    "して",
+    "される",
+    "された",
+    "ある",
+    "あり",
+    "いる",
+    "いた",
+    "なる",
+    "なり",
+    "です",
+    "でした",
+    "ます",
+    "ました",
+    "また",
+    "および",
+    "ただし",
+    "しかし",
+    "そして",
+    "について",
+    "による",
+    "により",
+    "として",
+    "から",
+    "まで",
+    "より",
+  ]),
+  // 두 글자 이하의 히라가나는 대부분 조사나 활용 어미이므로 구분자로 처리
+  tokenize: (segment) =>
+    HallucinationLensLanguage.tokenizeCJK(segment, "ja").map((token) =>
+      /^[぀-ゟ]{1,2}$/.test(token) ? "" : token
+    ),
+});
+
+// 중국어
+HallucinationLensLanguage.registerPack({
+  code: "zh",
+  name: "中文",
+  script: "han",
+  joiner: "",
+  stopWords: new Set([
+    "的",
+    "了",
+    "是",
+    "在",
+    "和",
+    "有",
+    "我",
+    "你",
+    "他",
+    "这",
+    "那",
+    "也",
+    "就",
+    "都",
+    "而",
+    "及",
+    "与",
+    "或",
+    "一个",
+    "我们",
+    "他们",
+    "这个",
+    "那个",
+    "因为",
+    "所以",
+    "但是",
+    "如果",
+    "可以",
+    "没有",
+    "以及",
+  ]),
+  tokenize: (segment) => HallucinationLensLanguage.tokenizeCJK(segment, "zh"),
+});
+
+// 독일어
+HallucinationLensLanguage.registerPack({
+  code: "de",
+  name: "Deutsch",
+  script: "latin",
+  stopWords: new Set([
+    "der",
+    "die",
+    "das",
+    "den",
+    "dem",
+    "des",
+    "ein",
+    "eine",
+    "einen",
+    "einem",
+    "einer",
+    "und",
+    "oder",
+    "aber",
+    "in",
+    "im",
+    "an",
+    "am",
+    "auf",
+    "zu",
+    "zum",
+    "zur",
+    "für",
+    "von",
+    "vom",
+    "mit",
+    "bei",
+    "aus",
+    "nach",
+    "ist",
+    "sind",
+    "war",
+    "waren",
+    "wird",
+    "wurde",
+    "wurden",
+    "hat",
+    "haben",
+    "hatte",
+    "nicht",
+    "auch",
+    "sich",
+    "als",
+    "wie",
+    "dass",
+    "es",
+    "er",
+    "sie",
+    "wir",
+    "ich",
+    "dieser",
+    "diese",
+    "dieses",
+  ]),
+});
+
+// 프랑스어
+HallucinationLensLanguage.registerPack({
+  code: "fr",
+  name: "Français",
+  script: "latin",
+  stopWords: new Set([
+    "le",
+    "la",
+    "les",
+    "un",
+    "une",
+    "des",
+    "du",
+    "de",
+    "et",
+    "ou",
+    "mais",
+    "en",
+    "dans",
+    "sur",
+    "pour",
+    "par",
+    "avec",
+    "au",
+    "aux",
+    "est",
+    "sont",
+    "était",
+    "été",
+    "être",
+    "avoir",
+    "a",
+    "ont",
+    "ne",
+    "pas",
+    "plus",
+    "ce",
+    "cette",
+    "ces",
+    "qui",
+    "que",
+    "il",
+    "elle",
+    "ils",
+    "elles",
+    "nous",
+    "vous",
+    "se",
+    "sa",
+    "son",
+    "ses",
+  ]),
+});
+
+// 스페인어
+HallucinationLensLanguage.registerPack({
+  code: "es",
+  name: "Español",
+  script: "latin",
+  stopWords: new Set([
+    "el",
+    "la",
+    "los",
+    "las",
+    "un",
+    "una",
+    "unos",
+    "unas",
+    "de",
+    "del",
+    "y",
+    "o",
+    "pero",
+    "en",
+    "con",
+    "por",
+    "para",
+    "al",
+    "es",
+    "son",
+    "fue",
+    "fueron",
+    "ser",
+    "ha",
+    "han",
+    "no",
+    "más",
+    "este",
+    "esta",
+    "estos",
+    "estas",
+    "que",
+    "se",
+    "su",
+    "sus",
+    "lo",
+    "como",
+  ]),
+});
+
+// 러시아어
+HallucinationLensLanguage.registerPack({
+  code: "ru",
+  name: "Русский",
+  script: "cyrillic",
+  stopWords: new Set([
+    "и",
+    "в",
+    "во",
+    "не",
+    "что",
+    "он",
+    "на",
+    "я",
+    "с",
+    "со",
+    "как",
+    "а",
+    "то",
+    "все",
+    "она",
+    "так",
+    "его",
+    "но",
+    "да",
+    "ты",
+    "к",
+    "у",
+    "же",
+    "вы",
+    "за",
+    "бы",
+    "по",
+    "только",
+    "ее",
+    "мне",
+    "было",
+    "вот",
+    "от",
+    "меня",
+    "еще",
+    "нет",
+    "о",
+    "из",
+    "ему",
+    "это",
+    "этот",
+    "является",
+    "был",
+    "была",
+    "были",
+  ]),
+});
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensLanguage = HallucinationLensLanguage;
+}
@@ -0,0 +1,175 @@
+/**
+ * HallucinationLens - 네트워크 접근 범위
+ * 답변 링크와 검색 결과 원문처럼 임의의 사이트를 가져오는 기능은 선택 권한
+ * (optional_host_permissions)을 사용자가 허용한 뒤에만 동작하고,
+ * 루프백/사설망/링크 로컬 주소는 권한과 관계없이 가져오지 않음
+ * Background Script(importScripts)와 옵션 페이지에서 사용
+ */
+
+class HallucinationLensNetwork {
+  // 모든 사이트 접근 (manifest.json의 optional_host_permissions와 같음)
+  static ALL_SITES = ["https://*/*", "http://*/*"];
+
+  // 사설/예약 IPv4 대역 ([시작 주소, 접두사 길이])
+  // (현재 네트워크, 사설망, CGNAT, 루프백, 링크 로컬, 벤치마크, 멀티캐스트, 예약/브로드캐스트)
+  static PRIVATE_IPV4_RANGES = [
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["224.0.0.0", 4],
+    ["240.0.0.0", 4],
+  ];
+
+  /**
+   * 공개 인터넷 주소인지 확인 (http/https이고 루프백, 사설망, 링크 로컬 호스트가 아님)
+   * 숫자/16진수 IPv4 표기는 URL 파서가 점 표기로 바꾼 뒤 검사
+   * @param {string} url - 주소
+   * @returns {boolean} - 가져와도 되는 주소인지 여부
+   */
+  static isPublicUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return false;
+
+    const host = parsed.hostname.toLowerCase().replace(/\.$/, "");
+    if (
+      !host ||
+      host === "localhost" ||
+      host.endsWith(".localhost") ||
+      host.endsWith(".local") ||
+      host.endsWith(".internal")
+    ) {
+      return false;
+    }
+
+    if (host.startsWith("[")) {
+      return !this.isPrivateIPv6(host.slice(1, -1));
+    }
+    if (/^\d+\.\d+\.\d+\.\d+$/.test(host)) {
+      return !this.isPrivateIPv4(host);
+    }
+    return true;
+  }
+
+  /**
+   * 사설/예약 IPv4 주소인지 확인
+   * @param {string} address - 점 표기 IPv4 주소
+   * @returns {boolean} - 사설/예약 주소 여부
+   */
+  static isPrivateIPv4(address) {
+    const toNumber = (text) =>
+      text.split(".").reduce((total, part) => total * 256 + Number(part), 0);
+    const value = toNumber(address);
+
+    return this.PRIVATE_IPV4_RANGES.some(([start, bits]) => {
+      const size = 2 ** (32 - bits);
+      const base = toNumber(start);
+      return value >= base && value < base + size;
+    });
+  }
+
+  /**
+   * 루프백/미지정/고유 로컬(fc00::/7)/링크 로컬(fe80::/10)/멀티캐스트(ff00::/8) IPv6 주소인지 확인
+   * (IPv4 매핑 주소 ::ffff:a.b.c.d는 IPv4 규칙으로 검사)
+   * @param {string} address - 대괄호를 뺀 IPv6 주소
+   * @returns {boolean} - 사설/예약 주소 여부
+   */
+  static isPrivateIPv6(address) {
+    if (address === "::" || address === "::1") return true;
+
+    const mapped = address.match(/^::ffff:(.+)$/);
+    if (mapped) {
+      if (/^\d+\.\d+\.\d+\.\d+$/.test(mapped[1])) {
+        return this.isPrivateIPv4(mapped[1]);
+      }
+      // URL 파서는 ::ffff:7f00:1처럼 16진수 두 묶음으로 바꿈
+      const [high, low] = mapped[1]
+        .split(":")
+        .map((part) => parseInt(part, 16));
+      return this.isPrivateIPv4(
+        [high >> 8, high & 255, low >> 8, low & 255].join(".")
+      );
+    }
+
+    const first = parseInt(address.split(":")[0] || "0", 16);
+    return (
+      (first & 0xfe00) === 0xfc00 ||
+      (first & 0xffc0) === 0xfe80 ||
+      (first & 0xff00) === 0xff00
+    );
+  }
+
+  /**
+   * 주소의 출처에 대한 호스트 권한 패턴
+   * @param {string} url - 주소
+   * @returns {string|null} - "https://example.com/*" (주소가 올바르지 않으면 null)
+   */
+  static getOriginPattern(url) {
+    try {
+      const parsed = new URL(url);
+      return /^https?:$/.test(parsed.protocol) &&
+        /^([\w.-]+|\[[\da-f:.]+\])$/i.test(parsed.hostname)
+        ? `${parsed.protocol}//${parsed.hostname}/*`
+        : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 답변 링크나 검색 결과 원문을 가져올 수 있는지 확인
+   * (공개 주소이고, 기본 권한이나 사용자가 허용한 선택 권한에 포함된 사이트)
+   * @param {string} url - 주소
+   * @returns {Promise<boolean>} - 가져올 수 있는지 여부
+   */
+  static async canFetch(url) {
+    if (!this.isPublicUrl(url)) return false;
+    try {
+      return await chrome.permissions.contains({
+        origins: [this.getOriginPattern(url)],
+      });
+    } catch (error) {
+      console.warn("[HallucinationLens] 사이트 권한 확인 실패:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 모든 사이트 접근 권한이 있는지 확인
+   * @returns {Promise<boolean>} - 허용 여부
+   */
+  static hasAllSites() {
+    return chrome.permissions.contains({ origins: this.ALL_SITES });
+  }
+
+  /**
+   * 호스트 권한 요청 (사용자 동작 처리 중에 await 없이 먼저 호출해야 함)
+   * @param {string[]} origins - 권한 패턴 배열 (기본값: 모든 사이트)
+   * @returns {Promise<boolean>} - 허용 여부
+   */
+  static request(origins = this.ALL_SITES) {
+    return chrome.permissions.request({ origins });
+  }
+
+  /**
+   * 모든 사이트 접근 권한 해제
+   * @returns {Promise<boolean>} - 해제 여부
+   */
+  static revokeAllSites() {
+    return chrome.permissions.remove({ origins: this.ALL_SITES });
+  }
+}
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensNetwork = HallucinationLensNetwork;
+}
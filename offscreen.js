@@ -0,0 +1,26 @@
+/**
+ * HallucinationLens - 오프스크린 문서
+ * Background Script가 보낸 주장-근거 쌍을 함의 판정기로 분류
+ * (WASM 모델처럼 서비스 워커에서 실행하기 어려운 판정기를 위한 문서, 외부로 데이터를 보내지 않음)
+ */
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Content Script 등 다른 곳으로 가는 메시지는 무시
+  if (request.target !== "offscreen") {
+    return false;
+  }
+
+  if (request.action === "classifyEntailment") {
+    HallucinationLensEntailment.classify(request.pairs || [])
+      .then((results) => sendResponse({ success: true, results }))
+      .catch((error) => {
+        console.error("[HallucinationLens] 함의 판정 오류:", error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    // 비동기 응답을 위해 true 반환
+    return true;
+  }
+
+  return false;
+});
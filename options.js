@@ -0,0 +1,942 @@
+/**
+ * HallucinationLens - Options Script
+ * 사이트 접근 권한, 사용자 정의 지식 베이스, 로컬 자료, 출처 신뢰도, 신뢰도 규칙, Wikidata 주소 등 고급 검색 설정 관리
+ */
+
+class HallucinationLensOptions {
+  constructor() {
+    this.sources = [];
+
+    this.init();
+  }
+
+  /**
+   * 초기화 함수
+   */
+  async init() {
+    try {
+      // DOM 요소 참조
+      this.messageArea = document.getElementById("messageArea");
+      this.grantSitesButton = document.getElementById("grantSites");
+      this.revokeSitesButton = document.getElementById("revokeSites");
+      this.sitesStatus = document.getElementById("sitesStatus");
+      this.sourceList = document.getElementById("sourceList");
+      this.addSourceButton = document.getElementById("addSource");
+      this.wikidataEndpoint = document.getElementById("wikidataEndpoint");
+      this.saveWikidataButton = document.getElementById("saveWikidata");
+      this.corpusFiles = document.getElementById("corpusFiles");
+      this.corpusList = document.getElementById("corpusList");
+      this.corpusQuery = document.getElementById("corpusQuery");
+      this.searchCorpusButton = document.getElementById("searchCorpus");
+      this.corpusStatus = document.getElementById("corpusStatus");
+      this.allowlist = document.getElementById("allowlist");
+      this.blocklist = document.getElementById("blocklist");
+      this.credibilityOverrides = document.getElementById(
+        "credibilityOverrides"
+      );
+      this.credibilityTiers = document.getElementById("credibilityTiers");
+      this.saveCredibilityButton = document.getElementById("saveCredibility");
+      this.credibilityDomain = document.getElementById("credibilityDomain");
+      this.checkCredibilityButton = document.getElementById("checkCredibility");
+      this.credibilityStatus = document.getElementById("credibilityStatus");
+      this.rulesPreset = document.getElementById("rulesPreset");
+      this.rulesJson = document.getElementById("rulesJson");
+      this.saveRulesButton = document.getElementById("saveRules");
+      this.exportRulesButton = document.getElementById("exportRules");
+      this.importRulesButton = document.getElementById("importRulesButton");
+      this.importRulesInput = document.getElementById("importRules");
+      this.rulesStatus = document.getElementById("rulesStatus");
+      this.judgeEnabled = document.getElementById("judgeEnabled");
+      this.judgeEndpoint = document.getElementById("judgeEndpoint");
+      this.judgeModel = document.getElementById("judgeModel");
+      this.judgeApiKey = document.getElementById("judgeApiKey");
+      this.saveJudgeButton = document.getElementById("saveJudge");
+      this.testJudgeButton = document.getElementById("testJudge");
+      this.judgeStatus = document.getElementById("judgeStatus");
+
+      // 이벤트 리스너 등록
+      this.grantSitesButton.addEventListener("click", () => this.grantSites());
+      this.revokeSitesButton.addEventListener("click", () =>
+        this.revokeSites()
+      );
+      this.addSourceButton.addEventListener("click", () => this.addSource());
+      this.saveWikidataButton.addEventListener("click", () =>
+        this.saveWikidataEndpoint()
+      );
+      this.corpusFiles.addEventListener("change", () => this.importFiles());
+      this.searchCorpusButton.addEventListener("click", () =>
+        this.searchCorpus()
+      );
+      this.saveCredibilityButton.addEventListener("click", () =>
+        this.saveCredibility()
+      );
+      this.checkCredibilityButton.addEventListener("click", () =>
+        this.checkCredibility()
+      );
+      this.rulesPreset.addEventListener("change", () => this.selectPreset());
+      this.saveRulesButton.addEventListener("click", () => this.saveRules());
+      this.exportRulesButton.addEventListener("click", () =>
+        this.exportRules()
+      );
+      this.importRulesButton.addEventListener("click", () =>
+        this.importRulesInput.click()
+      );
+      this.importRulesInput.addEventListener("change", () =>
+        this.importRules()
+      );
+      this.saveJudgeButton.addEventListener("click", () => this.saveJudge());
+      this.testJudgeButton.addEventListener("click", () => this.testJudge());
+
+      // 저장된 설정 표시
+      await this.renderSites();
+      this.sources = await HallucinationLensKnowledgeBase.loadSources();
+      this.renderSources();
+      await this.renderCorpus();
+      await this.renderCredibility();
+      await this.renderRules();
+      await this.renderJudge();
+      this.wikidataEndpoint.value =
+        await HallucinationLensWikidata.getEndpoint();
+    } catch (error) {
+      console.error("옵션 초기화 오류:", error);
+      this.showError("설정을 불러오는 중 오류가 발생했습니다.");
+    }
+  }
+
+  /**
+   * 모든 사이트 접근 권한 상태 표시
+   */
+  async renderSites() {
+    const granted = await HallucinationLensNetwork.hasAllSites();
+    this.sitesStatus.textContent = granted
+      ? "허용됨: 출처 링크 확인과 원문 가져오기를 사용할 수 있습니다."
+      : "허용되지 않음: 기본 검색 소스(Wikipedia, Wikidata, DuckDuckGo)만 사용합니다.";
+    this.grantSitesButton.disabled = granted;
+    this.revokeSitesButton.disabled = !granted;
+  }
+
+  /**
+   * 모든 사이트 접근 권한 요청
+   */
+  async grantSites() {
+    try {
+      const granted = await HallucinationLensNetwork.request();
+      if (!granted) {
+        this.showError("사이트 접근 권한이 허용되지 않았습니다.");
+      }
+      await this.renderSites();
+    } catch (error) {
+      console.error("사이트 접근 권한 요청 오류:", error);
+      this.showError("사이트 접근 권한 요청 중 오류가 발생했습니다.");
+    }
+  }
+
+  /**
+   * 모든 사이트 접근 권한 해제
+   */
+  async revokeSites() {
+    try {
+      await HallucinationLensNetwork.revokeAllSites();
+      await this.renderSites();
+    } catch (error) {
+      console.error("사이트 접근 권한 해제 오류:", error);
+      this.showError("사이트 접근 권한 해제 중 오류가 발생했습니다.");
+    }
+  }
+
+  /**
+   * 사용자가 지정한 주소의 사이트 접근 권한 요청
+   * (버튼 클릭 처리 중 다른 await보다 먼저 호출해야 권한 창이 열림)
+   * @param {string} url - 주소 (템플릿처럼 호스트를 알 수 없으면 요청하지 않음)
+   * @returns {Promise<boolean>} - 허용 여부
+   */
+  async requestOrigin(url) {
+    const pattern = HallucinationLensNetwork.getOriginPattern(url);
+    if (!pattern) return true;
+    try {
+      return await HallucinationLensNetwork.request([pattern]);
+    } catch (error) {
+      console.error("사이트 접근 권한 요청 오류:", error);
+      return false;
+    }
+  }
+
+  /**
+   * 사용자 정의 소스 목록 표시
+   */
+  renderSources() {
+    this.sourceList.innerHTML = "";
+    this.sources.forEach((source) => {
+      this.sourceList.appendChild(this.createSourceCard(source));
+    });
+  }
+
+  /**
+   * 새 소스 추가 (저장 전까지는 화면에만 존재)
+   */
+  addSource() {
+    const source = {
+      ...HallucinationLensKnowledgeBase.DEFAULT_SOURCE,
+      fields: { ...HallucinationLensKnowledgeBase.DEFAULT_SOURCE.fields },
+      id: Date.now().toString(36),
+      isNew: true,
+    };
+    this.sourceList.appendChild(this.createSourceCard(source));
+  }
+
+  /**
+   * 소스 편집 카드 생성
+   * @param {Object} source - 소스 설정
+   * @returns {Element} - 카드 요소
+   */
+  createSourceCard(source) {
+    const card = document.createElement("div");
+    card.className = "source-card";
+    card.dataset.id = source.id;
+    card.dataset.isNew = source.isNew ? "true" : "";
+
+    const addField = (parent, label, name, value, type = "input") => {
+      const field = document.createElement("label");
+      field.className = "field";
+      field.textContent = label;
+
+      let input;
+      if (type === "select") {
+        input = document.createElement("select");
+        ["GET", "POST"].forEach((method) => {
+          const option = document.createElement("option");
+          option.value = method;
+          option.textContent = method;
+          input.appendChild(option);
+        });
+      } else {
+        input = document.createElement(type);
+      }
+      input.name = name;
+      input.value = value;
+
+      field.appendChild(input);
+      parent.appendChild(field);
+    };
+
+    addField(card, "이름", "name", source.name);
+    addField(card, "URL 템플릿", "urlTemplate", source.urlTemplate);
+    addField(card, "HTTP 메서드", "method", source.method, "select");
+    addField(
+      card,
+      "헤더 (JSON)",
+      "headers",
+      JSON.stringify(source.headers || {}, null, 2),
+      "textarea"
+    );
+    addField(
+      card,
+      "요청 본문 템플릿 (POST)",
+      "bodyTemplate",
+      source.bodyTemplate || "",
+      "textarea"
+    );
+    addField(card, "결과 배열 경로", "resultsPath", source.resultsPath);
+
+    const row = document.createElement("div");
+    row.className = "field-row";
+    addField(row, "제목 경로", "title", source.fields.title || "");
+    addField(row, "URL 경로", "url", source.fields.url || "");
+    addField(row, "본문 경로", "snippet", source.fields.snippet || "");
+    card.appendChild(row);
+
+    const actions = document.createElement("div");
+    actions.className = "actions";
+
+    const saveButton = document.createElement("button");
+    saveButton.className = "button";
+    saveButton.textContent = "저장";
+    saveButton.addEventListener("click", () => this.saveSource(card));
+
+    const testQuery = document.createElement("input");
+    testQuery.placeholder = "테스트 검색어";
+
+    const testButton = document.createElement("button");
+    testButton.className = "button secondary";
+    testButton.textContent = "테스트";
+    testButton.addEventListener("click", () =>
+      this.testSource(card, testQuery.value)
+    );
+
+    const deleteButton = document.createElement("button");
+    deleteButton.className = "button danger";
+    deleteButton.textContent = "삭제";
+    deleteButton.addEventListener("click", () => this.deleteSource(card));
+
+    actions.append(saveButton, testQuery, testButton, deleteButton);
+    card.appendChild(actions);
+
+    const status = document.createElement("div");
+    status.className = "source-status";
+    card.appendChild(status);
+
+    return card;
+  }
+
+  /**
+   * 카드의 입력값을 소스 설정으로 변환
+   * @param {Element} card - 카드 요소
+   * @returns {Object} - { source, errors }
+   */
+  readSourceCard(card) {
+    const value = (name) => card.querySelector(`[name="${name}"]`).value.trim();
+    const errors = [];
+
+    let headers = {};
+    try {
+      headers = value("headers") ? JSON.parse(value("headers")) : {};
+    } catch (error) {
+      errors.push(`헤더 JSON 오류: ${error.message}`);
+    }
+
+    const source = {
+      id: card.dataset.id,
+      name: value("name"),
+      urlTemplate: value("urlTemplate"),
+      method: value("method"),
+      headers,
+      bodyTemplate: value("bodyTemplate"),
+      resultsPath: value("resultsPath"),
+      fields: {
+        title: value("title"),
+        url: value("url"),
+        snippet: value("snippet"),
+      },
+    };
+
+    return {
+      source,
+      errors: [...errors, ...HallucinationLensKnowledgeBase.validate(source)],
+    };
+  }
+
+  /**
+   * 소스 저장 (새 소스는 검색 설정에서 바로 사용하도록 활성화)
+   * @param {Element} card - 카드 요소
+   */
+  async saveSource(card) {
+    const { source, errors } = this.readSourceCard(card);
+    if (errors.length > 0) {
+      this.showCardStatus(card, errors.join("\n"), true);
+      return;
+    }
+    const permitted = await this.requestOrigin(source.urlTemplate);
+
+    try {
+      const index = this.sources.findIndex((saved) => saved.id === source.id);
+      if (index >= 0) {
+        this.sources[index] = source;
+      } else {
+        this.sources.push(source);
+      }
+      await HallucinationLensKnowledgeBase.saveSources(this.sources);
+
+      if (card.dataset.isNew) {
+        const settings = await HallucinationLensProviders.loadSettings();
+        await chrome.storage.local.set({
+          searchSettings: {
+            ...settings,
+            providers: [
+              ...settings.providers,
+              HallucinationLensKnowledgeBase.getProviderId(source),
+            ],
+          },
+        });
+        card.dataset.isNew = "";
+      }
+
+      this.showCardStatus(
+        card,
+        permitted
+          ? "저장되었습니다."
+          : "저장되었지만 이 사이트에 접근할 권한이 없어 검색할 수 없습니다.",
+        !permitted
+      );
+    } catch (error) {
+      console.error("사용자 정의 소스 저장 오류:", error);
+      this.showCardStatus(card, "저장 중 오류가 발생했습니다.", true);
+    }
+  }
+
+  /**
+   * 소스 삭제 (검색 설정의 활성 목록에서도 제거)
+   * @param {Element} card - 카드 요소
+   */
+  async deleteSource(card) {
+    try {
+      const id = card.dataset.id;
+      this.sources = this.sources.filter((source) => source.id !== id);
+      await HallucinationLensKnowledgeBase.saveSources(this.sources);
+
+      const providerId = HallucinationLensKnowledgeBase.getProviderId({ id });
+      const settings = await HallucinationLensProviders.loadSettings();
+      if (settings.providers.includes(providerId)) {
+        await chrome.storage.local.set({
+          searchSettings: {
+            ...settings,
+            providers: settings.providers.filter(
+              (provider) => provider !== providerId
+            ),
+          },
+        });
+      }
+
+      card.remove();
+      this.showSuccess("소스가 삭제되었습니다.");
+    } catch (error) {
+      console.error("사용자 정의 소스 삭제 오류:", error);
+      this.showError("삭제 중 오류가 발생했습니다.");
+    }
+  }
+
+  /**
+   * 현재 입력값으로 검색을 실행해 매핑 결과 확인 (저장하지 않음)
+   * @param {Element} card - 카드 요소
+   * @param {string} query - 테스트 검색어
+   */
+  async testSource(card, query) {
+    const { source, errors } = this.readSourceCard(card);
+    if (errors.length > 0) {
+      this.showCardStatus(card, errors.join("\n"), true);
+      return;
+    }
+    if (!query.trim()) {
+      this.showCardStatus(card, "테스트 검색어를 입력하세요.", true);
+      return;
+    }
+    if (!(await this.requestOrigin(source.urlTemplate))) {
+      this.showCardStatus(card, "이 사이트에 접근할 권한이 없습니다.", true);
+      return;
+    }
+
+    this.showCardStatus(card, "검색 중...");
+    try {
+      const results = await HallucinationLensKnowledgeBase.search(
+        source,
+        query.trim()
+      );
+      this.showCardStatus(
+        card,
+        results.length > 0
+          ? `결과 ${results.length}개\n${JSON.stringify(results, null, 2)}`
+          : "결과가 없습니다. 결과 배열 경로와 본문 경로를 확인하세요."
+      );
+    } catch (error) {
+      this.showCardStatus(card, `요청 실패: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * 가져온 로컬 자료 목록 표시
+   */
+  async renderCorpus() {
+    const documents = await HallucinationLensCorpus.listDocuments();
+
+    this.corpusList.innerHTML = "";
+    documents.forEach((documentInfo) => {
+      const item = document.createElement("div");
+      item.className = "corpus-item";
+
+      const name = document.createElement("span");
+      name.textContent = `${documentInfo.name} (구절 ${documentInfo.passageCount}개)`;
+
+      const deleteButton = document.createElement("button");
+      deleteButton.className = "button danger";
+      deleteButton.textContent = "삭제";
+      deleteButton.addEventListener("click", async () => {
+        await HallucinationLensCorpus.deleteDocument(documentInfo.id);
+        await this.renderCorpus();
+        this.showSuccess(`${documentInfo.name}을(를) 삭제했습니다.`);
+      });
+
+      item.append(name, deleteButton);
+      this.corpusList.appendChild(item);
+    });
+  }
+
+  /**
+   * 선택한 파일을 로컬 자료로 가져오기
+   */
+  async importFiles() {
+    const files = Array.from(this.corpusFiles.files || []);
+    if (files.length === 0) return;
+
+    const failed = [];
+    let imported = 0;
+    for (const file of files) {
+      try {
+        this.corpusStatus.textContent = `가져오는 중: ${file.name}`;
+        await HallucinationLensCorpus.importDocument(
+          file.name,
+          await file.text()
+        );
+        imported++;
+      } catch (error) {
+        console.error("로컬 자료 가져오기 오류:", error);
+        failed.push(error.message);
+      }
+    }
+
+    this.corpusFiles.value = "";
+    this.corpusStatus.textContent = failed.join("\n");
+    await this.renderCorpus();
+
+    if (imported > 0) {
+      this.showSuccess(`문서 ${imported}개를 가져왔습니다.`);
+    } else {
+      this.showError("문서를 가져오지 못했습니다.");
+    }
+  }
+
+  /**
+   * 로컬 자료 검색 결과 확인
+   */
+  async searchCorpus() {
+    const query = this.corpusQuery.value.trim();
+    if (!query) {
+      this.corpusStatus.textContent = "테스트 검색어를 입력하세요.";
+      return;
+    }
+
+    try {
+      const results = await HallucinationLensCorpus.search(query);
+      this.corpusStatus.textContent =
+        results.length > 0
+          ? results
+              .map(
+                (result) =>
+                  `[${result.score}] ${result.title}\n${result.snippet}`
+              )
+              .join("\n\n")
+          : "결과가 없습니다.";
+    } catch (error) {
+      console.error("로컬 자료 검색 오류:", error);
+      this.corpusStatus.textContent = `검색 실패: ${error.message}`;
+    }
+  }
+
+  /**
+   * 출처 신뢰도 설정과 등급 목록 표시
+   */
+  async renderCredibility() {
+    const [table, settings] = await Promise.all([
+      HallucinationLensCredibility.loadTable(),
+      HallucinationLensCredibility.loadSettings(),
+    ]);
+
+    this.allowlist.value = settings.allowlist.join("\n");
+    this.blocklist.value = settings.blocklist.join("\n");
+    this.credibilityOverrides.value = Object.entries(settings.overrides)
+      .map(([domain, tier]) => `${domain} ${tier}`)
+      .join("\n");
+    this.credibilityTiers.textContent = `등급: ${Object.entries(table.tiers)
+      .map(([tier, info]) => `${tier}(${info.label}, ${info.weight})`)
+      .join(", ")}`;
+  }
+
+  /**
+   * 출처 신뢰도 설정 저장 (잘못된 도메인이나 등급이 있으면 저장하지 않음)
+   */
+  async saveCredibility() {
+    const table = await HallucinationLensCredibility.loadTable();
+    const errors = [];
+
+    const parseLines = (text) =>
+      text
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean);
+    const parseList = (text, name) =>
+      parseLines(text)
+        .map((line) => {
+          const domain = HallucinationLensCredibility.normalizeDomain(line);
+          if (!domain) errors.push(`${name}: 올바르지 않은 도메인 "${line}"`);
+          return domain;
+        })
+        .filter(Boolean);
+
+    const allowlist = parseList(this.allowlist.value, "허용 목록");
+    const blocklist = parseList(this.blocklist.value, "차단 목록");
+    const overrides = {};
+    parseLines(this.credibilityOverrides.value).forEach((line) => {
+      const [value, tier] = line.split(/\s+/);
+      const domain = HallucinationLensCredibility.normalizeDomain(value);
+      if (!domain || !table.tiers[tier]) {
+        errors.push(
+          `등급 덮어쓰기: "${line}"의 도메인이나 등급이 올바르지 않습니다.`
+        );
+        return;
+      }
+      overrides[domain] = tier;
+    });
+
+    if (errors.length > 0) {
+      this.credibilityStatus.textContent = errors.join("\n");
+      this.credibilityStatus.style.color = "#dc2626";
+      return;
+    }
+
+    try {
+      await HallucinationLensCredibility.saveSettings({
+        allowlist,
+        blocklist,
+        overrides,
+      });
+      this.credibilityStatus.textContent = "";
+      this.credibilityStatus.style.color = "";
+      await this.renderCredibility();
+      this.showSuccess("출처 신뢰도 설정이 저장되었습니다.");
+    } catch (error) {
+      console.error("출처 신뢰도 설정 저장 오류:", error);
+      this.showError("출처 신뢰도 설정 저장 중 오류가 발생했습니다.");
+    }
+  }
+
+  /**
+   * 저장된 설정으로 도메인의 신뢰도 등급 확인
+   */
+  async checkCredibility() {
+    const host = HallucinationLensCredibility.normalizeDomain(
+      this.credibilityDomain.value
+    );
+    this.credibilityStatus.style.color = "";
+    if (!host) {
+      this.credibilityStatus.textContent = "확인할 도메인을 입력하세요.";
+      return;
+    }
+
+    const [table, settings] = await Promise.all([
+      HallucinationLensCredibility.loadTable(),
+      HallucinationLensCredibility.loadSettings(),
+    ]);
+    const credibility = HallucinationLensCredibility.lookup(
+      host,
+      table,
+      settings
+    );
+    const rules = {
+      blocklist: "차단 목록",
+      allowlist: "허용 목록",
+      override: "등급 덮어쓰기",
+      table: "평판 표",
+      suffix: "최상위 도메인 규칙",
+      default: "기본값",
+    };
+    this.credibilityStatus.textContent = `${host}: ${
+      credibility.label
+    } (가중치 ${credibility.weight}, ${rules[credibility.rule]}${
+      credibility.domain !== host ? ` · ${credibility.domain}` : ""
+    })`;
+  }
+
+  /**
+   * 신뢰도 규칙과 프리셋 목록 표시
+   */
+  async renderRules() {
+    const rules = await HallucinationLensRules.loadRules();
+
+    this.rulesPreset.innerHTML = "";
+    [
+      ...Object.entries(HallucinationLensRules.PRESETS).map(([id, preset]) => [
+        id,
+        `${preset.label} — ${preset.description}`,
+      ]),
+      ["custom", "사용자 정의"],
+    ].forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      this.rulesPreset.appendChild(option);
+    });
+
+    this.showRules(rules);
+  }
+
+  /**
+   * 규칙을 편집 칸에 표시하고 같은 프리셋이 있으면 선택
+   * @param {Object} rules - 규칙 집합
+   */
+  showRules(rules) {
+    this.rulesJson.value = HallucinationLensRules.serialize(rules);
+    this.rulesPreset.value =
+      HallucinationLensRules.findPreset(rules) || "custom";
+  }
+
+  /**
+   * 선택한 프리셋을 편집 칸에 채우기 (저장 전까지는 적용되지 않음)
+   */
+  selectPreset() {
+    const id = this.rulesPreset.value;
+    if (!HallucinationLensRules.PRESETS[id]) return;
+
+    this.rulesJson.value = HallucinationLensRules.serialize(
+      HallucinationLensRules.getPreset(id)
+    );
+    this.showRulesStatus("저장하면 프리셋이 적용됩니다.");
+  }
+
+  /**
+   * 편집 칸의 규칙 읽기 (오류가 있으면 표시하고 null)
+   * @param {string} text - 규칙 JSON
+   * @returns {Object|null} - 규칙 집합
+   */
+  readRules(text) {
+    const { rules, errors } = HallucinationLensRules.parse(text);
+    if (errors.length > 0) {
+      this.showRulesStatus(errors.join("\n"), true);
+      return null;
+    }
+    return rules;
+  }
+
+  /**
+   * 편집 칸의 규칙 저장
+   */
+  async saveRules() {
+    const rules = this.readRules(this.rulesJson.value);
+    if (!rules) return;
+
+    try {
+      await HallucinationLensRules.saveRules(rules);
+      this.showRules(rules);
+      this.showRulesStatus("");
+      this.showSuccess("신뢰도 규칙이 저장되었습니다.");
+    } catch (error) {
+      console.error("신뢰도 규칙 저장 오류:", error);
+      this.showError("신뢰도 규칙 저장 중 오류가 발생했습니다.");
+    }
+  }
+
+  /**
+   * 저장된 규칙을 JSON 파일로 내보내기
+   */
+  async exportRules() {
+    try {
+      const rules = await HallucinationLensRules.loadRules();
+      const url = URL.createObjectURL(
+        new Blob([HallucinationLensRules.serialize(rules)], {
+          type: "application/json",
+        })
+      );
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "hallucinationlens-rules.json";
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("신뢰도 규칙 내보내기 오류:", error);
+      this.showError("신뢰도 규칙을 내보내지 못했습니다.");
+    }
+  }
+
+  /**
+   * 규칙 파일을 가져와 검사한 뒤 저장
+   */
+  async importRules() {
+    const file = this.importRulesInput.files && this.importRulesInput.files[0];
+    this.importRulesInput.value = "";
+    if (!file) return;
+
+    try {
+      const rules = this.readRules(await file.text());
+      if (!rules) return;
+
+      await HallucinationLensRules.saveRules(rules);
+      this.showRules(rules);
+      this.showRulesStatus("");
+      this.showSuccess(`${file.name}의 신뢰도 규칙을 가져왔습니다.`);
+    } catch (error) {
+      console.error("신뢰도 규칙 가져오기 오류:", error);
+      this.showError("신뢰도 규칙을 가져오지 못했습니다.");
+    }
+  }
+
+  /**
+   * 신뢰도 규칙 카드 아래에 상태 표시
+   * @param {string} message - 메시지
+   * @param {boolean} isError - 오류 여부
+   */
+  showRulesStatus(message, isError = false) {
+    this.rulesStatus.textContent = message;
+    this.rulesStatus.style.color = isError ? "#dc2626" : "";
+  }
+
+  /**
+   * LLM 판정 설정 표시
+   */
+  async renderJudge() {
+    const settings = await HallucinationLensJudge.loadSettings();
+    this.judgeEnabled.checked = settings.enabled;
+    this.judgeEndpoint.value = settings.endpoint;
+    this.judgeModel.value = settings.model;
+    this.judgeApiKey.value = settings.apiKey;
+  }
+
+  /**
+   * 입력된 LLM 판정 설정 (주소가 올바르지 않으면 null)
+   * @returns {Object|null} - { enabled, endpoint, model, apiKey }
+   */
+  readJudgeSettings() {
+    const endpoint = this.judgeEndpoint.value.trim();
+    if (!HallucinationLensJudge.isValidEndpoint(endpoint)) {
+      this.judgeStatus.textContent =
+        "주소는 http:// 또는 https://로 시작해야 합니다.";
+      this.judgeStatus.style.color = "#dc2626";
+      return null;
+    }
+
+    return {
+      enabled: this.judgeEnabled.checked,
+      endpoint,
+      model: this.judgeModel.value.trim(),
+      apiKey: this.judgeApiKey.value.trim(),
+    };
+  }
+
+  /**
+   * LLM 판정 설정 저장
+   */
+  async saveJudge() {
+    const settings = this.readJudgeSettings();
+    if (!settings) return;
+    if (settings.enabled && !(await this.requestOrigin(settings.endpoint))) {
+      this.judgeStatus.textContent =
+        "이 주소에 접근할 권한이 없어 판정을 요청할 수 없습니다.";
+      this.judgeStatus.style.color = "#dc2626";
+      return;
+    }
+
+    try {
+      await HallucinationLensJudge.saveSettings(settings);
+      this.judgeStatus.textContent = "";
+      this.judgeStatus.style.color = "";
+      this.showSuccess(
+        settings.enabled
+          ? "LLM 판정 설정이 저장되었습니다. 검증할 문장과 근거가 이 주소로 전송됩니다."
+          : "LLM 판정 설정이 저장되었습니다."
+      );
+    } catch (error) {
+      console.error("LLM 판정 설정 저장 오류:", error);
+      this.showError("LLM 판정 설정 저장 중 오류가 발생했습니다.");
+    }
+  }
+
+  /**
+   * 입력된 설정으로 예시 문장을 판정해 주소와 응답 형식 확인
+   */
+  async testJudge() {
+    const settings = this.readJudgeSettings();
+    if (!settings) return;
+    if (!(await this.requestOrigin(settings.endpoint))) {
+      this.judgeStatus.textContent = "이 주소에 접근할 권한이 없습니다.";
+      this.judgeStatus.style.color = "#dc2626";
+      return;
+    }
+
+    this.judgeStatus.style.color = "";
+    this.judgeStatus.textContent = "예시 문장을 판정하는 중...";
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "testJudge",
+        settings,
+      });
+      const result = response.result;
+      if (response.success) {
+        this.judgeStatus.textContent = `연결됨: ${
+          HallucinationLensJudge.VERDICTS[result.verdict]
+        } (${Math.round(result.confidence * 100)}%) — ${result.rationale}`;
+      } else {
+        this.judgeStatus.textContent = `판정 실패: ${result.error}`;
+        this.judgeStatus.style.color = "#dc2626";
+      }
+    } catch (error) {
+      console.error("LLM 판정 연결 확인 오류:", error);
+      this.judgeStatus.textContent = `판정 실패: ${error.message}`;
+      this.judgeStatus.style.color = "#dc2626";
+    }
+  }
+
+  /**
+   * Wikidata API 주소 저장 (비우면 기본 주소 사용)
+   */
+  async saveWikidataEndpoint() {
+    const endpoint = this.wikidataEndpoint.value.trim();
+    if (endpoint && !/^https?:\/\/[^/\s]+/.test(endpoint)) {
+      this.showError("API 주소는 http:// 또는 https://로 시작해야 합니다.");
+      return;
+    }
+    if (endpoint && !(await this.requestOrigin(endpoint))) {
+      this.showError("이 주소에 접근할 권한이 없습니다.");
+      return;
+    }
+
+    try {
+      if (endpoint) {
+        await chrome.storage.local.set({ wikidataEndpoint: endpoint });
+      } else {
+        await chrome.storage.local.remove("wikidataEndpoint");
+        this.wikidataEndpoint.value =
+          HallucinationLensWikidata.DEFAULT_ENDPOINT;
+      }
+      this.showSuccess("Wikidata 설정이 저장되었습니다.");
+    } catch (error) {
+      console.error("Wikidata 설정 저장 오류:", error);
+      this.showError("Wikidata 설정 저장 중 오류가 발생했습니다.");
+    }
+  }
+
+  /**
+   * 카드 아래에 상태 표시
+   * @param {Element} card - 카드 요소
+   * @param {string} message - 메시지
+   * @param {boolean} isError - 오류 여부
+   */
+  showCardStatus(card, message, isError = false) {
+    const status = card.querySelector(".source-status");
+    status.textContent = message;
+    status.style.color = isError ? "#dc2626" : "";
+  }
+
+  /**
+   * 메시지 표시
+   */
+  showMessage(message, type = "info") {
+    const messageDiv = document.createElement("div");
+    messageDiv.className = type;
+    messageDiv.textContent = message;
+
+    this.messageArea.innerHTML = "";
+    this.messageArea.appendChild(messageDiv);
+
+    // 3초 후 메시지 제거
+    setTimeout(() => {
+      if (this.messageArea.contains(messageDiv)) {
+        this.messageArea.removeChild(messageDiv);
+      }
+    }, 3000);
+  }
+
+  /**
+   * 에러 메시지 표시
+   */
+  showError(message) {
+    this.showMessage(message, "error");
+  }
+
+  /**
+   * 성공 메시지 표시
+   */
+  showSuccess(message) {
+    this.showMessage(message, "success");
+  }
+}
+
+// DOM 로드 완료 후 초기화
+document.addEventListener("DOMContentLoaded", () => {
+  window.hallucinationLensOptions = new HallucinationLensOptions();
+});
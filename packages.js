@@ -0,0 +1,381 @@
+/**
+ * HallucinationLens - 코드 블록 패키지 검사
+ * 코드 블록의 import/require/설치 명령에서 패키지 이름을 모아 레지스트리 색인과 대조
+ */
+
+class HallucinationLensPackages {
+  // 한 답변에서 검사할 최대 패키지 수
+  static MAX_PACKAGES = 15;
+
+  // Node.js 내장 모듈 (레지스트리 검사 대상 아님)
+  static NODE_BUILTINS = new Set([
+    "assert",
+    "buffer",
+    "child_process",
+    "cluster",
+    "crypto",
+    "dgram",
+    "dns",
+    "events",
+    "fs",
+    "http",
+    "http2",
+    "https",
+    "net",
+    "os",
+    "path",
+    "perf_hooks",
+    "process",
+    "querystring",
+    "readline",
+    "stream",
+    "string_decoder",
+    "timers",
+    "tls",
+    "url",
+    "util",
+    "v8",
+    "vm",
+    "worker_threads",
+    "zlib",
+  ]);
+
+  // 파이썬 표준 라이브러리 (자주 쓰이는 것 위주)
+  static PYTHON_STDLIB = new Set([
+    "abc",
+    "argparse",
+    "array",
+    "ast",
+    "asyncio",
+    "base64",
+    "bisect",
+    "calendar",
+    "collections",
+    "concurrent",
+    "contextlib",
+    "copy",
+    "csv",
+    "ctypes",
+    "dataclasses",
+    "datetime",
+    "decimal",
+    "difflib",
+    "email",
+    "enum",
+    "functools",
+    "gc",
+    "getpass",
+    "glob",
+    "gzip",
+    "hashlib",
+    "heapq",
+    "hmac",
+    "html",
+    "http",
+    "importlib",
+    "inspect",
+    "io",
+    "itertools",
+    "json",
+    "logging",
+    "math",
+    "multiprocessing",
+    "operator",
+    "os",
+    "pathlib",
+    "pickle",
+    "platform",
+    "pprint",
+    "queue",
+    "random",
+    "re",
+    "secrets",
+    "shutil",
+    "signal",
+    "socket",
+    "sqlite3",
+    "statistics",
+    "string",
+    "struct",
+    "subprocess",
+    "sys",
+    "tempfile",
+    "textwrap",
+    "threading",
+    "time",
+    "timeit",
+    "traceback",
+    "typing",
+    "unittest",
+    "urllib",
+    "uuid",
+    "warnings",
+    "weakref",
+    "xml",
+    "zipfile",
+    "__future__",
+  ]);
+
+  // import 이름과 PyPI 배포 이름이 다른 패키지
+  static PYTHON_IMPORT_ALIASES = {
+    bs4: "beautifulsoup4",
+    cv2: "opencv-python",
+    dateutil: "python-dateutil",
+    dotenv: "python-dotenv",
+    jwt: "pyjwt",
+    PIL: "pillow",
+    sklearn: "scikit-learn",
+    skimage: "scikit-image",
+    yaml: "pyyaml",
+    google: "google-api-core",
+    Crypto: "pycryptodome",
+    serial: "pyserial",
+    magic: "python-magic",
+    docx: "python-docx",
+    telegram: "python-telegram-bot",
+  };
+
+  // 코드 블록에서 패키지 이름을 찾는 패턴
+  static JS_PATTERNS = [
+    /\bimport\s+(?:[\w*{}\s,$]+\s+from\s+)?["']([^"']+)["']/g,
+    /\brequire\(\s*["']([^"']+)["']\s*\)/g,
+    /\bimport\(\s*["']([^"']+)["']\s*\)/g,
+  ];
+  static PYTHON_PATTERNS = [
+    /^\s*from\s+([A-Za-z_][\w.]*)\s+import\b/gm,
+    /^\s*import\s+([A-Za-z_][\w.]*(?:\s*,\s*[A-Za-z_][\w.]*)*)/gm,
+  ];
+  static INSTALL_PATTERNS = [
+    {
+      ecosystem: "npm",
+      pattern:
+        /\b(?:npm\s+(?:install|i|add)|yarn\s+add|pnpm\s+(?:add|install|i))[ \t]+([^\n&|;]+)/g,
+    },
+    {
+      ecosystem: "pypi",
+      pattern:
+        /\b(?:pip3?|python3?\s+-m\s+pip|uv\s+pip|poetry)\s+(?:install|add)[ \t]+([^\n&|;]+)/g,
+    },
+  ];
+
+  /**
+   * 응답 요소의 코드 블록에서 패키지 목록 추출
+   * @param {Element} element - 응답 요소
+   * @returns {Object[]} - 패키지 배열 ({ ecosystem, name, source, statement })
+   */
+  static collect(element) {
+    const blocks = Array.from(element.querySelectorAll("pre, code")).filter(
+      (block) => !block.parentElement || !block.parentElement.closest("pre")
+    );
+
+    const packages = [];
+    const seen = new Set();
+    const add = (ecosystem, name, source, statement) => {
+      if (!name) return;
+      const key = `${ecosystem}:${name.toLowerCase()}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      packages.push({ ecosystem, name, source, statement: statement.trim() });
+    };
+
+    blocks.forEach((block) => {
+      const code = block.textContent || "";
+      const language = this.detectCodeLanguage(block, code);
+
+      this.INSTALL_PATTERNS.forEach(({ ecosystem, pattern }) => {
+        for (const match of code.matchAll(pattern)) {
+          this.parseInstallArguments(match[1], ecosystem).forEach((name) =>
+            add(ecosystem, name, "install", match[0])
+          );
+        }
+      });
+
+      if (language === "javascript") {
+        this.JS_PATTERNS.forEach((pattern) => {
+          for (const match of code.matchAll(pattern)) {
+            add(
+              "npm",
+              this.normalizeNpmSpecifier(match[1]),
+              "import",
+              match[0]
+            );
+          }
+        });
+      }
+
+      if (language === "python") {
+        this.PYTHON_PATTERNS.forEach((pattern) => {
+          for (const match of code.matchAll(pattern)) {
+            match[1].split(",").forEach((moduleName) => {
+              add(
+                "pypi",
+                this.normalizePythonModule(moduleName.trim()),
+                "import",
+                match[0]
+              );
+            });
+          }
+        });
+      }
+    });
+
+    const limited = packages.slice(0, this.MAX_PACKAGES);
+    console.log("[HallucinationLens] 코드 블록 패키지 추출 결과:", limited);
+
+    return limited;
+  }
+
+  /**
+   * 코드 블록의 언어 추정 (class 속성 → 문법 특징 순서)
+   * @param {Element} block - 코드 블록 요소
+   * @param {string} code - 코드 텍스트
+   * @returns {string} - "javascript" | "python" | "shell" | "unknown"
+   */
+  static detectCodeLanguage(block, code) {
+    const classNames = [
+      block,
+      block.querySelector && block.querySelector("code"),
+    ]
+      .filter(Boolean)
+      .map((node) => node.className || "")
+      .join(" ")
+      .toLowerCase();
+
+    if (
+      /language-(js|javascript|jsx|ts|typescript|tsx|mjs)\b/.test(classNames)
+    ) {
+      return "javascript";
+    }
+    if (/language-(py|python)\b/.test(classNames)) {
+      return "python";
+    }
+    if (/language-(sh|bash|shell|zsh|console)\b/.test(classNames)) {
+      return "shell";
+    }
+
+    if (/\brequire\(|\bimport\s.+\sfrom\s+["']|\bimport\s+["']/.test(code)) {
+      return "javascript";
+    }
+    if (/^\s*(from\s+[\w.]+\s+import|import\s+[\w.]+\s*$)/m.test(code)) {
+      return "python";
+    }
+
+    return "unknown";
+  }
+
+  /**
+   * 설치 명령의 인자에서 패키지 이름만 추출 (옵션, 버전 지정 제거)
+   * @param {string} args - 설치 명령 뒤의 인자 문자열
+   * @param {string} ecosystem - "npm" | "pypi"
+   * @returns {string[]} - 패키지 이름 배열
+   */
+  static parseInstallArguments(args, ecosystem) {
+    return args
+      .split(/\s+/)
+      .filter((arg) => arg && !arg.startsWith("-") && !/[\\/]\.|^\./.test(arg))
+      .filter((arg) => !/^(git\+|https?:|file:)/.test(arg))
+      .filter((arg) => !/\.(txt|toml|cfg|whl|gz|zip)$/.test(arg))
+      .map((arg) =>
+        ecosystem === "npm"
+          ? arg.replace(/(.)@[^/]*$/, "$1")
+          : arg.replace(/\[.*\]/, "").replace(/[<>=!~;].*$/, "")
+      )
+      .map((arg) => arg.replace(/["']/g, ""))
+      .filter((arg) => /^(@[\w.-]+\/)?[\w.-]+$/.test(arg));
+  }
+
+  /**
+   * npm 모듈 지정자를 패키지 이름으로 변환 ("lodash/fp" -> "lodash")
+   * 상대 경로, 별칭 경로, 내장 모듈은 null 반환
+   * @param {string} specifier - import/require 문자열
+   * @returns {string|null} - 패키지 이름
+   */
+  static normalizeNpmSpecifier(specifier) {
+    if (/^(\.|\/|~|@\/|#|node:|https?:)/.test(specifier)) {
+      return null;
+    }
+
+    const parts = specifier.split("/");
+    const name = specifier.startsWith("@")
+      ? parts.slice(0, 2).join("/")
+      : parts[0];
+
+    // npm 패키지 이름은 소문자만 허용되므로 대문자가 있으면 프로젝트 내부 별칭으로 봄
+    if (this.NODE_BUILTINS.has(name) || /[A-Z]/.test(name)) {
+      return null;
+    }
+
+    return name;
+  }
+
+  /**
+   * 파이썬 모듈 이름을 PyPI 배포 이름으로 변환 ("sklearn.svm" -> "scikit-learn")
+   * 표준 라이브러리는 null 반환
+   * @param {string} moduleName - import 대상 모듈 이름
+   * @returns {string|null} - 배포 이름
+   */
+  static normalizePythonModule(moduleName) {
+    const topLevel = moduleName.split(".")[0];
+    if (!topLevel || this.PYTHON_STDLIB.has(topLevel)) {
+      return null;
+    }
+    return this.PYTHON_IMPORT_ALIASES[topLevel] || topLevel;
+  }
+
+  /**
+   * Background Script에 레지스트리 검사 요청
+   * @param {Object[]} packages - 추출된 패키지 배열
+   * @returns {Promise<Object[]>} - status가 채워진 패키지 배열
+   */
+  static async checkViaBackground(packages) {
+    if (packages.length === 0) {
+      return [];
+    }
+
+    return new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage(
+          { action: "checkPackages", packages },
+          (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+              console.warn(
+                "[HallucinationLens] 패키지 검사 실패:",
+                chrome.runtime.lastError || response
+              );
+              resolve(packages.map((pkg) => ({ ...pkg, status: "unchecked" })));
+              return;
+            }
+            resolve(response.packages);
+          }
+        );
+      } catch (error) {
+        console.error(
+          "[HallucinationLens] 패키지 검사 메시지 전송 오류:",
+          error
+        );
+        resolve(packages.map((pkg) => ({ ...pkg, status: "unchecked" })));
+      }
+    });
+  }
+
+  /**
+   * 패키지 검사 상태의 표시 정보
+   * @param {string} status - 검사 상태
+   * @returns {Object} - { label, color }
+   */
+  static getStatusInfo(status) {
+    const statuses = {
+      known: { label: "확인됨", color: "#51cf66" },
+      exists: { label: "레지스트리에 있음", color: "#51cf66" },
+      unknown: { label: "존재하지 않음", color: "#ff6b6b" },
+      suspicious: { label: "유사 이름 의심", color: "#ff922b" },
+      unchecked: { label: "확인 불가", color: "#adb5bd" },
+    };
+    return statuses[status] || statuses.unchecked;
+  }
+}
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensPackages = HallucinationLensPackages;
+}
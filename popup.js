@@ -26,6 +26,17 @@ class HallucinationLensPopup {
       this.messageArea = document.getElementById("messageArea");
       this.helpLink = document.getElementById("helpLink");
       this.feedbackLink = document.getElementById("feedbackLink");
+      this.optionsLink = document.getElementById("optionsLink");
+      this.providerList = document.getElementById("providerList");
+      this.searchMode = document.getElementById("searchMode");
+      this.searchMerge = document.getElementById("searchMerge");
+      this.searchDedupe = document.getElementById("searchDedupe");
+      this.fetchEvidence = document.getElementById("fetchEvidence");
+      this.checkEntailment = document.getElementById("checkEntailment");
+      this.cacheTtl = document.getElementById("cacheTtl");
+      this.cacheStats = document.getElementById("cacheStats");
+      this.clearCacheButton = document.getElementById("clearCache");
+      this.scoreDisplay = document.getElementById("scoreDisplay");
 
       // 이벤트 리스너 등록
       this.setupEventListeners();
@@ -35,6 +46,15 @@ class HallucinationLensPopup {
 
       // 상태 확인 및 UI 업데이트
       await this.checkStatus();
+
+      // 신뢰도 표시 방식
+      await this.renderScoreDisplay();
+
+      // 검색 소스 설정 표시
+      await this.renderSearchSettings();
+
+      // 검색 캐시 통계 표시
+      await this.updateCacheStats();
     } catch (error) {
       console.error("팝업 초기화 오류:", error);
       this.showError("초기화 중 오류가 발생했습니다.");
@@ -61,6 +81,17 @@ class HallucinationLensPopup {
       e.preventDefault();
       this.showFeedback();
     });
+
+    // 검색 캐시 비우기
+    this.clearCacheButton.addEventListener("click", () => {
+      this.clearCache();
+    });
+
+    // 고급 설정 (옵션 페이지)
+    this.optionsLink.addEventListener("click", (e) => {
+      e.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
   }
 
   /**
@@ -254,6 +285,197 @@ class HallucinationLensPopup {
     }
   }
 
+  /**
+   * 신뢰도 표시 방식 선택 (0~100점과 요인별 구성, 또는 점수에서 파생된 세 단계)
+   */
+  async renderScoreDisplay() {
+    const modes = {
+      score: "점수 (0~100)와 요인별 구성",
+      band: "세 단계 (높음/보통/낮음)",
+    };
+    const result = await chrome.storage.local.get(["scoreDisplay"]);
+
+    Object.entries(modes).forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      this.scoreDisplay.appendChild(option);
+    });
+    this.scoreDisplay.value = result.scoreDisplay || "score";
+
+    this.scoreDisplay.addEventListener("change", async () => {
+      try {
+        await chrome.storage.local.set({
+          scoreDisplay: this.scoreDisplay.value,
+        });
+        this.showSuccess(
+          "신뢰도 표시 방식이 저장되었습니다. 페이지를 새로 고치면 적용됩니다."
+        );
+      } catch (error) {
+        console.error("신뢰도 표시 설정 저장 오류:", error);
+        this.showError("설정 저장 중 오류가 발생했습니다.");
+      }
+    });
+  }
+
+  /**
+   * 검색 소스 설정 UI 구성 (등록된 제공자, 실행 방식, 병합 방식)
+   */
+  async renderSearchSettings() {
+    await HallucinationLensKnowledgeBase.registerAll();
+    const settings = await HallucinationLensProviders.loadSettings();
+
+    this.providerList.innerHTML = "";
+    HallucinationLensProviders.list().forEach((provider) => {
+      const label = document.createElement("label");
+      label.className = "settings-check";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = provider.id;
+      checkbox.checked = settings.providers.includes(provider.id);
+      checkbox.addEventListener("change", () => this.saveSearchSettings());
+
+      const text = document.createElement("span");
+      text.textContent = provider.name;
+      const description = document.createElement("span");
+      description.className = "settings-description";
+      description.textContent = provider.description;
+      text.appendChild(description);
+
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      this.providerList.appendChild(label);
+    });
+
+    const fillSelect = (select, options, value) => {
+      select.innerHTML = "";
+      Object.entries(options).forEach(([optionValue, optionLabel]) => {
+        const option = document.createElement("option");
+        option.value = optionValue;
+        option.textContent = optionLabel;
+        select.appendChild(option);
+      });
+      select.value = value;
+    };
+
+    fillSelect(
+      this.searchMode,
+      HallucinationLensProviders.MODES,
+      settings.mode
+    );
+    fillSelect(
+      this.searchMerge,
+      HallucinationLensProviders.MERGE_STRATEGIES,
+      settings.merge
+    );
+    this.searchDedupe.checked = settings.dedupe;
+    this.fetchEvidence.checked = settings.fetchEvidence;
+    this.checkEntailment.checked = settings.checkEntailment;
+    fillSelect(
+      this.cacheTtl,
+      HallucinationLensProviders.CACHE_TTL_OPTIONS,
+      String(settings.cacheTtlMinutes)
+    );
+
+    this.searchMode.addEventListener("change", () => this.saveSearchSettings());
+    this.searchMerge.addEventListener("change", () =>
+      this.saveSearchSettings()
+    );
+    this.searchDedupe.addEventListener("change", () =>
+      this.saveSearchSettings()
+    );
+    this.fetchEvidence.addEventListener("change", () =>
+      this.saveSearchSettings()
+    );
+    this.checkEntailment.addEventListener("change", () =>
+      this.saveSearchSettings()
+    );
+    this.cacheTtl.addEventListener("change", () => this.saveSearchSettings());
+  }
+
+  /**
+   * 검색 소스 설정 저장
+   */
+  async saveSearchSettings() {
+    const providers = Array.from(
+      this.providerList.querySelectorAll("input[type=checkbox]")
+    )
+      .filter((checkbox) => checkbox.checked)
+      .map((checkbox) => checkbox.value);
+
+    if (providers.length === 0) {
+      this.showError("검색 소스를 하나 이상 선택하세요.");
+      return;
+    }
+
+    try {
+      const settings = await HallucinationLensProviders.loadSettings();
+      await chrome.storage.local.set({
+        searchSettings: {
+          ...settings,
+          providers,
+          mode: this.searchMode.value,
+          merge: this.searchMerge.value,
+          dedupe: this.searchDedupe.checked,
+          fetchEvidence: this.fetchEvidence.checked,
+          checkEntailment: this.checkEntailment.checked,
+          cacheTtlMinutes: Number(this.cacheTtl.value),
+        },
+      });
+      this.showSuccess("검색 설정이 저장되었습니다.");
+    } catch (error) {
+      console.error("검색 설정 저장 오류:", error);
+      this.showError("검색 설정 저장 중 오류가 발생했습니다.");
+    }
+  }
+
+  /**
+   * 검색 캐시 적중률 표시 (Background Script에 통계 요청)
+   */
+  async updateCacheStats() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getCacheStats",
+      });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : "응답 없음");
+      }
+
+      const { hits, misses, entries } = response.stats;
+      const total = hits + misses;
+      this.cacheStats.textContent =
+        total > 0
+          ? `캐시 적중률 ${Math.round(
+              (hits / total) * 100
+            )}% (${hits}/${total}회, 저장 ${entries}건)`
+          : `캐시 적중 기록 없음 (저장 ${entries}건)`;
+    } catch (error) {
+      console.log("캐시 통계 가져오기 실패:", error.message);
+      this.cacheStats.textContent = "캐시 통계를 가져올 수 없습니다.";
+    }
+  }
+
+  /**
+   * 검색 캐시 비우기
+   */
+  async clearCache() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "clearCache",
+      });
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : "응답 없음");
+      }
+
+      await this.updateCacheStats();
+      this.showSuccess("검색 캐시를 비웠습니다.");
+    } catch (error) {
+      console.error("캐시 비우기 오류:", error);
+      this.showError("캐시를 비우는 중 오류가 발생했습니다.");
+    }
+  }
+
   /**
    * 메시지 표시
    */
@@ -0,0 +1,519 @@
+/**
+ * HallucinationLens - 검색 제공자 레지스트리
+ * 근거 자료를 가져오는 검색 제공자를 등록하고, 설정에 따라 실행/병합/중복 제거
+ * Background Script(importScripts)와 팝업에서 함께 사용
+ */
+
+class HallucinationLensProviders {
+  // 등록된 검색 제공자 (id -> 제공자)
+  static providers = {};
+
+  // 검색 결과 캐시 (Background Script에서 HallucinationLensCache를 연결, 없으면 사용 안 함)
+  static cache = null;
+
+  // 요청 스케줄러 (Background Script에서 HallucinationLensScheduler를 연결, 없으면 바로 fetch)
+  static scheduler = null;
+
+  // 검색 설정 기본값 (chrome.storage.local의 searchSettings에 저장)
+  static DEFAULT_SETTINGS = {
+    providers: ["wikidata", "local-corpus", "duckduckgo", "wikipedia"],
+    mode: "fallback",
+    merge: "concat",
+    dedupe: true,
+    maxResults: 6,
+    cacheTtlMinutes: 60,
+    fetchEvidence: true,
+    checkEntailment: true,
+  };
+
+  // 캐시 유지 시간 (분)
+  static CACHE_TTL_OPTIONS = {
+    0: "사용 안 함",
+    10: "10분",
+    60: "1시간",
+    360: "6시간",
+    1440: "1일",
+  };
+
+  // 실행 방식
+  static MODES = {
+    fallback: "순서대로 (결과가 나오면 중단)",
+    sequential: "순서대로 모두 실행",
+    parallel: "동시에 모두 실행",
+  };
+
+  // 결과 병합 방식
+  static MERGE_STRATEGIES = {
+    concat: "제공자 순서대로 이어 붙이기",
+    interleave: "제공자별로 번갈아 섞기",
+  };
+
+  /**
+   * 검색 제공자 등록
+   * @param {Object} provider - 검색 제공자
+   * @param {string} provider.id - 제공자 ID (설정에 저장되는 값)
+   * @param {string} provider.name - 표시 이름 (결과의 source로 사용)
+   * @param {string} [provider.description] - 설정 화면에 표시할 설명
+   * @param {string[]} [provider.cacheContext] - 결과에 영향을 주는 context 키 (캐시 키에 포함)
+   * @param {boolean} [provider.cacheable] - false이면 캐시하지 않음 (로컬 검색 등)
+   * @param {number} [provider.concurrency] - 동시 요청 수 제한 (기본값은 스케줄러 설정)
+   * @param {boolean} [provider.evidence] - false이면 결과 링크의 원문에서 근거 문단을 찾지 않음
+   * @param {boolean} [provider.supplementary] - true이면 결과가 있어도 "순서대로" 방식에서
+   *   다음 제공자로 넘어감 (Wikidata 값 대조처럼 일반 검색 결과를 대신하지 않는 제공자)
+   * @param {string} [provider.credibility] - 링크가 없는 결과의 출처 신뢰도 등급 (domain-reputation.json의 tiers)
+   * @param {Function} provider.search - async (query, context) => [{ title, url, snippet }]
+   *   (제공자 객체의 메서드로 호출되므로 this로 보조 메서드를 사용할 수 있음.
+   *   일부 요청이 실패하거나 시간 초과된 결과이면 배열에 partial: true를 붙여 캐시하지 않도록 함)
+   */
+  static register(provider) {
+    this.providers[provider.id] = provider;
+  }
+
+  /**
+   * 검색 제공자 등록 해제 (삭제된 사용자 정의 소스 등)
+   * @param {string} id - 제공자 ID
+   */
+  static unregister(id) {
+    delete this.providers[id];
+  }
+
+  /**
+   * 등록된 제공자 목록 (설정 화면용)
+   * @returns {Object[]} - [{ id, name, description }]
+   */
+  static list() {
+    return Object.values(this.providers).map(({ id, name, description }) => ({
+      id,
+      name,
+      description: description || "",
+    }));
+  }
+
+  /**
+   * 제공자 요청용 fetch (스케줄러가 연결되어 있으면 동시 요청 수, 시간 초과, 재시도 적용)
+   * @param {string} providerId - 요청하는 제공자 ID
+   * @param {string} url - 요청 URL
+   * @param {Object} init - fetch 옵션
+   * @returns {Promise<Response>} - 응답
+   */
+  static fetch(providerId, url, init = {}) {
+    if (!this.scheduler) {
+      return fetch(url, init);
+    }
+    const provider = this.providers[providerId];
+    return this.scheduler.fetch(providerId, url, init, {
+      concurrency: provider && provider.concurrency,
+    });
+  }
+
+  /**
+   * 저장된 검색 설정 불러오기 (기본값과 병합)
+   * @returns {Promise<Object>} - 검색 설정
+   */
+  static async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get(["searchSettings"]);
+      return { ...this.DEFAULT_SETTINGS, ...(result.searchSettings || {}) };
+    } catch (error) {
+      console.error("[HallucinationLens] 검색 설정 불러오기 오류:", error);
+      return { ...this.DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * 설정된 제공자로 검색 실행
+   * @param {string} query - 검색 쿼리
+   * @param {Object} settings - 검색 설정 (DEFAULT_SETTINGS 형태)
+   * @param {Object} context - 제공자에 전달할 부가 정보 (언어, 사실 등)
+   * @returns {Promise<Object[]>} - 정규화된 검색 결과 배열
+   */
+  static async search(query, settings = this.DEFAULT_SETTINGS, context = {}) {
+    return (await this.searchWithStatus(query, settings, context)).results;
+  }
+
+  /**
+   * 설정된 제공자로 검색하고, 시간 초과된 제공자도 함께 반환
+   * @param {string} query - 검색 쿼리
+   * @param {Object} settings - 검색 설정 (DEFAULT_SETTINGS 형태)
+   * @param {Object} context - 제공자에 전달할 부가 정보 (언어, 사실 등)
+   * @returns {Promise<Object>} - { results, timedOut: 시간 초과된 제공자 이름 배열 }
+   */
+  static async searchWithStatus(
+    query,
+    settings = this.DEFAULT_SETTINGS,
+    context = {}
+  ) {
+    const providers = settings.providers
+      .map((id) => this.providers[id])
+      .filter(Boolean);
+
+    if (providers.length === 0) {
+      console.warn("[HallucinationLens] 활성화된 검색 제공자가 없습니다.");
+      return { results: [], timedOut: [] };
+    }
+
+    const runs = [];
+    if (settings.mode === "parallel") {
+      runs.push(
+        ...(await Promise.all(
+          providers.map((provider) =>
+            this.runProvider(provider, query, context, settings)
+          )
+        ))
+      );
+    } else {
+      for (const provider of providers) {
+        const run = await this.runProvider(provider, query, context, settings);
+        runs.push(run);
+        if (
+          settings.mode === "fallback" &&
+          !provider.supplementary &&
+          run.results.length > 0
+        ) {
+          break;
+        }
+      }
+    }
+
+    let results = this.mergeResults(
+      runs.map((run) => run.results),
+      settings.merge
+    );
+    if (settings.dedupe) {
+      results = this.dedupeResults(results);
+    }
+
+    return {
+      results: results.slice(0, settings.maxResults),
+      timedOut: runs
+        .filter((run) => run.status === "timeout")
+        .map((run) => run.provider.name),
+    };
+  }
+
+  /**
+   * 제공자 하나를 실행하고 결과를 정규화 (오류는 빈 결과로 처리)
+   * 캐시가 연결되어 있으면 정규화된 결과를 캐시에서 먼저 찾음
+   * (정규화한 결과에도 제공자가 붙인 partial 표시를 남겨 캐시가 저장하지 않도록 함)
+   * @param {Object} provider - 검색 제공자
+   * @param {string} query - 검색 쿼리
+   * @param {Object} context - 부가 정보
+   * @param {Object} settings - 검색 설정 (캐시 유지 시간)
+   * @returns {Promise<Object>} - { provider, results, status: "ok" | "timeout" | "error" }
+   */
+  static async runProvider(
+    provider,
+    query,
+    context,
+    settings = this.DEFAULT_SETTINGS
+  ) {
+    const search = async () => {
+      const results = (await provider.search(query, context)) || [];
+      return Object.assign(
+        results
+          .filter((result) => result && result.snippet)
+          .map((result) => this.normalizeResult(result, provider)),
+        { partial: Boolean(results.partial) }
+      );
+    };
+
+    try {
+      const ttlMinutes = Number(settings.cacheTtlMinutes) || 0;
+      const normalized =
+        this.cache && provider.cacheable !== false && ttlMinutes > 0
+          ? await this.cache.fetch(
+              this.cache.createKey(provider, query, context),
+              ttlMinutes,
+              search
+            )
+          : await search();
+
+      console.log(`[HallucinationLens] ${provider.name} 결과:`, normalized);
+      return { provider, results: normalized, status: "ok" };
+    } catch (error) {
+      if (error && error.name === "TimeoutError") {
+        console.warn(`[HallucinationLens] ${provider.name} 시간 초과:`, error);
+        return { provider, results: [], status: "timeout" };
+      }
+      console.error(`[HallucinationLens] ${provider.name} 오류:`, error);
+      return { provider, results: [], status: "error" };
+    }
+  }
+
+  /**
+   * 제공자별 결과를 공통 형식으로 변환
+   * @param {Object} result - 제공자가 반환한 결과
+   * @param {Object} provider - 검색 제공자
+   * @returns {Object} - { title, url, snippet, source, providerId, retrievedAt, isReliable }
+   */
+  static normalizeResult(result, provider) {
+    return {
+      ...result,
+      title: result.title || provider.name,
+      url: result.url || "#",
+      snippet: String(result.snippet).trim(),
+      source: result.source || provider.name,
+      providerId: provider.id,
+      retrievedAt: result.retrievedAt || new Date().toISOString(),
+      isReliable: result.isReliable !== false,
+    };
+  }
+
+  /**
+   * 제공자별 결과 묶음을 하나의 배열로 병합
+   * @param {Object[][]} groups - 제공자별 결과 배열
+   * @param {string} strategy - "concat" | "interleave"
+   * @returns {Object[]} - 병합된 결과 배열
+   */
+  static mergeResults(groups, strategy) {
+    if (strategy !== "interleave") {
+      return groups.flat();
+    }
+
+    const merged = [];
+    const longest = Math.max(0, ...groups.map((group) => group.length));
+    for (let i = 0; i < longest; i++) {
+      groups.forEach((group) => {
+        if (group[i]) merged.push(group[i]);
+      });
+    }
+    return merged;
+  }
+
+  /**
+   * URL 또는 본문이 같은 결과 제거 (먼저 나온 결과를 유지)
+   * @param {Object[]} results - 결과 배열
+   * @returns {Object[]} - 중복이 제거된 결과 배열
+   */
+  static dedupeResults(results) {
+    const seen = new Set();
+
+    return results.filter((result) => {
+      const urlKey =
+        result.url && result.url !== "#"
+          ? result.url
+              .toLowerCase()
+              .replace(/^https?:\/\/(www\.|m\.)?/, "")
+              .replace(/\.m\.wikipedia/, ".wikipedia")
+              .replace(/[#?].*$/, "")
+              .replace(/\/$/, "")
+          : null;
+      const snippetKey = result.snippet.toLowerCase().slice(0, 120);
+
+      if ((urlKey && seen.has(urlKey)) || seen.has(snippetKey)) {
+        return false;
+      }
+      if (urlKey) seen.add(urlKey);
+      seen.add(snippetKey);
+      return true;
+    });
+  }
+}
+
+// DuckDuckGo Instant Answer API
+HallucinationLensProviders.register({
+  id: "duckduckgo",
+  name: "DuckDuckGo",
+  description: "DuckDuckGo 즉답 API의 요약과 관련 주제",
+  search: async (query) => {
+    const encodedQuery = encodeURIComponent(query);
+    const apiUrl = `https://api.duckduckgo.com/?q=${encodedQuery}&format=json&no_html=1&skip_disambig=1`;
+
+    const response = await HallucinationLensProviders.fetch(
+      "duckduckgo",
+      apiUrl
+    );
+    const data = await response.json();
+
+    const results = [];
+
+    // Abstract (요약 정보)
+    if (data.Abstract && data.Abstract.trim()) {
+      results.push({
+        title: data.Heading || "정보 요약",
+        url: data.AbstractURL || "#",
+        snippet: data.Abstract,
+      });
+    }
+
+    // Related Topics (관련 주제)
+    if (data.RelatedTopics && data.RelatedTopics.length > 0) {
+      data.RelatedTopics.slice(0, 2).forEach((topic) => {
+        if (topic.Text && topic.FirstURL) {
+          results.push({
+            title: topic.Text.split(" - ")[0] || "관련 주제",
+            url: topic.FirstURL,
+            snippet: topic.Text,
+          });
+        }
+      });
+    }
+
+    // Answer (직접 답변)
+    if (data.Answer && data.Answer.trim()) {
+      results.push({
+        title: "직접 답변",
+        url: data.AnswerURL || "#",
+        snippet: data.Answer,
+      });
+    }
+
+    return results;
+  },
+});
+
+// Wikipedia REST API
+// 답변 언어의 위키백과에서 먼저 찾고, 없으면 영어판에서 찾은 뒤 언어 간 링크로 답변 언어 문서를 연결
+HallucinationLensProviders.register({
+  id: "wikipedia",
+  name: "Wikipedia",
+  description: "답변 언어의 Wikipedia 문서 검색과 요약 (없으면 영어판)",
+  cacheContext: ["language"],
+
+  // 기본(대체) 판
+  FALLBACK_EDITION: "en",
+
+  async search(query, context = {}) {
+    const edition = /^[a-z]{2,3}$/.test(context.language || "")
+      ? context.language
+      : this.FALLBACK_EDITION;
+
+    const pages = await this.searchEdition(edition, query);
+    if (pages.length > 0 || edition === this.FALLBACK_EDITION) {
+      return this.getSummaries(
+        pages.map((page) => ({ edition, key: page.key }))
+      );
+    }
+
+    // 답변 언어판에 문서가 없으면 영어판에서 찾고, 답변 언어판 문서가 있으면 그쪽을 사용
+    const fallbackPages = await this.searchEdition(
+      this.FALLBACK_EDITION,
+      query
+    );
+    const targets = await Promise.all(
+      fallbackPages.slice(0, 2).map(async (page) => {
+        const localTitle = await this.findInterlanguageLink(
+          this.FALLBACK_EDITION,
+          page.title || page.key,
+          edition
+        );
+        return localTitle
+          ? { edition, key: localTitle.replace(/ /g, "_") }
+          : { edition: this.FALLBACK_EDITION, key: page.key };
+      })
+    );
+
+    return this.getSummaries(targets);
+  },
+
+  /**
+   * 특정 판의 위키백과 검색
+   * @param {string} edition - 언어판 코드 (ko, ja, de ...)
+   * @param {string} query - 검색 쿼리
+   * @returns {Promise<Object[]>} - 검색된 페이지 배열 ({ key, title })
+   */
+  async searchEdition(edition, query) {
+    const searchUrl = `https://${edition}.wikipedia.org/api/rest_v1/page/search/${encodeURIComponent(
+      query
+    )}`;
+    const searchResponse = await HallucinationLensProviders.fetch(
+      this.id,
+      searchUrl
+    );
+    if (!searchResponse.ok) {
+      return [];
+    }
+    const searchData = await searchResponse.json();
+    return searchData.pages || [];
+  },
+
+  /**
+   * 언어 간 링크로 다른 판의 같은 문서 제목 찾기
+   * @param {string} edition - 원본 문서의 언어판
+   * @param {string} title - 원본 문서 제목
+   * @param {string} targetEdition - 찾을 언어판
+   * @returns {Promise<string|null>} - 대상 언어판의 문서 제목
+   */
+  async findInterlanguageLink(edition, title, targetEdition) {
+    try {
+      const params = new URLSearchParams({
+        action: "query",
+        prop: "langlinks",
+        titles: title,
+        lllang: targetEdition,
+        format: "json",
+        formatversion: "2",
+      });
+      const response = await HallucinationLensProviders.fetch(
+        this.id,
+        `https://${edition}.wikipedia.org/w/api.php?${params}`
+      );
+      const data = await response.json();
+      const page = data.query && data.query.pages && data.query.pages[0];
+      const link = page && page.langlinks && page.langlinks[0];
+      return link ? link.title : null;
+    } catch (error) {
+      console.warn(
+        "[HallucinationLens] Wikipedia 언어 간 링크 조회 실패:",
+        error
+      );
+      return null;
+    }
+  },
+
+  /**
+   * 상위 2개 문서의 요약을 동시에 가져오기
+   * 모든 요약이 시간 초과로 실패하면 시간 초과 오류를 그대로 전달하고,
+   * 일부만 실패하면 가져온 요약에 partial 표시를 붙여 반환 (캐시에 저장하지 않음)
+   * @param {Object[]} targets - 요약할 문서 배열 ({ edition, key })
+   * @returns {Promise<Object[]>} - 검색 결과 배열 (edition에 언어판 기록, partial: 일부 실패 여부)
+   */
+  async getSummaries(targets) {
+    const settled = await Promise.allSettled(
+      targets.slice(0, 2).map(async ({ edition, key }) => {
+        const summaryUrl = `https://${edition}.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(
+          key
+        )}`;
+        const summaryResponse = await HallucinationLensProviders.fetch(
+          this.id,
+          summaryUrl
+        );
+        const summaryData = await summaryResponse.json();
+
+        return summaryData.extract
+          ? {
+              title: summaryData.title,
+              url:
+                summaryData.content_urls?.desktop?.page ||
+                `https://${edition}.wikipedia.org/wiki/${key}`,
+              snippet: summaryData.extract,
+              edition,
+            }
+          : null;
+      })
+    );
+
+    const failures = settled.filter((item) => item.status === "rejected");
+    failures.forEach((item) =>
+      console.warn("[HallucinationLens] Wikipedia 요약 실패:", item.reason)
+    );
+    const timeout = failures.find(
+      (item) => item.reason && item.reason.name === "TimeoutError"
+    );
+    if (timeout && failures.length === settled.length) {
+      throw timeout.reason;
+    }
+
+    return Object.assign(
+      settled
+        .filter((item) => item.status === "fulfilled" && item.value)
+        .map((item) => item.value),
+      { partial: failures.length > 0 }
+    );
+  },
+});
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensProviders = HallucinationLensProviders;
+}
@@ -0,0 +1,171 @@
+/**
+ * HallucinationLens - 검색어 계획
+ * 주장의 개체명과 관계어로 검색어를 만들고, 결과가 없으면 좁히거나 넓힌 검색어로 다시 검색
+ * (개체명 따옴표 검색 → 핵심어 조합 → 수식어 제거 → 영어 Wikipedia 순)
+ */
+
+class HallucinationLensQueryPlanner {
+  // 주장 하나에 시도할 최대 검색어 수
+  static MAX_ATTEMPTS = 4;
+
+  // 검색어에 넣을 최대 개체명 수
+  static MAX_ENTITIES = 2;
+
+  // 검색어 전략별 표시 이름
+  static STRATEGIES = {
+    "entity-relation": "개체명 + 관계",
+    quoted: "개체명 따옴표 검색",
+    keywords: "핵심어 조합",
+    "entities-only": "수식어 제거",
+    english: "영어 Wikipedia",
+  };
+
+  /**
+   * 검색어 계획 생성 (중복 검색어는 한 번만 시도)
+   * @param {string[]} keywords - 주장의 핵심 구문
+   * @param {Object[]} facts - 주장에서 추출한 사실 배열
+   * @param {string} language - 답변 언어 코드
+   * @param {string} text - 주장 원문 (핵심 구문에 관계어가 없을 때 사용)
+   * @returns {Object[]} - [{ query, strategy, options }] (options는 검색 옵션에 덧붙일 값)
+   */
+  static plan(keywords, facts = [], language = null, text = "") {
+    const normalize = (text) => HallucinationLensKorean.normalizeQuery(text);
+    const entities = [
+      ...new Set(
+        facts
+          .filter((fact) => !HallucinationLensFacts.isNumeric(fact))
+          .map((fact) => fact.text)
+      ),
+    ].slice(0, this.MAX_ENTITIES);
+    const relation = this.findRelation(keywords, entities, text, language);
+
+    const variants = [];
+    const add = (strategy, terms, options = {}) => {
+      const query = terms.filter(Boolean).join(" ").trim();
+      if (query && !variants.some((variant) => variant.query === query)) {
+        variants.push({ query, strategy, options });
+      }
+    };
+
+    if (entities.length > 0) {
+      add("entity-relation", [...entities.map(normalize), relation]);
+      // 여러 단어로 된 개체명은 따옴표로 묶어 정확히 일치하는 문서로 좁힘
+      if (entities.some((entity) => /\s/.test(entity))) {
+        add("quoted", [
+          ...entities.map((entity) =>
+            /\s/.test(entity) ? `"${normalize(entity)}"` : normalize(entity)
+          ),
+          relation,
+        ]);
+      }
+    }
+    add("keywords", [HallucinationLensUtils.buildSearchQuery(keywords, facts)]);
+    // 수식어와 관계어를 빼고 개체명(없으면 첫 핵심어)만으로 넓혀 검색
+    add(
+      "entities-only",
+      entities.length > 0 ? entities.map(normalize) : [normalize(keywords[0])]
+    );
+
+    // 답변 언어판에 자료가 없을 때 개체명을 영어 이름으로 바꿔 영어 Wikipedia 검색
+    // (Background에서 Wikipedia가 꺼져 있으면 건너뛰고, 함의 판정은 원래 문장으로 함)
+    const english = entities.length > 0 && language && language !== "en";
+    const plan = variants.slice(0, this.MAX_ATTEMPTS - (english ? 1 : 0));
+    if (english) {
+      plan.push({
+        query: entities.join(" "),
+        strategy: "english",
+        options: {
+          providers: ["wikipedia"],
+          translate: { names: entities, target: "en" },
+        },
+      });
+    }
+    return plan;
+  }
+
+  /**
+   * 관계어 찾기 (개체명에 포함되지 않은 첫 핵심 구문, 없으면 원문의 첫 내용어)
+   * @param {string[]} keywords - 핵심 구문
+   * @param {string[]} entities - 개체명
+   * @param {string} text - 주장 원문
+   * @param {string} language - 답변 언어 코드
+   * @returns {string} - 관계어 (없으면 빈 문자열)
+   */
+  static findRelation(keywords, entities, text, language) {
+    const lowerEntities = entities.map((entity) => entity.toLowerCase());
+    const words = text
+      ? HallucinationLensUtils.tokenize(text, language || undefined)
+          .flat()
+          .filter(Boolean)
+      : [];
+    const relation = [...keywords, ...words].find((keyword) => {
+      const lower = keyword.toLowerCase();
+      return !lowerEntities.some(
+        (entity) => entity.includes(lower) || lower.includes(entity)
+      );
+    });
+    return relation ? HallucinationLensKorean.normalizeQuery(relation) : "";
+  }
+
+  /**
+   * 계획한 검색어를 차례로 시도해 처음으로 결과가 나온 검색어의 결과를 반환
+   * @param {string[]} keywords - 주장의 핵심 구문
+   * @param {Object[]} facts - 주장에서 추출한 사실 배열
+   * @param {Object} context - 검색 옵션 ({ text, language })
+   * @returns {Promise<Object[]>} - 검색 결과 배열
+   *   (timedOut, judge와 함께 plan: { query, strategy, label, attempts } 기록)
+   */
+  static async search(keywords, facts = [], context = {}) {
+    const attempts = [];
+    const timedOut = new Set();
+    let results = Object.assign([], { timedOut: [], judge: null });
+
+    for (const variant of this.plan(
+      keywords,
+      facts,
+      context.language,
+      context.text
+    )) {
+      results = await HallucinationLensUtils.searchViaBackground(
+        variant.query,
+        { ...context, facts, ...variant.options }
+      );
+
+      if (results.skipped) continue;
+      results.timedOut.forEach((name) => timedOut.add(name));
+      attempts.push({
+        query: results.query || variant.query,
+        strategy: variant.strategy,
+        label: this.STRATEGIES[variant.strategy],
+        count: results.length,
+      });
+
+      if (results.length > 0) break;
+      console.log(
+        `[HallucinationLens] 검색 결과 없음, 다른 검색어로 재시도: ${variant.query}`
+      );
+    }
+
+    // 결과마다 그 결과를 찾은 검색어를 기록 (오버레이에 표시)
+    const last = attempts[attempts.length - 1] || null;
+    results.forEach((result) => {
+      result.searchQuery = {
+        query: last.query,
+        strategy: last.strategy,
+        label: last.label,
+      };
+    });
+    return Object.assign(results, {
+      timedOut: [...timedOut],
+      plan: {
+        ...(results.length > 0 ? last : { query: null, strategy: null }),
+        attempts,
+      },
+    });
+  }
+}
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensQueryPlanner = HallucinationLensQueryPlanner;
+}
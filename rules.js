@@ -0,0 +1,310 @@
+/**
+ * HallucinationLens - 신뢰도 규칙
+ * 신뢰도 점수의 요인 가중치, 등급 경계, 점수 상한, 키워드 분석 기준을 선언형 규칙 집합으로 관리
+ * (엄격/균형/관대 프리셋, 사용자 수정, 규칙 파일 가져오기/내보내기)
+ * Content Script(calculateTrustScore, analyzeKeywords)와 옵션 페이지에서 사용
+ */
+
+class HallucinationLensRules {
+  static STORAGE_KEY = "scoringRules";
+
+  // 규칙 파일 형식 버전 (가져오기에서 확인)
+  static VERSION = 1;
+
+  // 점수 상한으로 쓸 수 있는 등급
+  static CAP_BANDS = ["high", "medium", "low"];
+
+  // 기본 규칙 (균형)
+  static DEFAULT_RULES = {
+    version: 1,
+    name: "균형",
+    // 요인별 가중치 (적용되는 요인끼리 가중 평균)
+    weights: {
+      evidence: 15,
+      credibility: 20,
+      entailment: 30,
+      facts: 20,
+      judge: 20,
+      consistency: 15,
+      claims: 60,
+      hedging: 10,
+    },
+    // 등급 경계 (점수가 이 값 이상이면 해당 등급)
+    bands: { high: 70, medium: 40 },
+    // 근거 수(0, 1, 2, 3개 이상)별 요인 값, 필요한 최소 독립 출처 수 (0이면 검사하지 않음)
+    evidence: { values: [0, 0.6, 0.85, 1], minSources: 0 },
+    // 출처 신뢰도 가중치 합이 credibleWeight 이상이고 가장 믿을 만한 출처가
+    // minBestWeight 이상이어야 신뢰할 만한 출처로 봄 (백과사전/뉴스 하나, 일반 출처 둘)
+    credibility: { credibleWeight: 0.8, minBestWeight: 0.6 },
+    // 함의 판정이 모두 "근거 부족"일 때의 요인 값,
+    // 반박 판정을 점수에 반영할 최소 confidence (그보다 낮으면 근거 부족으로 봄)
+    entailment: { notEnoughInfo: 0.4, minRefuteConfidence: 0.6 },
+    // LLM 판정의 confidence가 이 값 이상일 때만 반박을 상한으로 반영
+    judge: { minConfidence: 0.6 },
+    // 유보 표현 문장 비율이 ratio 이상이면 확신도 표현 요인 값을 value로
+    hedging: { ratio: 0.5, value: 0.5 },
+    // 낮음 문장 비율이 lowShare 이상이면 답변 전체를 낮음으로
+    claims: { lowShare: 0.5 },
+    // 상황별 점수 상한 (해당 등급의 최고점 이하로 제한)
+    caps: {
+      refuted: "low",
+      unconfirmed: "medium",
+      contradiction: "medium",
+      insufficientSources: "low",
+      judgeRefuted: "medium",
+      hedged: "medium",
+    },
+    // 키워드 분석 기준 (analyzeKeywords, assessKeywordHeuristics)
+    keywords: {
+      minCount: 2,
+      minAverageLength: 3,
+      longTermLength: 4,
+      complexCount: 3,
+      complexAverageLength: 4,
+    },
+  };
+
+  // 프리셋 (기본 규칙에 덮어쓰는 값)
+  static PRESETS = {
+    strict: {
+      label: "엄격",
+      description: "독립된 출처 두 곳 이상, 높은 등급 경계",
+      rules: {
+        name: "엄격",
+        weights: { entailment: 35, facts: 25, hedging: 15 },
+        bands: { high: 80, medium: 50 },
+        evidence: { values: [0, 0.4, 0.75, 1], minSources: 2 },
+        credibility: { credibleWeight: 1.6, minBestWeight: 0.8 },
+        entailment: { notEnoughInfo: 0.2, minRefuteConfidence: 0.5 },
+        judge: { minConfidence: 0.5 },
+        hedging: { ratio: 0.3, value: 0.3 },
+        claims: { lowShare: 0.25 },
+        caps: { unconfirmed: "low", contradiction: "low" },
+        keywords: { minCount: 3, minAverageLength: 4 },
+      },
+    },
+    balanced: {
+      label: "균형",
+      description: "기본값",
+      rules: {},
+    },
+    lenient: {
+      label: "관대",
+      description: "자료 하나로도 충분, 낮은 등급 경계",
+      rules: {
+        name: "관대",
+        weights: { evidence: 10, credibility: 15, hedging: 5 },
+        bands: { high: 60, medium: 30 },
+        evidence: { values: [0, 0.75, 0.9, 1] },
+        credibility: { credibleWeight: 0.6, minBestWeight: 0.45 },
+        entailment: { notEnoughInfo: 0.5, minRefuteConfidence: 0.75 },
+        judge: { minConfidence: 0.75 },
+        hedging: { ratio: 0.7, value: 0.7 },
+        claims: { lowShare: 0.75 },
+        caps: { hedged: "high" },
+        keywords: { minCount: 1, minAverageLength: 2 },
+      },
+    },
+  };
+
+  /**
+   * 프리셋 규칙 (기본 규칙과 병합)
+   * @param {string} id - strict, balanced, lenient
+   * @returns {Object} - 규칙 집합
+   */
+  static getPreset(id) {
+    return this.merge(this.DEFAULT_RULES, this.PRESETS[id].rules);
+  }
+
+  /**
+   * 규칙 집합과 같은 프리셋 찾기
+   * @param {Object} rules - 규칙 집합
+   * @returns {string|null} - 프리셋 ID (사용자 정의면 null)
+   */
+  static findPreset(rules) {
+    return (
+      Object.keys(this.PRESETS).find(
+        (id) => JSON.stringify(this.getPreset(id)) === JSON.stringify(rules)
+      ) || null
+    );
+  }
+
+  /**
+   * 기본 규칙에 일부 규칙을 덮어써 전체 규칙 집합 만들기
+   * (규칙 파일에 일부 항목만 있어도 나머지는 기본값 사용)
+   * @param {Object} base - 기본 규칙
+   * @param {Object} override - 덮어쓸 규칙
+   * @returns {Object} - 병합된 규칙 집합
+   */
+  static merge(base, override = {}) {
+    const merged = {};
+    Object.entries(base).forEach(([key, value]) => {
+      const next = override[key];
+      merged[key] =
+        value && typeof value === "object" && !Array.isArray(value)
+          ? this.merge(value, next && typeof next === "object" ? next : {})
+          : next === undefined
+          ? value
+          : next;
+    });
+    return merged;
+  }
+
+  /**
+   * 규칙 집합 검사
+   * @param {Object} rules - 병합된 규칙 집합
+   * @returns {string[]} - 오류 메시지 배열 (문제가 없으면 빈 배열)
+   */
+  static validate(rules) {
+    const errors = [];
+    const isNumber = (value, min, max) =>
+      typeof value === "number" &&
+      Number.isFinite(value) &&
+      value >= min &&
+      value <= max;
+    const check = (condition, message) => {
+      if (!condition) errors.push(message);
+    };
+
+    check(
+      rules.version === this.VERSION,
+      `지원하지 않는 규칙 버전입니다: ${rules.version}`
+    );
+    check(typeof rules.name === "string", "name은 문자열이어야 합니다.");
+    Object.entries(rules.weights).forEach(([id, weight]) =>
+      check(
+        isNumber(weight, 0, 100),
+        `weights.${id}는 0에서 100 사이의 숫자여야 합니다.`
+      )
+    );
+    // 문장 점수에는 evidence와 consistency가, 답변 점수에는 claims와 consistency가 항상 들어가므로
+    // 각각 하나는 0보다 커야 함 (모두 0이면 가중 평균이 항상 0점)
+    const { evidence = 0, claims = 0, consistency = 0 } = rules.weights;
+    check(
+      (evidence > 0 || consistency > 0) && (claims > 0 || consistency > 0),
+      "weights.consistency가 0이면 weights.evidence와 weights.claims는 0보다 커야 합니다."
+    );
+    check(
+      isNumber(rules.bands.medium, 1, 99) &&
+        isNumber(rules.bands.high, rules.bands.medium + 1, 100),
+      "bands는 0 < medium < high ≤ 100이어야 합니다."
+    );
+    check(
+      Array.isArray(rules.evidence.values) &&
+        rules.evidence.values.length === 4 &&
+        rules.evidence.values.every((value) => isNumber(value, 0, 1)),
+      "evidence.values는 0에서 1 사이의 숫자 4개여야 합니다."
+    );
+    check(
+      Number.isInteger(rules.evidence.minSources) &&
+        isNumber(rules.evidence.minSources, 0, 10),
+      "evidence.minSources는 0에서 10 사이의 정수여야 합니다."
+    );
+    check(
+      isNumber(rules.credibility.credibleWeight, 0, 10),
+      "credibility.credibleWeight는 0에서 10 사이의 숫자여야 합니다."
+    );
+    [
+      ["credibility.minBestWeight", rules.credibility.minBestWeight],
+      ["entailment.notEnoughInfo", rules.entailment.notEnoughInfo],
+      ["entailment.minRefuteConfidence", rules.entailment.minRefuteConfidence],
+      ["judge.minConfidence", rules.judge.minConfidence],
+      ["hedging.ratio", rules.hedging.ratio],
+      ["hedging.value", rules.hedging.value],
+      ["claims.lowShare", rules.claims.lowShare],
+    ].forEach(([name, value]) =>
+      check(isNumber(value, 0, 1), `${name}는 0에서 1 사이의 숫자여야 합니다.`)
+    );
+    Object.entries(rules.caps).forEach(([name, band]) =>
+      check(
+        this.CAP_BANDS.includes(band),
+        `caps.${name}는 ${this.CAP_BANDS.join(", ")} 중 하나여야 합니다.`
+      )
+    );
+    Object.entries(rules.keywords).forEach(([name, value]) =>
+      check(
+        Number.isInteger(value) && isNumber(value, 1, 20),
+        `keywords.${name}는 1에서 20 사이의 정수여야 합니다.`
+      )
+    );
+
+    return errors;
+  }
+
+  /**
+   * 규칙 파일(JSON 문자열) 읽기
+   * @param {string} text - JSON 문자열 (일부 항목만 있어도 됨)
+   * @returns {Object} - { rules, errors }
+   */
+  static parse(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { rules: null, errors: [`JSON 형식 오류: ${error.message}`] };
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      return { rules: null, errors: ["규칙은 JSON 객체여야 합니다."] };
+    }
+
+    const rules = this.merge(this.DEFAULT_RULES, parsed);
+    return { rules, errors: this.validate(rules) };
+  }
+
+  /**
+   * 내보낼 규칙 파일 내용
+   * @param {Object} rules - 규칙 집합
+   * @returns {string} - JSON 문자열
+   */
+  static serialize(rules) {
+    return JSON.stringify(rules, null, 2);
+  }
+
+  /**
+   * 저장된 규칙 불러오기 (없거나 잘못되었으면 기본 규칙)
+   * @returns {Promise<Object>} - 규칙 집합
+   */
+  static async loadRules() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      const rules = this.merge(
+        this.DEFAULT_RULES,
+        result[this.STORAGE_KEY] || {}
+      );
+      const errors = this.validate(rules);
+      if (errors.length > 0) {
+        console.warn("[HallucinationLens] 저장된 신뢰도 규칙 오류:", errors);
+        return this.merge(this.DEFAULT_RULES);
+      }
+      return rules;
+    } catch (error) {
+      console.error("[HallucinationLens] 신뢰도 규칙 불러오기 오류:", error);
+      return this.merge(this.DEFAULT_RULES);
+    }
+  }
+
+  /**
+   * 저장된 규칙이 바뀔 때마다 다시 불러와 전달 (옵션 페이지에서 저장하거나 가져온 규칙을
+   * 열려 있는 페이지에 새로 고치지 않고 반영)
+   * @param {Function} onChange - (rules) => void
+   */
+  static watch(onChange) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "local" || !changes[this.STORAGE_KEY]) return;
+      this.loadRules().then(onChange);
+    });
+  }
+
+  /**
+   * 규칙 저장
+   * @param {Object} rules - 검사를 통과한 규칙 집합
+   */
+  static async saveRules(rules) {
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: rules });
+  }
+}
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensRules = HallucinationLensRules;
+}
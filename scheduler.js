@@ -0,0 +1,197 @@
+/**
+ * HallucinationLens - 요청 스케줄러
+ * 검색 제공자별 동시 요청 수를 제한하고, 시간 초과(AbortController)와
+ * 429/5xx 응답에 대한 지수 백오프 재시도를 처리
+ * (제한 시간과 동시 요청 자리는 응답 본문을 모두 받을 때까지 유지)
+ * Background Script(importScripts)에서 사용
+ */
+
+class HallucinationLensScheduler {
+  // 제공자별 기본 동시 요청 수
+  static DEFAULT_CONCURRENCY = 2;
+
+  // 요청 하나의 기본 제한 시간 (ms)
+  static TIMEOUT_MS = 8000;
+
+  // 429/5xx 응답 재시도 횟수와 대기 시간 (ms)
+  static MAX_RETRIES = 2;
+  static BASE_DELAY_MS = 500;
+  static MAX_DELAY_MS = 8000;
+
+  // 제공자별 대기열 (제공자 ID -> { active, waiting })
+  static queues = new Map();
+
+  /**
+   * 동시 요청 수와 재시도를 적용한 fetch
+   * @param {string} key - 대기열 키 (보통 검색 제공자 ID)
+   * @param {string} url - 요청 URL
+   * @param {Object} init - fetch 옵션
+   * @param {Object} options - { concurrency, timeoutMs, retries }
+   * @returns {Promise<Response>} - 본문까지 모두 받은 마지막 응답 (시간 초과 시 TimeoutError)
+   */
+  static async fetch(key, url, init = {}, options = {}) {
+    const concurrency = options.concurrency || this.DEFAULT_CONCURRENCY;
+    const timeoutMs = options.timeoutMs || this.TIMEOUT_MS;
+    const retries = options.retries ?? this.MAX_RETRIES;
+
+    await this.acquire(key, concurrency);
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const response = await this.fetchWithTimeout(key, url, init, timeoutMs);
+        if (!this.isRetryable(response.status) || attempt >= retries) {
+          return response;
+        }
+
+        const delay = this.getRetryDelay(response, attempt);
+        console.warn(
+          `[HallucinationLens] ${key} HTTP ${
+            response.status
+          }, ${delay}ms 후 재시도 (${attempt + 1}/${retries})`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    } finally {
+      this.release(key);
+    }
+  }
+
+  /**
+   * 제한 시간이 있는 fetch (헤더뿐 아니라 본문을 받는 시간까지 제한)
+   * @param {string} key - 대기열 키 (오류 메시지용)
+   * @param {string} url - 요청 URL
+   * @param {Object} init - fetch 옵션
+   * @param {number} timeoutMs - 제한 시간 (ms)
+   * @returns {Promise<Response>} - 본문을 모두 받은 응답
+   */
+  static async fetchWithTimeout(key, url, init, timeoutMs) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      return await this.readBody(response);
+    } catch (error) {
+      if (timedOut) {
+        throw this.createTimeoutError(key, timeoutMs);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 응답 본문을 모두 받아 같은 상태와 헤더의 응답으로 다시 만듦
+   * (호출한 쪽의 json()/text()가 제한 시간 밖에서 끝없이 기다리지 않도록 함)
+   * @param {Response} response - fetch 응답
+   * @returns {Promise<Response>} - 본문을 메모리에 받은 응답 (url, redirected 유지)
+   */
+  static async readBody(response) {
+    const body = await response.arrayBuffer();
+    const buffered = new Response(
+      [204, 205, 304].includes(response.status) ? null : body,
+      {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      }
+    );
+    Object.defineProperties(buffered, {
+      url: { value: response.url },
+      redirected: { value: response.redirected },
+    });
+    return buffered;
+  }
+
+  /**
+   * 시간 초과 오류 생성 (name이 "TimeoutError"인 Error)
+   * @param {string} key - 대기열 키
+   * @param {number} timeoutMs - 제한 시간 (ms)
+   * @returns {Error} - 시간 초과 오류
+   */
+  static createTimeoutError(key, timeoutMs) {
+    const error = new Error(`${key} 요청 시간 초과 (${timeoutMs}ms)`);
+    error.name = "TimeoutError";
+    return error;
+  }
+
+  /**
+   * 시간 초과 오류인지 확인
+   * @param {*} error - 오류
+   * @returns {boolean} - 시간 초과 여부
+   */
+  static isTimeoutError(error) {
+    return Boolean(error) && error.name === "TimeoutError";
+  }
+
+  /**
+   * 재시도할 상태 코드인지 확인 (429, 5xx)
+   * @param {number} status - HTTP 상태 코드
+   * @returns {boolean} - 재시도 여부
+   */
+  static isRetryable(status) {
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * 재시도 전 대기 시간 (Retry-After 헤더가 있으면 우선, 최대 MAX_DELAY_MS)
+   * @param {Response} response - 429/5xx 응답
+   * @param {number} attempt - 지금까지 재시도한 횟수
+   * @returns {number} - 대기 시간 (ms)
+   */
+  static getRetryDelay(response, attempt) {
+    const retryAfter = response.headers.get("retry-after");
+    let delay = this.BASE_DELAY_MS * 2 ** attempt;
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const date = Date.parse(retryAfter);
+      if (Number.isFinite(seconds)) {
+        delay = seconds * 1000;
+      } else if (!Number.isNaN(date)) {
+        delay = date - Date.now();
+      }
+    }
+
+    return Math.min(Math.max(delay, 0), this.MAX_DELAY_MS);
+  }
+
+  /**
+   * 대기열 자리 확보 (동시 요청 수를 넘으면 차례를 기다림)
+   * @param {string} key - 대기열 키
+   * @param {number} concurrency - 최대 동시 요청 수
+   * @returns {Promise<void>}
+   */
+  static acquire(key, concurrency) {
+    if (!this.queues.has(key)) {
+      this.queues.set(key, { active: 0, waiting: [] });
+    }
+    const queue = this.queues.get(key);
+
+    if (queue.active < concurrency) {
+      queue.active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => queue.waiting.push(resolve));
+  }
+
+  /**
+   * 대기열 자리 반환 (기다리는 요청이 있으면 자리를 그대로 넘김)
+   * @param {string} key - 대기열 키
+   */
+  static release(key) {
+    const queue = this.queues.get(key);
+    if (!queue) return;
+
+    const next = queue.waiting.shift();
+    if (next) {
+      next();
+    } else if (--queue.active === 0) {
+      this.queues.delete(key);
+    }
+  }
+}
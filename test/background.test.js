@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, silence } = require("./helpers");
+
+silence();
+console.error = () => {};
+
+// Background Script가 등록하는 리스너와 오프스크린 문서는 쓰지 않으므로 빈 구현으로 대신함
+// (오프스크린 문서를 만들 수 없으면 서비스 워커에서 함의를 판정)
+global.importScripts = () => {};
+global.chrome = {
+  storage: { onChanged: { addListener: () => {} } },
+  runtime: { onMessage: { addListener: () => {} } },
+  offscreen: {
+    hasDocument: async () => {
+      throw new Error("오프스크린 문서 없음");
+    },
+  },
+};
+load(
+  "providers.js",
+  "wikidata.js",
+  "knowledgebase.js",
+  "corpus.js",
+  "cache.js",
+  "scheduler.js",
+  "network.js",
+  "evidence.js",
+  "credibility.js",
+  "korean.js",
+  "entailment.js",
+  "judge.js",
+  "background.js"
+);
+
+test("영어 이름으로 검색해도 연도가 틀린 문장은 뒷받침되지 않음", async () => {
+  const searched = [];
+  HallucinationLensKnowledgeBase.registerAll = async () => {};
+  HallucinationLensProviders.loadSettings = async () => ({
+    ...HallucinationLensProviders.DEFAULT_SETTINGS,
+    providers: ["wikipedia"],
+    fetchEvidence: false,
+    checkEntailment: true,
+  });
+  HallucinationLensWikidata.translateNames = async () => ["Eiffel Tower"];
+  HallucinationLensProviders.searchWithStatus = async (query, settings) => {
+    searched.push({ query, providers: settings.providers });
+    return {
+      results: [
+        {
+          title: "Eiffel Tower",
+          url: "https://en.wikipedia.org/wiki/Eiffel_Tower",
+          snippet:
+            "The Eiffel Tower is a wrought-iron lattice tower in Paris. It was completed in 1889.",
+        },
+      ],
+      timedOut: [],
+    };
+  };
+  HallucinationLensCredibility.apply = async (results) => results;
+  HallucinationLensJudge.loadSettings = async () => ({ enabled: false });
+
+  const response = await performSearchRequest("에펠탑", {
+    text: "에펠탑은 1925년에 완공되었다",
+    language: "ko",
+    providers: ["wikipedia"],
+    translate: { names: ["에펠탑"], target: "en" },
+  });
+
+  assert.deepEqual(searched, [
+    { query: "Eiffel Tower", providers: ["wikipedia"] },
+  ]);
+  assert.equal(response.query, "Eiffel Tower");
+  assert.equal(response.results.length, 1);
+  assert.notEqual(response.results[0].entailment.label, "supports");
+});
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, silence } = require("./helpers");
+
+silence();
+load("cache.js", "providers.js");
+
+// IndexedDB 대신 메모리에 저장하도록 바꿔 fetch의 저장 여부만 확인
+const withMemoryStore = async (callback) => {
+  const { get, put, recordLookup } = HallucinationLensCache;
+  const stored = new Map();
+  HallucinationLensCache.get = async (key) => stored.get(key) || null;
+  HallucinationLensCache.put = async (key, results) => stored.set(key, results);
+  HallucinationLensCache.recordLookup = async () => {};
+  try {
+    await callback(stored);
+  } finally {
+    Object.assign(HallucinationLensCache, { get, put, recordLookup });
+  }
+};
+
+test("결과가 있는 검색만 캐시에 저장", async () => {
+  await withMemoryStore(async (stored) => {
+    const results = [{ title: "Eiffel Tower", snippet: "..." }];
+    await HallucinationLensCache.fetch(
+      "wikipedia|eiffel",
+      60,
+      async () => results
+    );
+    assert.equal(stored.get("wikipedia|eiffel"), results);
+  });
+});
+
+test("빈 결과와 일부 요약이 시간 초과된 결과는 캐시에 저장하지 않음", async () => {
+  await withMemoryStore(async (stored) => {
+    await HallucinationLensCache.fetch("wikipedia|none", 60, async () => []);
+
+    // 검색된 두 문서 중 두 번째 문서의 요약이 시간 초과되는 Wikipedia
+    const { cache, fetch } = HallucinationLensProviders;
+    HallucinationLensProviders.cache = HallucinationLensCache;
+    HallucinationLensProviders.fetch = async (providerId, url) => {
+      if (url.includes("/page/search/")) {
+        return {
+          ok: true,
+          json: async () => ({
+            pages: [{ key: "Eiffel_Tower" }, { key: "Paris" }],
+          }),
+        };
+      }
+      if (url.endsWith("/Paris")) {
+        throw new DOMException("시간 초과", "TimeoutError");
+      }
+      return {
+        ok: true,
+        json: async () => ({ title: "Eiffel Tower", extract: "..." }),
+      };
+    };
+    try {
+      const run = await HallucinationLensProviders.runProvider(
+        HallucinationLensProviders.providers.wikipedia,
+        "eiffel tower",
+        { language: "en" },
+        { cacheTtlMinutes: 60 }
+      );
+      assert.equal(run.status, "ok");
+      assert.equal(run.results.length, 1);
+    } finally {
+      Object.assign(HallucinationLensProviders, { cache, fetch });
+    }
+    assert.equal(stored.size, 0);
+
+    // 저장하지 않았으므로 다음 요청은 다시 검색
+    let calls = 0;
+    await HallucinationLensCache.fetch("wikipedia|none", 60, async () => {
+      calls++;
+      return [];
+    });
+    assert.equal(calls, 1);
+  });
+});
+
+test("근거 페이지 조회는 검색 캐시 통계에 섞이지 않음", async () => {
+  await withMemoryStore(async () => {
+    const recorded = [];
+    HallucinationLensCache.recordLookup = async (hit, statsKey) =>
+      recorded.push(statsKey);
+    load("network.js", "corpus.js", "evidence.js");
+
+    const cache = HallucinationLensProviders.cache;
+    HallucinationLensProviders.cache = HallucinationLensCache;
+    HallucinationLensEvidence.fetchPassages = async () => [];
+    try {
+      await HallucinationLensEvidence.getPassages(
+        "https://en.wikipedia.org/wiki/Eiffel_Tower",
+        "The Eiffel Tower was completed in 1889.",
+        60
+      );
+      await HallucinationLensCache.fetch(
+        "wikipedia|eiffel",
+        60,
+        async () => []
+      );
+    } finally {
+      HallucinationLensProviders.cache = cache;
+    }
+    assert.deepEqual(recorded, [
+      HallucinationLensEvidence.CACHE_STATS,
+      HallucinationLensCache.SEARCH_STATS,
+    ]);
+  });
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, silence } = require("./helpers");
+
+silence();
+load(
+  "utils.js",
+  "rules.js",
+  "korean.js",
+  "language.js",
+  "facts.js",
+  "hedging.js",
+  "consistency.js"
+);
+
+const contradictions = (text, languageCode = "en") => {
+  const statements = HallucinationLensConsistency.collectStatements(
+    text,
+    languageCode
+  );
+  return HallucinationLensConsistency.compareStatements(
+    statements,
+    statements
+  ).map((contradiction) => [
+    contradiction.first.value,
+    contradiction.second.value,
+  ]);
+};
+
+test("같은 대상의 다른 사건은 모순이 아님", () => {
+  assert.deepEqual(
+    contradictions(
+      "Apple released the iPhone in 2007. Apple released the iPad in 2010."
+    ),
+    []
+  );
+  assert.deepEqual(
+    contradictions(
+      "Google launched Gmail in 2004. Google launched Chrome in 2008."
+    ),
+    []
+  );
+  assert.deepEqual(
+    contradictions(
+      "애플은 2007년에 아이폰을 출시했습니다. 애플은 2010년에 아이패드를 출시했습니다.",
+      "ko"
+    ),
+    []
+  );
+});
+
+test("같은 사건의 다른 날짜는 모순", () => {
+  assert.deepEqual(
+    contradictions(
+      "OpenAI was founded in 2015. Later, OpenAI was founded in 2016."
+    ),
+    [["2015", "2016"]]
+  );
+  assert.deepEqual(
+    contradictions(
+      "Apple released the iPhone in 2007. Apple released the iPhone in 2008."
+    ),
+    [["2007", "2008"]]
+  );
+  assert.deepEqual(
+    contradictions(
+      "애플은 2007년에 아이폰을 출시했습니다. 애플은 2008년에 아이폰을 출시했습니다.",
+      "ko"
+    ),
+    [["2007년", "2008년"]]
+  );
+});
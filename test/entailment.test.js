@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, silence } = require("./helpers");
+
+silence();
+load("utils.js", "rules.js", "korean.js", "entailment.js");
+
+const rules = HallucinationLensEntailment.backends.rules;
+
+test("조사와 어미가 다른 한국어 문장도 관련 근거 문장으로 찾음", () => {
+  const verdict = rules.classifyPair(
+    "세종이 1443년에 훈민정음을 창제",
+    "훈민정음은 1443년 세종대왕이 창제한 문자이다."
+  );
+  assert.equal(verdict.label, "not-enough-info");
+  assert.ok(verdict.confidence >= rules.MIN_COVERAGE);
+
+  const conjugated = rules.classifyPair(
+    "세종대왕은 1443년에 훈민정음을 창제했습니다.",
+    "훈민정음(訓民正音)은 1443년(세종 25년)에 창제되었다."
+  );
+  assert.equal(conjugated.label, "not-enough-info");
+  assert.ok(conjugated.confidence >= rules.MIN_COVERAGE);
+});
+
+test("어휘가 겹치기만 해서는 뒷받침으로 판정하지 않음", () => {
+  const evidence =
+    "The Eiffel Tower is a wrought-iron lattice tower in Paris. It was completed in 1889.";
+  assert.equal(
+    rules.classifyPair("Eiffel Tower", evidence).label,
+    "not-enough-info"
+  );
+  assert.equal(
+    rules.classifyPair("The Eiffel Tower was completed in 1889.", evidence)
+      .label,
+    "not-enough-info"
+  );
+});
+
+test("겹쳐서 긍정이 되는 부정 표현은 반박으로 보지 않음", () => {
+  assert.equal(
+    rules.classifyPair(
+      "물은 생명에 없어서는 안 될 자원이다.",
+      "물은 생명 유지에 필수적인 자원이다."
+    ).label,
+    "not-enough-info"
+  );
+  assert.equal(
+    rules.classifyPair(
+      "Seoul is the capital of Korea.",
+      "Seoul is not only the capital of Korea but also its largest city."
+    ).label,
+    "not-enough-info"
+  );
+});
+
+test("관계없는 절의 부정 표현은 반박으로 보지 않음", () => {
+  assert.equal(
+    rules.classifyPair(
+      "The Eiffel Tower was built in 1889.",
+      "The Eiffel Tower was built in 1889, although it was not popular with artists."
+    ).label,
+    "not-enough-info"
+  );
+});
+
+test("부정 표현만 다른 반박은 수치 불일치보다 confidence가 낮음", () => {
+  const negated = rules.classifyPair(
+    "세종이 훈민정음을 창제했다.",
+    "세종은 훈민정음을 창제하지 않았다."
+  );
+  assert.equal(negated.label, "refutes");
+  assert.ok(negated.confidence < 1);
+
+  const mismatched = rules.classifyPair(
+    "The Eiffel Tower was built in 1889.",
+    "The Eiffel Tower was built in 1890."
+  );
+  assert.equal(mismatched.label, "refutes");
+  assert.equal(mismatched.confidence, 1);
+});
+
+test("confidence가 기준보다 낮은 반박은 점수 상한을 적용하지 않음", () => {
+  const result = (entailment) => ({
+    title: "Eiffel Tower",
+    source: "Wikipedia",
+    providerId: "wikipedia",
+    entailment,
+  });
+  const score = (confidence) =>
+    HallucinationLensUtils.calculateTrustScore(
+      [
+        result({ label: "supports", confidence: 1, sentence: "" }),
+        result({ label: "refutes", confidence, sentence: "", reason: "" }),
+      ],
+      ["Eiffel"]
+    );
+
+  assert.equal(score(0.4).score, "high");
+  assert.equal(score(1).score, "low");
+});
+
+test("규칙 기반 판정기의 근거 부족 판정은 근거 수를 줄이지 않음", () => {
+  const result = (entailment) => ({
+    title: "Eiffel Tower",
+    source: "Wikipedia",
+    providerId: "wikipedia",
+    entailment,
+  });
+  const rulesVerdict = {
+    label: "not-enough-info",
+    confidence: 0.8,
+    sentence: "",
+    backend: "rules",
+  };
+  const trust = HallucinationLensUtils.calculateTrustScore(
+    [result(rulesVerdict), result(rulesVerdict)],
+    ["Eiffel"]
+  );
+  assert.equal(
+    trust.factors.find((factor) => factor.id === "entailment"),
+    undefined
+  );
+  assert.match(
+    trust.factors.find((factor) => factor.id === "evidence").detail,
+    /관련 자료 2개/
+  );
+});
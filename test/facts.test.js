@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./helpers");
+
+load("korean.js", "facts.js");
+
+const entityNames = (text) =>
+  HallucinationLensFacts.extract(text)
+    .filter((fact) => !HallucinationLensFacts.isNumeric(fact))
+    .map((fact) => fact.text);
+
+test("문장 첫머리의 일반 단어는 개체명이 아님", () => {
+  assert.deepEqual(entityNames("Later, OpenAI was founded in 2016."), [
+    "OpenAI",
+  ]);
+  assert.deepEqual(entityNames("Hope is a good thing."), []);
+  assert.deepEqual(entityNames("However, Paris remains popular."), ["Paris"]);
+  assert.deepEqual(entityNames("Growth slowed, but growth returned."), []);
+});
+
+test("문장 첫머리의 고유명사는 그대로 추출", () => {
+  assert.deepEqual(entityNames("Apple released the iPad in 2010."), ["Apple"]);
+  assert.deepEqual(entityNames("Google launched Gmail in 2004."), [
+    "Google",
+    "Gmail",
+  ]);
+});
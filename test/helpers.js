@@ -0,0 +1,37 @@
+/**
+ * 테스트 도우미
+ * 확장 프로그램의 스크립트는 모듈이 아니므로 전역 컨텍스트에서 차례로 실행해 클래스를 불러옴
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+global.window = global;
+
+const loaded = new Set();
+
+/**
+ * 스크립트를 전역으로 불러오기 (같은 파일은 한 번만 실행)
+ * @param {...string} files - 저장소 루트 기준 파일 이름
+ */
+function load(...files) {
+  files.forEach((file) => {
+    if (loaded.has(file)) return;
+    loaded.add(file);
+    vm.runInThisContext(
+      fs.readFileSync(path.join(__dirname, "..", file), "utf8"),
+      { filename: file }
+    );
+  });
+}
+
+/**
+ * 테스트 중 확장 프로그램 로그 숨기기
+ */
+function silence() {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+module.exports = { load, silence };
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load } = require("./helpers");
+
+load("network.js");
+
+test("공개 인터넷 주소는 가져올 수 있음", () => {
+  [
+    "https://en.wikipedia.org/wiki/Eiffel_Tower",
+    "http://example.com/page",
+    "https://8.8.8.8/",
+    "https://172.32.0.1/",
+    "https://198.20.0.1/",
+    "https://223.255.255.1/",
+    "https://[2606:4700::1111]/",
+  ].forEach((url) =>
+    assert.equal(HallucinationLensNetwork.isPublicUrl(url), true, url)
+  );
+});
+
+test("루프백, 사설망, 링크 로컬, 벤치마크, 멀티캐스트 주소는 가져오지 않음", () => {
+  [
+    "http://localhost:8080/admin",
+    "http://api.localhost/",
+    "http://127.0.0.1/",
+    "http://2130706433/",
+    "http://0x7f000001/",
+    "http://10.1.2.3/",
+    "http://172.16.0.1/",
+    "http://192.168.0.1/router",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://0.0.0.0/",
+    "http://198.18.0.1/",
+    "http://198.19.255.255/",
+    "http://224.0.0.1/",
+    "http://239.255.255.250/",
+    "http://255.255.255.255/",
+    "http://[ff02::1]/",
+    "http://[::1]/",
+    "http://[::ffff:127.0.0.1]/",
+    "http://[fd00::1]/",
+    "http://[fe80::1]/",
+    "http://printer.local/",
+    "file:///etc/passwd",
+    "javascript:alert(1)",
+    "not a url",
+  ].forEach((url) =>
+    assert.equal(HallucinationLensNetwork.isPublicUrl(url), false, url)
+  );
+});
+
+test("권한 요청용 출처 패턴에는 포트와 경로를 넣지 않음", () => {
+  assert.equal(
+    HallucinationLensNetwork.getOriginPattern(
+      "http://localhost:8080/v1/chat/completions"
+    ),
+    "http://localhost/*"
+  );
+  assert.equal(
+    HallucinationLensNetwork.getOriginPattern(
+      "https://search.example.com/api?q={query}"
+    ),
+    "https://search.example.com/*"
+  );
+  assert.equal(
+    HallucinationLensNetwork.getOriginPattern("https://{host}/search"),
+    null
+  );
+});
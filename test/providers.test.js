@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, silence } = require("./helpers");
+
+silence();
+load("providers.js", "wikidata.js", "corpus.js");
+
+test("Wikidata 대조 결과가 있어도 기본 설정에서 일반 검색을 실행", async () => {
+  const ran = [];
+  const runProvider = HallucinationLensProviders.runProvider;
+  HallucinationLensProviders.runProvider = async (provider) => {
+    ran.push(provider.id);
+    const results =
+      provider.id === "local-corpus"
+        ? []
+        : [
+            {
+              title: provider.name,
+              url: `https://${provider.id}.test`,
+              snippet: `${provider.name} 결과`,
+            },
+          ];
+    return { provider, results, status: "ok" };
+  };
+
+  try {
+    const { results } = await HallucinationLensProviders.searchWithStatus(
+      "Example Corp",
+      HallucinationLensProviders.DEFAULT_SETTINGS
+    );
+    // 일반 검색 결과가 나오면 그 뒤의 제공자는 실행하지 않음
+    assert.deepEqual(ran, ["wikidata", "local-corpus", "duckduckgo"]);
+    assert.deepEqual(
+      results.map((result) => result.title),
+      ["Wikidata", "DuckDuckGo"]
+    );
+  } finally {
+    HallucinationLensProviders.runProvider = runProvider;
+  }
+});
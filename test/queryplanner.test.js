@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, silence } = require("./helpers");
+
+silence();
+load(
+  "utils.js",
+  "rules.js",
+  "korean.js",
+  "language.js",
+  "facts.js",
+  "queryplanner.js"
+);
+
+const facts = [{ type: "entity", text: "에펠탑" }];
+
+test("영어 검색은 Wikipedia만 요청하고 번역할 개체명을 넘김", () => {
+  const english = HallucinationLensQueryPlanner.plan(
+    ["에펠탑", "건설"],
+    facts,
+    "ko",
+    "에펠탑은 1889년에 건설되었다."
+  ).find((variant) => variant.strategy === "english");
+
+  assert.deepEqual(english.options, {
+    providers: ["wikipedia"],
+    translate: { names: ["에펠탑"], target: "en" },
+  });
+});
+
+test("Background가 건너뛴 검색어는 시도 목록에 넣지 않음", async () => {
+  const searchViaBackground = HallucinationLensUtils.searchViaBackground;
+  const requested = [];
+  HallucinationLensUtils.searchViaBackground = async (query, options) => {
+    requested.push(options);
+    return Object.assign([], {
+      timedOut: [],
+      judge: null,
+      query: options.translate ? null : query,
+      skipped: Boolean(options.translate),
+    });
+  };
+  try {
+    const results = await HallucinationLensQueryPlanner.search(
+      ["에펠탑", "건설"],
+      facts,
+      { language: "ko", text: "에펠탑은 1889년에 건설되었다." }
+    );
+
+    assert.ok(requested.some((options) => options.translate));
+    assert.equal(results.length, 0);
+    assert.ok(results.plan.attempts.length > 0);
+    assert.ok(
+      results.plan.attempts.every((attempt) => attempt.strategy !== "english")
+    );
+  } finally {
+    HallucinationLensUtils.searchViaBackground = searchViaBackground;
+  }
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, silence } = require("./helpers");
+
+silence();
+load("utils.js", "rules.js");
+
+const withWeights = (weights) =>
+  HallucinationLensRules.merge(HallucinationLensRules.DEFAULT_RULES, {
+    weights,
+  });
+
+test("프리셋 규칙은 모두 검사를 통과", () => {
+  Object.keys(HallucinationLensRules.PRESETS).forEach((id) =>
+    assert.deepEqual(
+      HallucinationLensRules.validate(HallucinationLensRules.getPreset(id)),
+      [],
+      id
+    )
+  );
+});
+
+test("가중치가 모두 0이면 점수가 항상 0점이므로 거부", () => {
+  const zero = Object.fromEntries(
+    Object.keys(HallucinationLensRules.DEFAULT_RULES.weights).map((id) => [
+      id,
+      0,
+    ])
+  );
+  assert.equal(HallucinationLensRules.validate(withWeights(zero)).length, 1);
+  assert.equal(
+    HallucinationLensRules.validate(
+      withWeights({ ...zero, evidence: 10, claims: 10 })
+    ).length,
+    0
+  );
+  assert.equal(
+    HallucinationLensRules.validate(withWeights({ ...zero, consistency: 1 }))
+      .length,
+    0
+  );
+});
+
+test("저장된 규칙이 바뀌면 다시 불러와 전달", async () => {
+  const listeners = [];
+  const stored = { weights: { claims: 40 } };
+  global.chrome = {
+    storage: {
+      local: {
+        get: async () => ({ [HallucinationLensRules.STORAGE_KEY]: stored }),
+      },
+      onChanged: { addListener: (listener) => listeners.push(listener) },
+    },
+  };
+
+  try {
+    const received = new Promise((resolve) =>
+      HallucinationLensRules.watch(resolve)
+    );
+    listeners.forEach((listener) => listener({ other: {} }, "local"));
+    listeners.forEach((listener) =>
+      listener({ [HallucinationLensRules.STORAGE_KEY]: {} }, "local")
+    );
+
+    const rules = await received;
+    assert.equal(rules.weights.claims, 40);
+    assert.equal(
+      rules.weights.evidence,
+      HallucinationLensRules.DEFAULT_RULES.weights.evidence
+    );
+  } finally {
+    delete global.chrome;
+  }
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, silence } = require("./helpers");
+
+silence();
+load("scheduler.js");
+
+// 헤더는 바로 보내지만 본문은 보내지 않는 서버 (요청이 중단되면 본문 읽기도 실패)
+const stalledFetch = async (url, init) => {
+  const body = new ReadableStream({
+    start(controller) {
+      init.signal.addEventListener("abort", () =>
+        controller.error(new DOMException("중단됨", "AbortError"))
+      );
+    },
+  });
+  return new Response(body, {
+    status: 200,
+    headers: { "content-type": "application/json" },
+  });
+};
+
+test("본문이 오지 않는 응답도 제한 시간이 지나면 시간 초과", async () => {
+  const original = global.fetch;
+  global.fetch = stalledFetch;
+  try {
+    await assert.rejects(
+      HallucinationLensScheduler.fetch(
+        "stalled",
+        "https://example.test/slow",
+        {},
+        { timeoutMs: 50, retries: 0 }
+      ),
+      (error) => HallucinationLensScheduler.isTimeoutError(error)
+    );
+    // 시간 초과 후 동시 요청 자리를 돌려줌
+    assert.equal(HallucinationLensScheduler.queues.has("stalled"), false);
+  } finally {
+    global.fetch = original;
+  }
+});
+
+test("본문을 모두 받은 뒤에 동시 요청 자리를 반환", async () => {
+  const original = global.fetch;
+  global.fetch = async () =>
+    new Response(JSON.stringify({ ok: true }), {
+      status: 200,
+      headers: { "content-type": "application/json" },
+    });
+  try {
+    const response = await HallucinationLensScheduler.fetch(
+      "fast",
+      "https://example.test/fast"
+    );
+    assert.equal(HallucinationLensScheduler.queues.has("fast"), false);
+    assert.equal(response.headers.get("content-type"), "application/json");
+    assert.deepEqual(await response.json(), { ok: true });
+  } finally {
+    global.fetch = original;
+  }
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, silence } = require("./helpers");
+
+silence();
+load(
+  "utils.js",
+  "rules.js",
+  "korean.js",
+  "facts.js",
+  "hedging.js",
+  "queryplanner.js"
+);
+
+test("검색 중 오류가 나도 상태가 담긴 빈 결과를 반환", async () => {
+  const search = HallucinationLensQueryPlanner.search;
+  HallucinationLensQueryPlanner.search = async () => {
+    throw new Error("연결 끊김");
+  };
+  try {
+    const results = await HallucinationLensUtils.searchDuckDuckGo(["Eiffel"]);
+    assert.equal(results.length, 0);
+    assert.deepEqual(results.timedOut, []);
+    assert.deepEqual(results.plan.attempts, []);
+  } finally {
+    HallucinationLensQueryPlanner.search = search;
+  }
+});
+
+test("키워드가 없으면 상태가 담긴 빈 결과를 반환", async () => {
+  const results = await HallucinationLensUtils.searchDuckDuckGo([]);
+  assert.deepEqual(results.timedOut, []);
+  assert.equal(results.plan.query, null);
+});
+
+const verdictWith = (value, factors) => ({
+  ...HallucinationLensUtils.scoreTrust(factors, ""),
+  value,
+  score: HallucinationLensUtils.getScoreBand(value).score,
+});
+
+test("답변 전체 신뢰도에 문장별 요인의 평균과 답변 일관성을 함께 표시", () => {
+  const claims = [
+    {
+      text: "에펠탑은 1889년에 완공되었다.",
+      verdict: verdictWith(90, [
+        { id: "evidence", value: 1 },
+        { id: "credibility", value: 0.8 },
+        { id: "entailment", value: 1 },
+      ]),
+    },
+    {
+      text: "에펠탑은 파리에 있다.",
+      verdict: verdictWith(80, [
+        { id: "evidence", value: 0.6 },
+        { id: "credibility", value: 0.6 },
+        { id: "facts", value: 1 },
+      ]),
+    },
+  ];
+
+  const trustInfo = HallucinationLensUtils.aggregateClaimVerdicts(claims);
+  const factor = (id) => trustInfo.factors.find((item) => item.id === id);
+
+  assert.deepEqual(
+    trustInfo.factors.map((item) => item.id),
+    ["claims", "evidence", "credibility", "entailment", "facts", "consistency"]
+  );
+  assert.equal(factor("evidence").value, 0.8);
+  assert.equal(factor("credibility").value, 0.7);
+  assert.equal(factor("consistency").value, 1);
+  assert.equal(trustInfo.score, "high");
+});
+
+test("검증하지 않은 문장의 모순도 답변 전체 신뢰도에 반영", () => {
+  const claims = [
+    {
+      text: "에펠탑은 파리에 있다.",
+      verdict: verdictWith(90, [{ id: "evidence", value: 1 }]),
+    },
+  ];
+  const contradictions = [
+    {
+      subject: "OpenAI",
+      attribute: "founded",
+      first: { value: "2015", sentence: "OpenAI was founded in 2015." },
+      second: { value: "2016", sentence: "OpenAI was founded in 2016." },
+    },
+  ];
+
+  const trustInfo = HallucinationLensUtils.aggregateClaimVerdicts(
+    claims,
+    contradictions
+  );
+
+  assert.equal(
+    trustInfo.factors.find((item) => item.id === "consistency").value,
+    0
+  );
+  assert.notEqual(trustInfo.score, "high");
+  assert.match(trustInfo.reason, /2015 ↔ 2016/);
+});
+
+test("확신도 분석에서 불확실한 문장은 검증 대상에서도 제외", () => {
+  const hedged = "이 약은 두통을 줄일 수도 있습니다.";
+  assert.equal(HallucinationLensUtils.getClaimSkipReason(hedged), "hedge");
+  assert.equal(
+    HallucinationLensHedging.analyzeSentence(hedged).stance,
+    "hedged"
+  );
+  assert.equal(
+    HallucinationLensUtils.getClaimSkipReason(
+      "It is not certain whether the bridge opened in 1937."
+    ),
+    "hedge"
+  );
+  // 어림값과 능력 표현은 유보 표현이어도 값을 검증할 수 있으므로 제외하지 않음
+  assert.equal(
+    HallucinationLensUtils.getClaimSkipReason(
+      "The Eiffel Tower is approximately 330 meters tall."
+    ),
+    null
+  );
+  const capacity = "이 공연장은 최대 300명을 수용할 수 있습니다.";
+  assert.equal(HallucinationLensUtils.getClaimSkipReason(capacity), null);
+  assert.equal(
+    HallucinationLensUtils.getClaimSkipReason(
+      "일반적으로 이 약은 두통을 줄일 수 있습니다."
+    ),
+    null
+  );
+});
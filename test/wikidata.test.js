@@ -0,0 +1,150 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { load, silence } = require("./helpers");
+
+silence();
+load("korean.js", "facts.js", "providers.js", "wikidata.js");
+
+const ENDPOINT = "https://wikidata.test";
+
+// 테스트용 Wikidata 서버의 항목
+const ENTITIES = {
+  Q1: {
+    labels: { en: { value: "Example Corp" } },
+    descriptions: { en: { value: "technology company" } },
+    claims: {
+      P571: [
+        {
+          rank: "normal",
+          mainsnak: { datavalue: { value: { time: "+1998-00-00T00:00:00Z" } } },
+        },
+      ],
+      P159: [
+        {
+          rank: "normal",
+          mainsnak: { datavalue: { value: { id: "Q2" } } },
+        },
+      ],
+    },
+  },
+  // 짧은 별칭이 다른 단어 안에 들어 있어도 일치로 보지 않는지 확인하기 위한 별칭
+  Q2: {
+    labels: { en: { value: "Cupertino" }, ko: { value: "쿠퍼티노" } },
+    aliases: { en: [{ value: "UK" }] },
+  },
+};
+
+// wikidataEndpoint 설정과 fetch를 테스트용 서버로 바꿔 verify 실행
+const verifyWithFixture = async (text) => {
+  const requested = [];
+  const fetch = HallucinationLensProviders.fetch;
+  global.chrome = {
+    storage: {
+      local: { get: async () => ({ wikidataEndpoint: `${ENDPOINT}/` }) },
+    },
+  };
+  HallucinationLensProviders.fetch = async (providerId, url) => {
+    requested.push(url);
+    const params = new URL(url).searchParams;
+    const body =
+      params.get("action") === "wbsearchentities"
+        ? { search: [{ id: "Q1" }] }
+        : {
+            entities: Object.fromEntries(
+              params
+                .get("ids")
+                .split("|")
+                .map((id) => [id, ENTITIES[id]])
+            ),
+          };
+    return { ok: true, json: async () => body };
+  };
+
+  try {
+    const results = await HallucinationLensWikidata.verify(
+      text,
+      HallucinationLensFacts.extract(text),
+      "en"
+    );
+    return { results, requested };
+  } finally {
+    HallucinationLensProviders.fetch = fetch;
+    delete global.chrome;
+  }
+};
+
+const checkOf = (results, property) =>
+  results
+    .flatMap((result) => result.factChecks)
+    .find((check) => check.property === property);
+
+test("설정한 Wikidata 주소로 조회", async () => {
+  const { results, requested } = await verifyWithFixture(
+    "Example Corp was founded in 1998."
+  );
+
+  assert.ok(requested.length > 0);
+  assert.ok(requested.every((url) => url.startsWith(`${ENDPOINT}/w/api.php?`)));
+  assert.equal(results[0].url, `${ENDPOINT}/wiki/Q1`);
+  assert.equal(checkOf(results, "P571").status, "match");
+});
+
+test("설립 시점은 설립 cue에 딸린 연도만 비교", async () => {
+  const { results } = await verifyWithFixture(
+    "Example Corp was founded in 1998 and acquired in 2005."
+  );
+  assert.equal(checkOf(results, "P571").status, "match");
+  assert.equal(checkOf(results, "P571").stated, "1998");
+
+  const reversed = await verifyWithFixture(
+    "Example Corp was acquired in 1998 and founded in 2005."
+  );
+  assert.equal(checkOf(reversed.results, "P571").status, "mismatch");
+  assert.equal(checkOf(reversed.results, "P571").stated, "2005");
+});
+
+test("cue와 같은 절에 연도가 없으면 대조하지 않음", async () => {
+  const { results } = await verifyWithFixture(
+    "Example Corp, acquired in 2005, was founded by engineers."
+  );
+  assert.equal(checkOf(results, "P571"), undefined);
+});
+
+test("본사 위치는 본사 cue에 딸린 이름만 비교", async () => {
+  const { results } = await verifyWithFixture(
+    "Example Corp is headquartered in Austin, and sells phones in London."
+  );
+  assert.equal(checkOf(results, "P159").status, "mismatch");
+  assert.equal(checkOf(results, "P159").stated, "Austin");
+
+  const other = await verifyWithFixture(
+    "Example Corp is headquartered in Cupertino, and sells phones in London."
+  );
+  assert.equal(checkOf(other.results, "P159").status, "match");
+});
+
+test("짧은 별칭이 다른 이름 안에 있어도 일치로 보지 않음", async () => {
+  const { results } = await verifyWithFixture(
+    "Example Corp is headquartered in Ukraine."
+  );
+  assert.equal(checkOf(results, "P159").status, "mismatch");
+  assert.equal(checkOf(results, "P159").stated, "Ukraine");
+
+  const alias = await verifyWithFixture("Example Corp is headquartered in UK.");
+  assert.equal(checkOf(alias.results, "P159").status, "match");
+});
+
+test("본사 cue와 다른 절에 나온 Wikidata 이름은 일치로 보지 않음", async () => {
+  const { results } = await verifyWithFixture(
+    "Example Corp is headquartered in Austin, and opened a lab in Cupertino."
+  );
+  assert.equal(checkOf(results, "P159").status, "mismatch");
+  assert.equal(checkOf(results, "P159").stated, "Austin");
+});
+
+test("조사가 붙은 한국어 이름도 본사 위치 일치로 봄", async () => {
+  const { results } = await verifyWithFixture(
+    "Example Corp의 본사는 쿠퍼티노에 있습니다."
+  );
+  assert.equal(checkOf(results, "P159").status, "match");
+});
@@ -4,12 +4,86 @@
  */
 
 class HallucinationLensUtils {
+  // 신뢰도 등급이 없는 결과의 가중치 (domain-reputation.json의 unknown과 같음)
+  static DEFAULT_CREDIBILITY_WEIGHT = 0.6;
+
+  // 신뢰도 점수(0~100)를 구성하는 요인의 표시 이름 (가중치는 신뢰도 규칙의 weights)
+  static TRUST_FACTOR_LABELS = {
+    evidence: "근거 수",
+    credibility: "출처 신뢰도",
+    entailment: "근거 함의",
+    facts: "사실·수치 대조",
+    judge: "LLM 판정",
+    consistency: "답변 일관성",
+    claims: "문장별 검증",
+    hedging: "확신도 표현",
+  };
+
+  // 점수에서 파생되는 세 단계 등급 (경계 점수는 신뢰도 규칙의 bands)
+  static SCORE_BANDS = [
+    { score: "high", label: "신뢰도: 높음", color: "#51cf66" },
+    { score: "medium", label: "신뢰도: 보통", color: "#ffd43b" },
+    { score: "low", label: "신뢰도: 낮음", color: "#ff6b6b" },
+  ];
+
+  // 사용자가 옵션 페이지에서 고른 신뢰도 규칙 (Content Script 초기화 때 불러옴)
+  static rules = null;
+
+  /**
+   * 현재 신뢰도 규칙 (불러오기 전이면 기본 규칙)
+   * @returns {Object} - HallucinationLensRules 규칙 집합
+   */
+  static getRules() {
+    return this.rules || HallucinationLensRules.DEFAULT_RULES;
+  }
+
+  /**
+   * 답변 언어에 맞는 언어 팩으로 텍스트를 토큰화
+   * 문장 부호마다 구간을 나누고, 불용어/숫자/한 글자 토큰은 null(구분자)로 표시
+   * @param {string} text - 분석할 텍스트
+   * @param {string} languageCode - 언어 코드 (생략하면 자동 감지)
+   * @returns {Array<Array<string|null>>} - 구간별 토큰 배열
+   */
+  static tokenize(text, languageCode) {
+    const pack = HallucinationLensLanguage.getPack(
+      languageCode || HallucinationLensLanguage.detect(text).code
+    );
+
+    // 구간 경계를 표시한 채로 한 번에 정규화 (복합 명사 판단에 전체 문맥 사용)
+    const boundary = "\u0000";
+    const rawTokens = [];
+    text
+      .toLowerCase()
+      .split(/[.,;:!?()\[\]{}"'“”‘’·\n。、，；：！？「」『』（）]+/)
+      .forEach((segment) => {
+        rawTokens.push(...pack.tokenize(segment), boundary);
+      });
+
+    const segments = [[]];
+    pack.normalize(rawTokens).forEach((token) => {
+      if (token === boundary) {
+        segments.push([]);
+      } else if (
+        token.length < 2 ||
+        pack.stopWords.has(token) ||
+        /^\d+$/.test(token) // 숫자만 있는 단어 제외
+      ) {
+        segments[segments.length - 1].push(null);
+      } else {
+        segments[segments.length - 1].push(token);
+      }
+    });
+
+    return segments.filter((segment) => segment.length > 0);
+  }
+
   /**
    * 텍스트에서 키워드를 추출하는 함수
    * @param {string} text - 분석할 텍스트
+   * @param {string} languageCode - 언어 코드 (생략하면 자동 감지)
    * @returns {string[]} - 추출된 키워드 배열
    */
-  static extractKeywords(text) {
+  static extractKeywords(text, languageCode) {
     if (!text || typeof text !== "string") {
       console.log(
         "[HallucinationLens] 키워드 추출 실패: 텍스트가 없거나 문자열이 아님"
@@ -22,103 +96,10 @@ class HallucinationLensUtils {
       text.length
     );
 
-    // 기본적인 전처리
-    const cleanText = text
-      .toLowerCase()
-      .replace(/[^\w\s가-힣]/g, " ") // 특수문자 제거
-      .replace(/\s+/g, " ")
-      .trim();
-
-    console.log(
-      "[HallucinationLens] 전처리된 텍스트:",
-      cleanText.substring(0, 200) + "..."
-    );
-
-    // 불용어 목록 (한국어 + 영어)
-    const stopWords = new Set([
-      "the",
-      "a",
-      "an",
-      "and",
-      "or",
-      "but",
-      "in",
-      "on",
-      "at",
-      "to",
-      "for",
-      "of",
-      "with",
-      "by",
-      "is",
-      "are",
-      "was",
-      "were",
-      "be",
-      "been",
-      "have",
-      "has",
-      "had",
-      "do",
-      "does",
-      "did",
-      "will",
-      "would",
-      "could",
-      "should",
-      "may",
-      "might",
-      "can",
-      "this",
-      "that",
-      "these",
-      "those",
-      "그",
-      "이",
-      "저",
-      "것",
-      "수",
-      "있",
-      "없",
-      "하",
-      "되",
-      "된",
-      "될",
-      "함",
-      "임",
-      "입니다",
-      "습니다",
-      "에서",
-      "에게",
-      "에",
-      "를",
-      "을",
-      "가",
-      "이",
-      "은",
-      "는",
-      "으로",
-      "로",
-      "와",
-      "과",
-      "도",
-      "만",
-      "그리고",
-      "또한",
-      "하지만",
-      "그러나",
-      "따라서",
-      "그래서",
-      "왜냐하면",
-      "때문에",
-    ]);
-
-    // 단어 분리 및 필터링
-    const words = cleanText
-      .split(" ")
-      .filter((word) => word.length >= 2) // 2글자 이상
-      .filter((word) => !stopWords.has(word))
-      .filter((word) => !/^\d+$/.test(word)); // 숫자만 있는 단어 제외
+    // 언어 팩으로 단어 분리, 정규화(조사/어미 제거 등) 후 불용어 제외
+    const words = this.tokenize(text, languageCode)
+      .flat()
+      .filter((word) => word !== null);
 
     // 빈도수 계산
     const wordFreq = {};
@@ -141,57 +122,359 @@ class HallucinationLensUtils {
     return keywords;
   }
 
+  /**
+   * 텍스트에서 여러 단어로 된 핵심 구문을 추출하는 함수
+   * 불용어와 문장 부호로 나뉜 후보 구간에서 n-gram(최대 3단어)을 만들고,
+   * 단어 동시 출현 그래프의 TextRank 점수 합으로 순위를 매김
+   * @param {string} text - 분석할 텍스트
+   * @param {number} limit - 반환할 최대 구문 수
+   * @param {string} languageCode - 언어 코드 (생략하면 자동 감지)
+   * @returns {string[]} - 추출된 핵심 구문 배열
+   */
+  static extractKeyphrases(text, limit = 5, languageCode) {
+    if (!text || typeof text !== "string") {
+      return [];
+    }
+
+    const pack = HallucinationLensLanguage.getPack(
+      languageCode || HallucinationLensLanguage.detect(text).code
+    );
+
+    // 문장 부호와 불용어/숫자에서 끊어 후보 구간 생성
+    const runs = [];
+    this.tokenize(text, pack.code).forEach((segment) => {
+      let run = [];
+      segment.forEach((token) => {
+        if (token === null) {
+          if (run.length > 0) runs.push(run);
+          run = [];
+        } else {
+          run.push(token);
+        }
+      });
+      if (run.length > 0) runs.push(run);
+    });
+
+    if (runs.length === 0) {
+      return [];
+    }
+
+    // 단어 동시 출현 그래프 (같은 구간 안에서 인접한 단어끼리 연결)
+    const neighbors = {};
+    runs.forEach((run) => {
+      run.forEach((word, i) => {
+        neighbors[word] = neighbors[word] || new Set();
+        if (i > 0) {
+          neighbors[word].add(run[i - 1]);
+          neighbors[run[i - 1]].add(word);
+        }
+      });
+    });
+
+    // TextRank 반복 계산 (감쇠 계수 0.85)
+    const words = Object.keys(neighbors);
+    let rank = Object.fromEntries(words.map((word) => [word, 1]));
+    for (let iteration = 0; iteration < 20; iteration++) {
+      const next = {};
+      words.forEach((word) => {
+        let sum = 0;
+        neighbors[word].forEach((neighbor) => {
+          sum += rank[neighbor] / neighbors[neighbor].size;
+        });
+        next[word] = 0.15 + 0.85 * sum;
+      });
+      rank = next;
+    }
+
+    // 후보 n-gram 빈도 계산 (1~3단어)
+    const phraseFreq = {};
+    runs.forEach((run) => {
+      for (let n = 1; n <= 3; n++) {
+        for (let i = 0; i + n <= run.length; i++) {
+          const phrase = run.slice(i, i + n).join(" ");
+          phraseFreq[phrase] = (phraseFreq[phrase] || 0) + 1;
+        }
+      }
+    });
+
+    const scored = Object.entries(phraseFreq)
+      .map(([phrase, freq]) => {
+        const parts = phrase.split(" ");
+        // 여러 단어 구문은 두 번 이상 나오거나 구간 전체일 때만 후보로 인정
+        const isWholeRun = runs.some((run) => run.join(" ") === phrase);
+        if (parts.length > 1 && freq < 2 && !isWholeRun) {
+          return null;
+        }
+        const wordScore = parts.reduce((sum, part) => sum + rank[part], 0);
+        return { phrase, parts, score: wordScore * (1 + Math.log(freq)) };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+
+    // 이미 선택된 구문과 겹치는(포함 관계) 후보는 제외
+    const selected = [];
+    for (const candidate of scored) {
+      const overlaps = selected.some(
+        (chosen) =>
+          candidate.parts.every((part) => chosen.parts.includes(part)) ||
+          chosen.parts.every((part) => candidate.parts.includes(part))
+      );
+      if (!overlaps) {
+        selected.push(candidate);
+      }
+      if (selected.length >= limit) break;
+    }
+
+    // 일본어/중국어처럼 띄어 쓰지 않는 언어는 공백 없이 이어 붙임
+    const keyphrases = selected.map((candidate) =>
+      candidate.parts.join(pack.joiner)
+    );
+    console.log("[HallucinationLens] 핵심 구문 추출 결과:", keyphrases);
+
+    return keyphrases;
+  }
+
+  /**
+   * 텍스트를 검증 가능한 개별 주장(문장) 단위로 분리하는 함수
+   * 인사말, 추측성 표현, 주관적 의견, 질문은 검증 대상에서 제외
+   * @param {string} text - 분석할 텍스트
+   * @returns {Object[]} - 주장 배열 ({ id, text, checkable, skipReason })
+   */
+  static segmentClaims(text) {
+    if (!text || typeof text !== "string") {
+      return [];
+    }
+
+    // 줄바꿈(목록 항목 등)과 문장 부호 기준으로 문장 분리
+    // 소수점(3.5), 약어(e.g., U.S.)에서는 분리하지 않음
+    const sentences = text
+      .split(/\n+/)
+      .flatMap((line) =>
+        line
+          .replace(
+            /\b(e\.g|i\.e|etc|vs|Mr|Mrs|Dr|Prof|Inc|Ltd|U\.S)\./gi,
+            "$1\u0000"
+          )
+          .split(/(?<=[.!?])\s+|(?<=[。！？])\s*/)
+      )
+      .map((sentence) => sentence.replace(/\u0000/g, ".").trim())
+      .filter((sentence) => sentence.length > 0);
+
+    // 접속 표현으로 이어진 복문을 개별 주장으로 분리
+    const clauses = sentences.flatMap((sentence) =>
+      sentence
+        .split(
+          /;\s+|,\s+(?:and|but|while|whereas)\s+|,\s*(?:그리고|하지만|그러나)\s+/i
+        )
+        .reduce((parts, part) => {
+          // 너무 짧은 조각은 앞 조각에 다시 붙여 의미를 유지
+          if (parts.length > 0 && part.trim().length < 25) {
+            parts[parts.length - 1] += `, ${part.trim()}`;
+          } else {
+            parts.push(part.trim());
+          }
+          return parts;
+        }, [])
+    );
+
+    const claims = clauses.map((clause, index) => {
+      const skipReason = this.getClaimSkipReason(clause);
+      return {
+        id: index,
+        text: clause,
+        checkable: skipReason === null,
+        skipReason,
+      };
+    });
+
+    console.log(
+      `[HallucinationLens] 주장 분리 결과: 전체 ${claims.length}개, 검증 대상 ${
+        claims.filter((claim) => claim.checkable).length
+      }개`
+    );
+
+    return claims;
+  }
+
+  /**
+   * 문장이 검증 대상에서 제외되어야 하는 이유를 판단
+   * @param {string} sentence - 판단할 문장
+   * @returns {string|null} - 제외 사유 (greeting, hedge, opinion, question, too-short) 또는 null
+   */
+  static getClaimSkipReason(sentence) {
+    const lower = sentence.toLowerCase();
+
+    // 문자 체계별 최소 길이: 일본어/중국어는 띄어쓰기가 없고 한국어는 글자당 정보량이 많음
+    const wordCount = sentence.split(/\s+/).length;
+    const isCJK = /[぀-ヿ一-鿿]/.test(sentence) && !/\s/.test(sentence);
+    const isHangul = /[가-힣]/.test(sentence);
+    const tooShort = isCJK
+      ? sentence.length < 10
+      : isHangul
+      ? sentence.length < 12 || wordCount < 2
+      : sentence.length < 20 || wordCount < 3;
+    if (tooShort) {
+      return "too-short";
+    }
+
+    const greetingPatterns = [
+      /^(hi|hello|hey|sure|certainly|of course|absolutely|great question|good question)\b/,
+      /\b(hope (this|that) helps|let me know|feel free to|happy to help)\b/,
+      /^(안녕하세요|물론입니다|물론이죠|좋은 질문)/,
+      /(도움이 되(었|셨)?(으면|길)|궁금한 점이 있으면|언제든지 물어)/,
+    ];
+    if (greetingPatterns.some((pattern) => pattern.test(lower))) {
+      return "greeting";
+    }
+
+    if (/[?？]$/.test(sentence)) {
+      return "question";
+    }
+
+    const opinionPatterns = [
+      /\b(i think|i believe|i feel|in my (opinion|view)|personally|i('d| would) (recommend|suggest))\b/,
+      /(개인적으로|제 생각에는|제 의견으로는|추천(합니다|드립니다)|좋을 것 같습니다)/,
+    ];
+    if (opinionPatterns.some((pattern) => pattern.test(lower))) {
+      return "opinion";
+    }
+
+    // 유보 표현 기준은 확신도 분석(hedging.js)과 같은 목록을 사용
+    if (HallucinationLensHedging.isUncertain(sentence)) {
+      return "hedge";
+    }
+
+    return null;
+  }
+
+  /**
+   * 키워드와 추출된 사실로 검색 쿼리 생성
+   * 개체명을 우선 사용하고 남는 자리를 빈도 키워드로 채움
+   * @param {string[]} keywords - 키워드 배열
+   * @param {Object[]} facts - HallucinationLensFacts.extract 결과
+   * @returns {string} - 검색 쿼리
+   */
+  static buildSearchQuery(keywords, facts = []) {
+    const entityNames = facts
+      .filter((fact) => !HallucinationLensFacts.isNumeric(fact))
+      .map((fact) => fact.text);
+
+    // 핵심 구문은 여러 단어일 수 있으므로 전체 단어 수도 함께 제한
+    const maxWords = 6;
+    const countWords = (list) =>
+      list.reduce((sum, term) => sum + term.split(/\s+/).length, 0);
+
+    const terms = [...new Set(entityNames)].slice(0, 2);
+    keywords.forEach((keyword) => {
+      const covered = terms.some(
+        (term) =>
+          term.toLowerCase().includes(keyword.toLowerCase()) ||
+          keyword.toLowerCase().includes(term.toLowerCase())
+      );
+      if (
+        !covered &&
+        terms.length < 3 &&
+        countWords([...terms, keyword]) <= maxWords
+      ) {
+        terms.push(keyword);
+      }
+    });
+
+    // 상위 3개 검색어만 사용, 조사/어미가 남지 않도록 한 번 더 정규화
+    return HallucinationLensKorean.normalizeQuery(terms.join(" "));
+  }
+
   /**
    * 검색을 수행하는 함수 (Background Script 사용)
    * @param {string[]} keywords - 검색할 키워드 배열
+   * @param {Object[]} facts - 검색어에 반영할 사실 배열
+   * @param {Object} context - 검색 제공자에 전달할 부가 정보 ({ text, language })
    * @returns {Promise<Object[]>} - 검색 결과 배열
+   *   (timedOut: 시간 초과된 제공자 이름 배열, plan: 시도한 검색어와 결과를 낸 검색어)
    */
-  static async searchDuckDuckGo(keywords) {
-    if (!keywords || keywords.length === 0) return [];
+  static async searchDuckDuckGo(keywords, facts = [], context = {}) {
+    if (!keywords || keywords.length === 0) return this.createEmptyResults();
 
     console.log("[HallucinationLens] 검색 키워드:", keywords);
 
     try {
-      // 키워드를 조합하여 검색 쿼리 생성
-      const query = keywords.slice(0, 3).join(" "); // 상위 3개 키워드만 사용
-
-      // Background Script를 통한 검색 시도
-      const realResults = await this.searchViaBackground(query);
+      // 개체명과 관계어로 만든 검색어부터 결과가 나올 때까지 바꿔 가며 검색
+      // (원문과 사실은 Wikidata처럼 값을 대조하는 제공자가 사용)
+      const realResults = await HallucinationLensQueryPlanner.search(
+        keywords,
+        facts,
+        context
+      );
 
       if (realResults && realResults.length > 0) {
         console.log("[HallucinationLens] Background 검색 결과:", realResults);
         return realResults;
       }
 
-      // Background 검색 실패 시 키워드 기반 분석으로 대체
-      const mockResults = await this.generateMockSearchResults(keywords, query);
-      console.log("[HallucinationLens] 모의 검색 결과:", mockResults);
-
-      return mockResults;
+      // 근거를 찾지 못하면 빈 결과를 그대로 전달 (키워드로 지어낸 결과를 근거로 쓰지 않음)
+      if (realResults.timedOut.length > 0) {
+        console.warn(
+          "[HallucinationLens] 검색 시간 초과:",
+          realResults.timedOut
+        );
+      } else {
+        console.log(
+          "[HallucinationLens] 근거 자료를 찾지 못했습니다:",
+          realResults.plan.attempts.map((attempt) => attempt.query)
+        );
+      }
+      return realResults;
     } catch (error) {
       console.error("검색 오류:", error);
-      // 오류 시에도 키워드 기반 분석 제공
-      return await this.generateMockSearchResults(keywords, keywords.join(" "));
+      return this.createEmptyResults();
     }
   }
 
   /**
-   * Background Script를 통한 검색
+   * 검색하지 못했을 때의 빈 결과 (성공한 검색과 같은 timedOut, judge, plan 형태)
+   * @returns {Object[]} - 빈 검색 결과 배열
+   */
+  static createEmptyResults() {
+    return Object.assign([], {
+      timedOut: [],
+      judge: null,
+      plan: { query: null, strategy: null, attempts: [] },
+    });
+  }
+
+  /**
+   * Background Script를 통한 검색 (검색 제공자 레지스트리 사용)
    * @param {string} query - 검색 쿼리
+   * @param {Object} options - 검색 옵션
+   * @param {string[]} [options.providers] - 사용할 제공자 ID (없으면 설정값)
+   * @param {string} [options.text] - 검증할 원문 문장
+   * @param {string} [options.language] - 답변 언어 코드
+   * @param {Object[]} [options.facts] - 원문에서 추출한 사실 배열
+   * @param {Object} [options.translate] - 개체명을 번역해 검색 ({ names, target })
    * @returns {Promise<Object[]>} - 검색 결과 배열
+   *   (timedOut: 시간 초과된 제공자 이름 배열, judge: LLM 판정 또는 null, query: 실제 검색어,
+   *   skipped: 요청한 제공자가 모두 꺼져 있어 검색하지 않았는지)
    */
-  static async searchViaBackground(query) {
+  static async searchViaBackground(query, options = {}) {
+    const withStatus = (
+      results,
+      timedOut = [],
+      judge = null,
+      used = query,
+      skipped = false
+    ) => Object.assign(results, { timedOut, judge, query: used, skipped });
+
     return new Promise((resolve) => {
       try {
         chrome.runtime.sendMessage(
-          { action: "search", query: query },
+          { action: "search", query: query, options: options },
           (response) => {
             if (chrome.runtime.lastError) {
               console.error(
                 "[HallucinationLens] Background 통신 오류:",
                 chrome.runtime.lastError
               );
-              resolve([]);
+              resolve(withStatus([]));
               return;
             }
 
@@ -200,13 +483,21 @@ class HallucinationLensUtils {
                 "[HallucinationLens] Background 검색 성공:",
                 response.results
               );
-              resolve(response.results);
+              resolve(
+                withStatus(
+                  response.results,
+                  response.timedOut,
+                  response.judge,
+                  response.query,
+                  response.skipped
+                )
+              );
             } else {
               console.warn(
                 "[HallucinationLens] Background 검색 실패:",
                 response
               );
-              resolve([]);
+              resolve(withStatus([]));
             }
           }
         );
@@ -215,18 +506,21 @@ class HallucinationLensUtils {
           "[HallucinationLens] Background 메시지 전송 오류:",
           error
         );
-        resolve([]);
+        resolve(withStatus([]));
       }
     });
   }
 
   /**
-   * 키워드 기반 모의 검색 결과 생성
+   * 키워드만으로 추정한 휴리스틱 신호
+   * 검색 근거가 아니므로 신뢰도 계산에 쓰지 않고 오버레이에 별도 신호로 표시
    * @param {string[]} keywords - 키워드 배열
-   * @param {string} query - 검색 쿼리
-   * @returns {Promise<Object[]>} - 모의 검색 결과
+   * @returns {Object|null} - { type: "factual" | "subjective" | "generic", label, reason, keywords }
+   *   (판단할 키워드가 없으면 null)
    */
-  static async generateMockSearchResults(keywords, query) {
+  static assessKeywordHeuristics(keywords) {
+    if (!keywords || keywords.length === 0) return null;
+
     // 일반적인 지식/사실 키워드들
     const factualKeywords = [
       // 과학/기술
@@ -417,254 +711,188 @@ class HallucinationLensUtils {
       "조언",
     ];
 
-    // 키워드 분석
-    const hasFactualKeywords = keywords.some((keyword) =>
-      factualKeywords.some(
-        (factual) =>
-          keyword.toLowerCase().includes(factual.toLowerCase()) ||
-          factual.toLowerCase().includes(keyword.toLowerCase())
-      )
-    );
-
-    const hasSubjectiveKeywords = keywords.some((keyword) =>
-      subjectiveKeywords.some(
-        (subjective) =>
-          keyword.toLowerCase().includes(subjective.toLowerCase()) ||
-          subjective.toLowerCase().includes(keyword.toLowerCase())
-      )
-    );
+    const matches = (list) =>
+      keywords.filter((keyword) =>
+        list.some(
+          (term) =>
+            keyword.toLowerCase().includes(term.toLowerCase()) ||
+            term.toLowerCase().includes(keyword.toLowerCase())
+        )
+      );
+    const factualMatches = matches(factualKeywords);
+    const subjectiveMatches = matches(subjectiveKeywords);
+    const analysis = this.analyzeKeywords(keywords);
 
-    // 키워드 길이와 복잡성 평가
+    // 키워드 길이와 복잡성 평가 (기준은 신뢰도 규칙의 keywords)
+    const rules = this.getRules().keywords;
     const avgKeywordLength =
       keywords.reduce((sum, k) => sum + k.length, 0) / keywords.length;
-    const hasComplexKeywords = avgKeywordLength > 4 && keywords.length >= 3;
-
-    // 결과 생성 로직
-    let results = [];
-
-    if (hasFactualKeywords || hasComplexKeywords) {
-      // 사실적/복잡한 키워드가 있으면 검색 결과 생성
-      results = [
-        {
-          title: `${keywords[0]}에 대한 정보`,
-          url: `https://duckduckgo.com/?q=${encodeURIComponent(query)}`,
-          snippet: `${keywords
-            .slice(0, 2)
-            .join(
-              ", "
-            )}와 관련된 정보를 찾았습니다. 자세한 내용은 검색 결과를 확인하세요.`,
-          isReliable: true,
-        },
-      ];
-
-      if (keywords.length > 1) {
-        results.push({
-          title: `${keywords[1]} 관련 자료`,
-          url: `https://duckduckgo.com/?q=${encodeURIComponent(keywords[1])}`,
-          snippet: `${keywords[1]}에 대한 추가 정보와 관련 자료들을 확인할 수 있습니다.`,
-          isReliable: true,
-        });
-      }
-    } else if (hasSubjectiveKeywords) {
-      // 주관적 키워드가 있으면 제한적 결과
-      results = [
-        {
-          title: "주관적 의견 관련 내용",
-          url: "#",
-          snippet:
-            "이 내용은 주관적 의견이나 개인적 견해를 포함할 수 있습니다.",
-          isReliable: false,
-        },
-      ];
-    }
-
-    // 키워드가 너무 일반적이거나 짧으면 신뢰도 낮음 (기준 완화)
-    if (keywords.every((k) => k.length <= 1) || keywords.length < 1) {
-      return [];
+    const hasComplexKeywords =
+      avgKeywordLength > rules.complexAverageLength &&
+      keywords.length >= rules.complexCount;
+
+    if (subjectiveMatches.length > 0) {
+      return {
+        type: "subjective",
+        label: "주관적 표현",
+        reason: `의견이나 취향을 나타내는 키워드(${subjectiveMatches.join(
+          ", "
+        )})가 있어 사실 검증이 맞지 않을 수 있습니다.`,
+        keywords: subjectiveMatches,
+      };
+    }
+
+    if (analysis.isVeryGeneric) {
+      return {
+        type: "generic",
+        label: "일반적인 키워드",
+        reason: "키워드가 너무 일반적이어서 검증하기 어렵습니다.",
+        keywords,
+      };
     }
 
-    return results;
+    if (factualMatches.length > 0 || hasComplexKeywords) {
+      return {
+        type: "factual",
+        label: "사실 관련 키워드",
+        reason:
+          factualMatches.length > 0
+            ? `사실을 다루는 키워드(${factualMatches.join(
+                ", "
+              )})가 있어 외부 자료로 확인해 볼 만합니다.`
+            : "구체적인 키워드가 많아 외부 자료로 확인해 볼 만합니다.",
+        keywords: factualMatches,
+      };
+    }
+
+    return null;
   }
 
   /**
-   * 실제 DuckDuckGo Instant Answer API 검색
+   * DuckDuckGo Instant Answer API 검색
+   * 페이지 CSP를 피하기 위해 Background Script의 DuckDuckGo 제공자를 사용
    * @param {string} query - 검색 쿼리
    * @returns {Promise<Object[]>} - 검색 결과 배열
    */
   static async performRealSearch(query) {
-    try {
-      const encodedQuery = encodeURIComponent(query);
-      const apiUrl = `https://api.duckduckgo.com/?q=${encodedQuery}&format=json&no_html=1&skip_disambig=1`;
-
-      console.log("[HallucinationLens] DuckDuckGo API 호출:", apiUrl);
-
-      const response = await fetch(apiUrl);
-      const data = await response.json();
-
-      const results = [];
-
-      // Abstract (요약 정보)
-      if (data.Abstract && data.Abstract.trim()) {
-        results.push({
-          title: data.Heading || "정보 요약",
-          url: data.AbstractURL || "#",
-          snippet: data.Abstract,
-          isReliable: true,
-          source: "DuckDuckGo",
-        });
-      }
-
-      // Related Topics (관련 주제)
-      if (data.RelatedTopics && data.RelatedTopics.length > 0) {
-        data.RelatedTopics.slice(0, 2).forEach((topic) => {
-          if (topic.Text && topic.FirstURL) {
-            results.push({
-              title: topic.Text.split(" - ")[0] || "관련 주제",
-              url: topic.FirstURL,
-              snippet: topic.Text,
-              isReliable: true,
-              source: "DuckDuckGo",
-            });
-          }
-        });
-      }
-
-      // Answer (직접 답변)
-      if (data.Answer && data.Answer.trim()) {
-        results.push({
-          title: "직접 답변",
-          url: data.AnswerURL || "#",
-          snippet: data.Answer,
-          isReliable: true,
-          source: "DuckDuckGo",
-        });
-      }
-
-      console.log("[HallucinationLens] DuckDuckGo API 결과:", results);
-      return results;
-    } catch (error) {
-      console.error("[HallucinationLens] DuckDuckGo API 오류:", error);
-      return [];
-    }
+    return this.searchViaBackground(query, { providers: ["duckduckgo"] });
   }
 
   /**
    * Wikipedia API 검색
+   * 페이지 CSP를 피하기 위해 Background Script의 Wikipedia 제공자를 사용
    * @param {string} query - 검색 쿼리
+   * @param {string} language - 답변 언어 코드 (해당 언어판을 먼저 검색)
    * @returns {Promise<Object[]>} - 검색 결과 배열
    */
-  static async searchWikipedia(query) {
-    try {
-      const encodedQuery = encodeURIComponent(query);
-
-      // 먼저 검색으로 관련 페이지 찾기
-      const searchUrl = `https://en.wikipedia.org/api/rest_v1/page/search/${encodedQuery}`;
-      const searchResponse = await fetch(searchUrl);
-      const searchData = await searchResponse.json();
-
-      if (!searchData.pages || searchData.pages.length === 0) {
-        return [];
-      }
+  static async searchWikipedia(query, language = null) {
+    return this.searchViaBackground(query, {
+      providers: ["wikipedia"],
+      language,
+    });
+  }
 
-      const results = [];
+  /**
+   * 수치/날짜 사실이 검색 결과 본문에서 확인되는지 검사
+   * @param {Object[]} facts - 사실 배열
+   * @param {Object[]} searchResults - 검색 결과 배열
+   * @returns {Object} - { total, confirmed, unconfirmed }
+   */
+  static checkNumericFacts(facts, searchResults) {
+    const numericFacts = (facts || []).filter((fact) =>
+      HallucinationLensFacts.isNumeric(fact)
+    );
+    const evidenceText = (searchResults || [])
+      .map((result) =>
+        [
+          result.title,
+          result.snippet,
+          ...(result.passages || []).map((passage) => passage.text),
+        ].join(" ")
+      )
+      .join(" ");
 
-      // 상위 2개 결과에 대해 요약 정보 가져오기
-      for (let i = 0; i < Math.min(2, searchData.pages.length); i++) {
-        const page = searchData.pages[i];
-        try {
-          const summaryUrl = `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(
-            page.key
-          )}`;
-          const summaryResponse = await fetch(summaryUrl);
-          const summaryData = await summaryResponse.json();
-
-          if (summaryData.extract) {
-            results.push({
-              title: summaryData.title,
-              url:
-                summaryData.content_urls?.desktop?.page ||
-                `https://en.wikipedia.org/wiki/${page.key}`,
-              snippet: summaryData.extract,
-              isReliable: true,
-              source: "Wikipedia",
-            });
-          }
-        } catch (summaryError) {
-          console.warn(
-            "[HallucinationLens] Wikipedia 요약 가져오기 실패:",
-            summaryError
-          );
-        }
-      }
+    const unconfirmed = numericFacts.filter(
+      (fact) => !HallucinationLensFacts.isConfirmedBy(fact, evidenceText)
+    );
 
-      console.log("[HallucinationLens] Wikipedia API 결과:", results);
-      return results;
-    } catch (error) {
-      console.error("[HallucinationLens] Wikipedia API 오류:", error);
-      return [];
-    }
+    return {
+      total: numericFacts.length,
+      confirmed: numericFacts.length - unconfirmed.length,
+      unconfirmed,
+    };
   }
 
   /**
-   * 대체 검색 방법 (기존 키워드 기반 분석)
-   * @param {string} query - 검색 쿼리
-   * @returns {Promise<Object[]>} - 검색 결과 배열
+   * 검색 결과의 출처 신뢰도 요약
+   * @param {Object[]} results - 검색 결과 배열 (credibility: { label, weight })
+   * @returns {Object} - { weight: 가중치 합, best: 가장 높은 가중치, summary: "백과사전 2, 뉴스 1" }
    */
-  static async fallbackSearch(query) {
-    try {
-      // 키워드 기반 분석으로 대체
-      const keywords = this.extractKeywords(query);
-      return await this.generateMockSearchResults(keywords, query);
-    } catch (error) {
-      console.error("대체 검색 오류:", error);
-      return [];
-    }
+  static summarizeCredibility(results) {
+    const counts = {};
+    let weight = 0;
+    let best = 0;
+
+    results.forEach((result) => {
+      const credibility = result.credibility || {
+        label: "일반",
+        weight: this.DEFAULT_CREDIBILITY_WEIGHT,
+      };
+      counts[credibility.label] = (counts[credibility.label] || 0) + 1;
+      weight += credibility.weight;
+      best = Math.max(best, credibility.weight);
+    });
+
+    return {
+      weight,
+      best,
+      summary: Object.entries(counts)
+        .map(([label, count]) => `${label} ${count}`)
+        .join(", "),
+    };
   }
 
   /**
    * 검색 결과를 바탕으로 신뢰도를 계산하는 함수
+   * 근거 수, 출처 신뢰도, 함의 판정, 사실 대조, 답변 일관성을 요인별 점수로 계산해
+   * 0~100점과 세 단계 등급(높음/보통/낮음)을 함께 반환
    * @param {Object[]} searchResults - 검색 결과 배열
    * @param {string[]} keywords - 원본 키워드 배열
-   * @returns {Object} - 신뢰도 정보 객체
+   * @param {Object[]} facts - 검증할 사실 배열 (수치는 검색 결과와 대조)
+   * @param {Object[]} contradictions - 답변 내부 모순 (있으면 검색 결과와 관계없이 점수 상한 적용)
+   * @returns {Object} - 신뢰도 정보 객체 (value: 점수, factors: 요인별 기여도)
    */
-  static calculateTrustScore(searchResults, keywords) {
+  static calculateTrustScore(
+    searchResults,
+    keywords,
+    facts = [],
+    contradictions = []
+  ) {
     console.log("[HallucinationLens] 신뢰도 계산 시작:", {
       searchResults,
       keywords,
     });
 
-    // 키워드 기반 초기 평가
-    const keywordAnalysis = this.analyzeKeywords(keywords);
-    console.log("[HallucinationLens] 키워드 분석 결과:", keywordAnalysis);
+    const rules = this.getRules();
 
-    if (!searchResults || searchResults.length === 0) {
-      // 키워드가 매우 일반적이거나 짧으면 낮은 신뢰도
-      if (keywordAnalysis.isVeryGeneric) {
-        return {
-          score: "low",
-          label: "신뢰도: 낮음",
-          reason: "키워드가 너무 일반적이어서 검증하기 어렵습니다.",
-          color: "#ff6b6b",
-        };
-      }
+    // 답변 안에서 서로 모순되는 서술 (근거가 없어도 문제가 있다고 판단)
+    const consistency = this.createConsistencyFactor(contradictions);
+    const withContradictions = (reason) =>
+      this.describeContradictions(reason, consistency);
 
-      // 키워드가 있고 평균 길이가 3글자 이상이면 보통 신뢰도
-      if (keywordAnalysis.avgLength >= 3 && keywordAnalysis.keywordCount >= 2) {
-        return {
-          score: "medium",
-          label: "신뢰도: 보통",
-          reason: "구체적인 검증 자료는 부족하지만 일반적인 내용으로 보입니다.",
-          color: "#ffd43b",
-        };
-      }
-
-      // 그 외의 경우는 낮은 신뢰도
-      return {
-        score: "low",
-        label: "신뢰도: 낮음",
-        reason: "검증하기 어려운 내용입니다.",
-        color: "#ff6b6b",
-      };
+    // 근거 자료가 없으면 키워드만으로 신뢰도를 추정하지 않음 (키워드 신호는 별도로 표시)
+    if (!searchResults || searchResults.length === 0) {
+      const reason =
+        "검색 소스에서 이 내용을 뒷받침하거나 반박하는 자료를 찾지 못했습니다.";
+      return contradictions.length > 0
+        ? this.scoreTrust(
+            [
+              { id: "evidence", value: 0, detail: "근거 자료 없음" },
+              consistency,
+            ],
+            withContradictions(reason)
+          )
+        : this.createUnverifiedTrustInfo(reason);
     }
 
     // 검색 결과가 있는 경우
@@ -675,79 +903,359 @@ class HallucinationLensUtils {
       (result) => result.isReliable === false
     );
 
-    // 실제 검색 결과 소스 분석
-    const hasWikipediaResults = searchResults.some(
-      (result) => result.source === "Wikipedia"
-    );
-    const hasDuckDuckGoResults = searchResults.some(
-      (result) => result.source === "DuckDuckGo"
-    );
-    const hasRealSearchResults = hasWikipediaResults || hasDuckDuckGoResults;
+    // 실제 검색 결과 소스 분석 (검색 제공자를 거친 결과만 실제 자료로 취급)
+    const sources = [
+      ...new Set(
+        searchResults
+          .filter((result) => result.providerId && result.source)
+          .map((result) => result.source)
+      ),
+    ];
+    const hasRealSearchResults = sources.length > 0;
 
     // 신뢰할 수 없는 결과만 있는 경우
     if (reliableResults.length === 0 && unreliableResults.length > 0) {
-      return {
-        score: "low",
-        label: "신뢰도: 낮음",
-        reason: "주관적 의견이나 검증하기 어려운 내용입니다.",
-        color: "#ff6b6b",
-      };
+      return this.scoreTrust(
+        [
+          {
+            id: "evidence",
+            value: 0,
+            cap: this.getBandCap("low"),
+            detail: `신뢰할 수 없는 결과 ${unreliableResults.length}개`,
+          },
+          consistency,
+        ],
+        withContradictions("주관적 의견이나 검증하기 어려운 내용입니다.")
+      );
     }
 
-    // 신뢰할 수 있는 결과가 있는 경우
-    if (reliableResults.length > 0) {
-      // 실제 검색 결과가 있는 경우 더 높은 신뢰도
-      if (hasRealSearchResults) {
-        const sources = [];
-        if (hasWikipediaResults) sources.push("Wikipedia");
-        if (hasDuckDuckGoResults) sources.push("DuckDuckGo");
-
-        return {
-          score: "high",
-          label: "신뢰도: 높음",
-          reason: `${sources.join(", ")}에서 ${
-            reliableResults.length
-          }개의 관련 자료를 찾았습니다.`,
-          color: "#51cf66",
-        };
-      }
+    // 검색 제공자를 거치지 않은 결과만 있는 경우
+    if (!hasRealSearchResults) {
+      const reason = "검색 제공자를 거친 자료가 없어 검증하지 못했습니다.";
+      return contradictions.length > 0
+        ? this.scoreTrust(
+            [
+              { id: "evidence", value: 0, detail: "근거 자료 없음" },
+              consistency,
+            ],
+            withContradictions(reason)
+          )
+        : this.createUnverifiedTrustInfo(reason);
+    }
 
-      // 키워드 기반 분석 결과만 있는 경우
-      if (keywordAnalysis.isHighQuality) {
-        return {
-          score: "medium",
-          label: "신뢰도: 보통",
-          reason: `구체적인 키워드가 포함되어 있지만 외부 검증이 제한적입니다.`,
-          color: "#ffd43b",
-        };
-      } else {
-        return {
-          score: "medium",
-          label: "신뢰도: 보통",
-          reason: `관련 자료를 찾았지만 더 구체적인 검증이 필요할 수 있습니다.`,
-          color: "#ffd43b",
-        };
-      }
+    // 함의 판정 결과가 있으면 뒷받침하는 자료만 근거로 셈
+    // (반박은 confidence가 규칙의 기준 이상일 때만, 그보다 낮으면 근거 부족으로 봄.
+    // 규칙 기반 판정기는 반박만 찾으므로 반박으로 반영하지 않는 판정은 판정하지 않은 것으로 봄)
+    const isRefuting = (verdict) =>
+      verdict.label === "refutes" &&
+      verdict.confidence >= rules.entailment.minRefuteConfidence;
+    const judged = reliableResults.filter(
+      (result) =>
+        result.entailment &&
+        (result.entailment.backend !== "rules" || isRefuting(result.entailment))
+    );
+    const supporting = judged.filter(
+      (result) => result.entailment.label === "supports"
+    );
+    const refuting = judged.filter((result) => isRefuting(result.entailment));
+    const evidenceResults = judged.length > 0 ? supporting : reliableResults;
+
+    // 근거 수 (규칙에 최소 독립 출처 수가 있으면 그보다 적을 때 점수 상한 적용)
+    const evidenceCount = evidenceResults.length;
+    const independentSources = this.countIndependentSources(evidenceResults);
+    const insufficientSources = independentSources < rules.evidence.minSources;
+    const factors = [
+      {
+        id: "evidence",
+        value: rules.evidence.values[Math.min(evidenceCount, 3)],
+        cap: insufficientSources
+          ? this.getBandCap(rules.caps.insufficientSources)
+          : undefined,
+        detail: `${
+          judged.length > 0 ? "뒷받침하는" : "관련"
+        } 자료 ${evidenceCount}개 (${sources.join(", ")})${
+          rules.evidence.minSources > 0
+            ? `, 독립 출처 ${independentSources}/${rules.evidence.minSources}개`
+            : ""
+        }`,
+      },
+    ];
+
+    // 출처 신뢰도(공식, 학술, 뉴스, 커뮤니티 등): 가중치 합과 가장 믿을 만한 출처의 가중치
+    const credibility = this.summarizeCredibility(
+      evidenceResults.length > 0 ? evidenceResults : reliableResults
+    );
+    factors.push({
+      id: "credibility",
+      value:
+        Math.min(1, credibility.weight / rules.credibility.credibleWeight) *
+        credibility.best,
+      detail: credibility.summary,
+    });
+
+    // 함의 판정: 뒷받침/반박하는 출처의 신뢰도 가중치 비율
+    const supportWeight = this.summarizeCredibility(supporting).weight;
+    const refuteWeight = this.summarizeCredibility(refuting).weight;
+    const conflicting = refuting.length > 0 && refuteWeight >= supportWeight;
+    if (judged.length > 0) {
+      factors.push({
+        id: "entailment",
+        value:
+          supportWeight + refuteWeight > 0
+            ? supportWeight / (supportWeight + refuteWeight)
+            : rules.entailment.notEnoughInfo,
+        cap: conflicting
+          ? this.getBandCap(rules.caps.refuted)
+          : supporting.length === 0 || refuting.length > 0
+          ? this.getBandCap(rules.caps.unconfirmed)
+          : undefined,
+        detail: `뒷받침 ${supporting.length}개, 반박 ${
+          refuting.length
+        }개, 근거 부족 ${
+          judged.length - supporting.length - refuting.length
+        }개`,
+      });
     }
 
-    // 기본값
+    // 사실 대조: 구조화된 데이터(Wikidata 등)의 값, 검색 자료 본문의 수치
+    const factChecks = reliableResults.flatMap((result) =>
+      (result.factChecks || []).map((check) => ({
+        ...check,
+        source: result.source,
+      }))
+    );
+    const factMismatches = factChecks.filter(
+      (check) => check.status === "mismatch"
+    );
+    const numericCheck = this.checkNumericFacts(facts, reliableResults);
+    if (factMismatches.length > 0) {
+      factors.push({
+        id: "facts",
+        value: 0,
+        cap: this.getBandCap(rules.caps.refuted),
+        detail: `구조화된 데이터와 다른 값 ${factMismatches.length}개`,
+      });
+    } else if (numericCheck.total > 0) {
+      factors.push({
+        id: "facts",
+        value: numericCheck.confirmed / numericCheck.total,
+        cap:
+          numericCheck.confirmed === 0
+            ? this.getBandCap(rules.caps.unconfirmed)
+            : undefined,
+        detail: `수치 ${numericCheck.confirmed}/${numericCheck.total}개 확인`,
+      });
+    } else if (factChecks.length > 0) {
+      factors.push({
+        id: "facts",
+        value: 1,
+        detail: `구조화된 데이터와 일치 ${factChecks.length}개`,
+      });
+    }
+
+    factors.push(consistency);
+
+    // 점수에 가장 크게 작용한 사실을 이유로 설명
+    let reason;
+    if (factMismatches.length > 0) {
+      reason = factMismatches
+        .map(
+          (check) =>
+            `${check.source}의 ${check.label} 값(${check.expected})이 답변(${check.stated})과 다릅니다.`
+        )
+        .join(" ");
+    } else if (refuting.length > 0) {
+      const refuted = refuting[0];
+      reason = `${refuted.source} 자료가 답변과 다르게 서술합니다: "${
+        refuted.entailment.sentence
+      }"${refuted.entailment.reason ? ` (${refuted.entailment.reason})` : ""}${
+        conflicting
+          ? ""
+          : ` 뒷받침하는 자료 ${supporting.length}개와 엇갈립니다.`
+      }`;
+    } else if (judged.length > 0 && supporting.length === 0) {
+      reason = `${sources.join(
+        ", "
+      )}에서 관련 자료를 찾았지만 이 내용을 직접 뒷받침하는 문장은 없습니다.`;
+    } else if (numericCheck.total > 0 && numericCheck.confirmed === 0) {
+      reason = `${sources.join(", ")}에서 자료를 찾았지만 수치 ${
+        numericCheck.total
+      }개(${numericCheck.unconfirmed
+        .map((fact) => fact.text)
+        .join(", ")})를 확인하지 못했습니다.`;
+    } else if (
+      credibility.weight < rules.credibility.credibleWeight ||
+      credibility.best < rules.credibility.minBestWeight
+    ) {
+      reason = `${sources.join(", ")}에서 자료를 찾았지만 신뢰도가 낮은 출처(${
+        credibility.summary
+      })뿐입니다.`;
+    } else {
+      reason = `${sources.join(", ")}에서 ${evidenceCount}개의 ${
+        judged.length > 0 ? "뒷받침하는" : "관련"
+      } 자료를 찾았습니다.${
+        numericCheck.total > 0
+          ? ` (수치 ${numericCheck.confirmed}/${numericCheck.total}개 확인)`
+          : ""
+      } 출처: ${credibility.summary}.`;
+    }
+    if (insufficientSources) {
+      reason = `${reason} 독립된 출처가 ${independentSources}개뿐입니다(규칙상 최소 ${rules.evidence.minSources}개).`;
+    }
+
+    return this.scoreTrust(factors, withContradictions(reason));
+  }
+
+  /**
+   * 답변 일관성 요인 (모순이 있으면 0점과 규칙의 caps.contradiction 상한)
+   * @param {Object[]} contradictions - 답변 내부 모순 배열
+   * @returns {Object} - 요인 ({ id, value, cap, detail })
+   */
+  static createConsistencyFactor(contradictions = []) {
+    if (contradictions.length === 0) {
+      return { id: "consistency", value: 1, detail: "모순되는 서술 없음" };
+    }
+    return {
+      id: "consistency",
+      value: 0,
+      cap: this.getBandCap(this.getRules().caps.contradiction),
+      detail: `서로 모순되는 서술 ${contradictions.length}건(${contradictions
+        .map(
+          (contradiction) =>
+            `${contradiction.first.value} ↔ ${contradiction.second.value}`
+        )
+        .join(", ")})`,
+    };
+  }
+
+  /**
+   * 이유에 답변 내부 모순 설명 덧붙이기 (모순이 없으면 그대로)
+   * @param {string} reason - 이유
+   * @param {Object} consistency - createConsistencyFactor 결과
+   * @returns {string} - 이유
+   */
+  static describeContradictions(reason, consistency) {
+    return consistency.value === 0
+      ? `${reason} 답변 안에서 ${consistency.detail}이 있습니다.`
+      : reason;
+  }
+
+  /**
+   * 서로 독립된 출처 수 (같은 사이트의 결과는 하나로 셈, 링크가 없으면 제공자 이름 기준)
+   * @param {Object[]} results - 검색 결과 배열
+   * @returns {number} - 독립 출처 수
+   */
+  static countIndependentSources(results) {
+    return new Set(
+      results.map((result) => {
+        try {
+          return new URL(result.url).hostname.replace(/^www\./, "");
+        } catch (error) {
+          return result.source;
+        }
+      })
+    ).size;
+  }
+
+  /**
+   * 요인별 값(0~1)을 가중 평균해 0~100점 신뢰도 정보 생성
+   * 값이 null인 요인은 제외하고, 상한(cap)이 있는 요인은 점수를 그 이하로 제한
+   * @param {Object[]} factors - 요인 배열 ({ id, value, detail, cap })
+   * @param {string} reason - 이유
+   * @returns {Object} - 신뢰도 정보 객체 ({ score, label, reason, color, value, factors })
+   */
+  static scoreTrust(factors, reason) {
+    const applicable = factors.filter(
+      (factor) => factor.value !== null && factor.value !== undefined
+    );
+    const weights = this.getRules().weights;
+    const weightOf = (factor) => weights[factor.id];
+    const totalWeight = applicable.reduce(
+      (sum, factor) => sum + weightOf(factor),
+      0
+    );
+
+    const weighted =
+      totalWeight > 0
+        ? applicable.reduce(
+            (sum, factor) => sum + weightOf(factor) * factor.value,
+            0
+          ) / totalWeight
+        : 0;
+    const caps = applicable
+      .map((factor) => factor.cap)
+      .filter((cap) => typeof cap === "number");
+    const value = Math.round(Math.min(weighted * 100, ...caps));
+    const band = this.getScoreBand(value);
+
     return {
-      score: "medium",
-      label: "신뢰도: 보통",
-      reason: "내용을 검증하기 위해 추가 확인이 필요합니다.",
-      color: "#ffd43b",
+      score: band.score,
+      label: band.label,
+      reason,
+      color: band.color,
+      value,
+      factors: applicable.map((factor) => ({
+        id: factor.id,
+        label: this.TRUST_FACTOR_LABELS[factor.id],
+        weight: weightOf(factor),
+        value: Math.round(factor.value * 100) / 100,
+        contribution:
+          totalWeight > 0
+            ? Math.round(
+                ((weightOf(factor) * factor.value) / totalWeight) * 1000
+              ) / 10
+            : 0,
+        cap: factor.cap,
+        detail: factor.detail,
+      })),
     };
   }
 
+  /**
+   * 점수에 해당하는 세 단계 등급 (신뢰도 규칙의 경계 점수 사용)
+   * @param {number} value - 0~100점
+   * @returns {Object} - { score, label, color }
+   */
+  static getScoreBand(value) {
+    const bands = this.getRules().bands;
+    const score =
+      value >= bands.high ? "high" : value >= bands.medium ? "medium" : "low";
+    return this.SCORE_BANDS.find((band) => band.score === score);
+  }
+
+  /**
+   * 등급에 해당하는 가장 높은 점수 (점수 상한으로 사용)
+   * @param {string} score - high, medium, low
+   * @returns {number} - 0~100점
+   */
+  static getBandCap(score) {
+    const bands = this.getRules().bands;
+    return { high: 100, medium: bands.high - 1, low: bands.medium - 1 }[score];
+  }
+
+  /**
+   * 한 단계 낮은 등급
+   * @param {string} score - high, medium, low
+   * @returns {string} - 낮춘 등급 (low와 unverified는 그대로)
+   */
+  static lowerBand(score) {
+    const index = this.SCORE_BANDS.findIndex((band) => band.score === score);
+    return index < 0
+      ? score
+      : this.SCORE_BANDS[Math.min(index + 1, this.SCORE_BANDS.length - 1)]
+          .score;
+  }
+
   /**
    * 키워드 품질 분석
-   * @param {string[]} keywords - 키워드 배열
+   * @param {string[]} keywords - 키워드 또는 핵심 구문 배열
    * @returns {Object} - 분석 결과
    */
   static analyzeKeywords(keywords) {
     if (!keywords || keywords.length === 0) {
       return { isHighQuality: false, isVeryGeneric: true };
     }
+    const rules = this.getRules().keywords;
 
     // 고품질 키워드 패턴
     const highQualityPatterns = [
@@ -770,8 +1278,8 @@ class HallucinationLensUtils {
       // 숫자나 날짜 포함
       /\d+/,
 
-      // 긴 복합어 (4글자 이상으로 완화)
-      /.{4,}/,
+      // 긴 복합어 (규칙의 longTermLength 글자 이상)
+      new RegExp(`.{${rules.longTermLength},}`),
     ];
 
     // 매우 일반적인 키워드 패턴
@@ -784,17 +1292,28 @@ class HallucinationLensUtils {
     const avgLength =
       keywords.reduce((sum, k) => sum + k.length, 0) / keywords.length;
 
+    // 핵심 구문은 구문 전체 또는 구성 단어 중 하나가 패턴에 맞으면 인정
+    const termsOf = (keyword) => [keyword, ...keyword.split(/\s+/)];
+
     const hasHighQuality = keywords.some((keyword) =>
-      highQualityPatterns.some((pattern) => pattern.test(keyword))
+      termsOf(keyword).some((term) =>
+        highQualityPatterns.some((pattern) => pattern.test(term))
+      )
     );
 
     const isVeryGeneric =
       keywords.every((keyword) =>
-        veryGenericPatterns.some((pattern) => pattern.test(keyword))
-      ) || avgLength < 3;
+        keyword
+          .split(/\s+/)
+          .every((term) =>
+            veryGenericPatterns.some((pattern) => pattern.test(term))
+          )
+      ) || avgLength < rules.minAverageLength;
 
     const isHighQuality =
-      hasHighQuality && keywords.length >= 2 && avgLength >= 3;
+      hasHighQuality &&
+      keywords.length >= rules.minCount &&
+      avgLength >= rules.minAverageLength;
 
     return {
       isHighQuality,
@@ -804,6 +1323,320 @@ class HallucinationLensUtils {
     };
   }
 
+  /**
+   * 문장별 검증 결과를 종합하여 답변 전체의 신뢰도를 계산
+   * 확인 불가가 아닌 문장 점수의 평균을 "문장별 검증" 요인으로 쓰고,
+   * 낮음 문장 비율이 규칙의 lowShare 이상이면 낮음, 하나라도 있거나 모든 문장이 높음이 아니면 보통 이하로 제한
+   * 근거 수, 출처 신뢰도 등 문장별 요인은 문장 평균으로, 답변 일관성은 답변 전체의 모순으로 함께 계산
+   * @param {Object[]} claims - verdict가 포함된 주장 배열
+   * @param {Object[]} contradictions - 답변 내부 모순 (검증한 문장과 관계없이 답변 전체에 반영)
+   * @returns {Object|null} - 신뢰도 정보 객체 (검증된 주장이 없으면 null)
+   */
+  static aggregateClaimVerdicts(claims, contradictions = []) {
+    const verified = (claims || []).filter((claim) => claim.verdict);
+    if (verified.length === 0) {
+      return null;
+    }
+
+    const consistency = this.createConsistencyFactor(contradictions);
+    const withContradictions = (reason) =>
+      this.describeContradictions(reason, consistency);
+
+    const unverifiedCount = verified.filter(
+      (claim) => claim.verdict.score === "unverified"
+    ).length;
+    if (unverifiedCount === verified.length) {
+      const reason = `${verified.length}개 문장 모두 근거 자료를 찾지 못했습니다.`;
+      return contradictions.length > 0
+        ? this.scoreTrust(
+            [
+              { id: "evidence", value: 0, detail: "근거 자료 없음" },
+              consistency,
+            ],
+            withContradictions(reason)
+          )
+        : this.createUnverifiedTrustInfo(reason);
+    }
+
+    const lowCount = verified.filter(
+      (claim) => claim.verdict.score === "low"
+    ).length;
+    const highCount = verified.filter(
+      (claim) => claim.verdict.score === "high"
+    ).length;
+
+    const scored = verified.filter(
+      (claim) => typeof claim.verdict.value === "number"
+    );
+    const claimsFactor = {
+      id: "claims",
+      value:
+        scored.length > 0
+          ? scored.reduce((sum, claim) => sum + claim.verdict.value, 0) /
+            scored.length /
+            100
+          : null,
+      detail: `문장 ${scored.length}개 평균 (높음 ${highCount}, 보통 ${
+        verified.length - highCount - lowCount - unverifiedCount
+      }, 낮음 ${lowCount}, 확인 불가 ${unverifiedCount})`,
+    };
+    const cap = (band) => this.getBandCap(band);
+    const score = (claimsCap, reason) =>
+      this.scoreTrust(
+        [
+          { ...claimsFactor, cap: claimsCap },
+          ...this.averageClaimFactors(scored),
+          consistency,
+        ],
+        withContradictions(reason)
+      );
+
+    if (
+      lowCount > 0 &&
+      lowCount / verified.length >= this.getRules().claims.lowShare
+    ) {
+      return score(
+        cap("low"),
+        `${verified.length}개 문장 중 ${lowCount}개 문장을 검증하지 못했습니다.`
+      );
+    }
+
+    if (lowCount > 0) {
+      return score(
+        cap("medium"),
+        `${verified.length}개 문장 중 ${lowCount}개 문장의 확인이 필요합니다.`
+      );
+    }
+
+    if (highCount === verified.length) {
+      return score(
+        undefined,
+        `${verified.length}개 문장 모두 관련 자료를 찾았습니다.`
+      );
+    }
+
+    return score(
+      cap("medium"),
+      `${
+        verified.length
+      }개 문장 중 ${highCount}개 문장만 관련 자료로 확인되었습니다.${
+        unverifiedCount > 0
+          ? ` (근거를 찾지 못한 문장 ${unverifiedCount}개)`
+          : ""
+      }`
+    );
+  }
+
+  /**
+   * 문장별 요인(근거 수, 출처 신뢰도, 근거 함의, 사실·수치 대조, LLM 판정)의 문장 평균
+   * 상한은 문장 점수에 이미 반영되었으므로 옮기지 않음
+   * @param {Object[]} claims - 점수가 있는 주장 배열
+   * @returns {Object[]} - 요인 배열 (어느 문장에도 없는 요인은 제외)
+   */
+  static averageClaimFactors(claims) {
+    return ["evidence", "credibility", "entailment", "facts", "judge"]
+      .map((id) => {
+        const values = claims
+          .map((claim) =>
+            (claim.verdict.factors || []).find((factor) => factor.id === id)
+          )
+          .filter(Boolean)
+          .map((factor) => factor.value);
+        return values.length > 0
+          ? {
+              id,
+              value:
+                values.reduce((sum, value) => sum + value, 0) / values.length,
+              detail: `문장 ${values.length}개 평균`,
+            }
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * 답변의 확신도 신호(유보 표현, 근거 없는 단정)를 "확신도 표현" 요인으로 신뢰도에 반영
+   * 근거 없는 단정적 주장이 있으면 한 단계 낮추고,
+   * 답변 스스로 불확실성을 드러내면 규칙의 caps.hedged 등급 이하로 제한
+   * @param {Object} trustInfo - 신뢰도 정보 객체
+   * @param {Object} hedging - HallucinationLensHedging.analyzeClaims 결과
+   * @param {Object[]} unsupported - 근거 없이 단정적으로 서술된 주장 배열
+   * @returns {Object} - 조정된 신뢰도 정보 객체
+   */
+  static applyCertaintySignal(trustInfo, hedging, unsupported = []) {
+    const notes = [];
+    let value = 1;
+    let cap;
+
+    if (unsupported.length > 0) {
+      value = 0;
+      cap = this.getBandCap(this.lowerBand(trustInfo.score));
+      notes.push(`근거 없이 단정적으로 서술된 문장 ${unsupported.length}개`);
+    }
+
+    if (hedging) {
+      const hedgedRatio =
+        hedging.total > 0 ? hedging.hedgedCount / hedging.total : 0;
+      const rules = this.getRules();
+      if (hedging.cutoffMentioned || hedgedRatio >= rules.hedging.ratio) {
+        value = Math.min(value, rules.hedging.value);
+        cap = Math.min(
+          cap === undefined ? 100 : cap,
+          this.getBandCap(rules.caps.hedged)
+        );
+        notes.push(
+          hedging.cutoffMentioned
+            ? "답변이 지식 기준 시점의 한계를 언급함"
+            : `답변 스스로 불확실성을 표현(${hedging.hedgedCount}개 문장)`
+        );
+      }
+    }
+
+    // 점수가 없는 판정(확인 불가, 시간 초과)은 표시를 유지하고 이유만 덧붙임
+    if (typeof trustInfo.value !== "number") {
+      return notes.length > 0
+        ? { ...trustInfo, reason: `${trustInfo.reason} ${notes.join(", ")}.` }
+        : trustInfo;
+    }
+    if (notes.length === 0 && !hedging) {
+      return trustInfo;
+    }
+
+    return {
+      ...trustInfo,
+      ...this.scoreTrust(
+        [
+          ...trustInfo.factors,
+          {
+            id: "hedging",
+            value,
+            cap,
+            detail: notes.length > 0 ? notes.join(", ") : "유보 표현 없음",
+          },
+        ],
+        notes.length > 0
+          ? `${trustInfo.reason} ${notes.join(", ")}.`
+          : trustInfo.reason
+      ),
+    };
+  }
+
+  /**
+   * LLM 판정(사용자가 켠 경우)을 "LLM 판정" 요인으로 문장의 신뢰도에 반영
+   * 뒷받침이면 confidence, 반박이면 1 - confidence를 값으로 쓰고,
+   * 확신하는 반박이면 규칙의 caps.judgeRefuted 등급 이하로 제한
+   * @param {Object} trustInfo - 신뢰도 정보 객체
+   * @param {Object|null} judge - LLM 판정 ({ verdict, confidence, rationale, model } 또는 { error, model })
+   * @returns {Object} - 조정된 신뢰도 정보 객체 (judge 포함)
+   */
+  static applyJudgeVerdict(trustInfo, judge) {
+    if (!trustInfo || !judge) {
+      return trustInfo;
+    }
+
+    if (judge.error) {
+      return {
+        ...trustInfo,
+        judge,
+        reason: `${trustInfo.reason} LLM 판정 실패.`,
+      };
+    }
+
+    const verdictLabels = {
+      supports: "뒷받침",
+      refutes: "반박",
+      "not-enough-info": "근거 부족",
+    };
+    const reason = `${trustInfo.reason} LLM 판정: ${
+      verdictLabels[judge.verdict]
+    }.`;
+
+    // 점수가 없는 판정(확인 불가)은 이유만 덧붙임
+    if (typeof trustInfo.value !== "number") {
+      return { ...trustInfo, judge, reason };
+    }
+
+    const rules = this.getRules();
+    const confident = judge.confidence >= rules.judge.minConfidence;
+    const values = {
+      supports: judge.confidence,
+      refutes: 1 - judge.confidence,
+      "not-enough-info": rules.entailment.notEnoughInfo,
+    };
+
+    return {
+      ...trustInfo,
+      ...this.scoreTrust(
+        [
+          ...trustInfo.factors,
+          {
+            id: "judge",
+            value: values[judge.verdict],
+            cap:
+              confident && judge.verdict === "refutes"
+                ? this.getBandCap(rules.caps.judgeRefuted)
+                : undefined,
+            detail: `${verdictLabels[judge.verdict]} (confidence ${
+              judge.confidence
+            }, ${judge.model})`,
+          },
+        ],
+        reason
+      ),
+      judge,
+    };
+  }
+
+  /**
+   * 근거 자료를 찾지 못해 검증할 수 없을 때의 신뢰도 정보
+   * 높음/보통/낮음과 구분되는 "확인 불가" 상태
+   * @param {string} reason - 이유
+   * @returns {Object} - 신뢰도 정보 객체 (score: "unverified")
+   */
+  static createUnverifiedTrustInfo(reason) {
+    return {
+      score: "unverified",
+      label: "신뢰도: 확인 불가",
+      reason,
+      color: "#adb5bd",
+      value: null,
+      factors: [],
+    };
+  }
+
+  /**
+   * 검색 소스가 모두 시간 초과되어 검증하지 못했을 때의 신뢰도 정보
+   * @param {string[]} sources - 시간 초과된 제공자 이름 배열
+   * @returns {Object} - 신뢰도 정보 객체 (timedOut에 제공자 이름 기록)
+   */
+  static createTimeoutTrustInfo(sources) {
+    return {
+      score: "unverified",
+      label: "신뢰도: 시간 초과",
+      reason: `검색 소스(${sources.join(
+        ", "
+      )})가 제한 시간 안에 응답하지 않아 검증하지 못했습니다.`,
+      color: "#adb5bd",
+      value: null,
+      factors: [],
+      timedOut: sources,
+    };
+  }
+
+  /**
+   * HTML 특수문자 이스케이프 (오버레이에 페이지 텍스트를 삽입할 때 사용)
+   * @param {string} text - 이스케이프할 문자열
+   * @returns {string} - 이스케이프된 문자열
+   */
+  static escapeHtml(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
   /**
    * 디바운스 함수 - 연속된 호출을 제한
    * @param {Function} func - 실행할 함수
@@ -0,0 +1,649 @@
+/**
+ * HallucinationLens - Wikidata 구조화 사실 검증
+ * 답변의 개체명을 Wikidata 항목으로 찾고, 문장에 언급된 속성(출생일, 인구, 본사 등)의
+ * 값을 답변의 수치/이름과 비교해 사실별 일치 여부를 보고
+ * Background Script(importScripts)와 팝업에서 함께 사용
+ */
+
+class HallucinationLensWikidata {
+  // 기본 API 엔드포인트 (설정의 wikidataEndpoint로 테스트용 서버 등을 지정 가능)
+  static DEFAULT_ENDPOINT = "https://www.wikidata.org";
+
+  // 한 문장에서 조회할 최대 개체 수
+  static MAX_ENTITIES = 2;
+
+  // 같은 값으로 보는 수량의 허용 오차 (인구처럼 시점마다 값이 조금씩 다른 경우)
+  static QUANTITY_TOLERANCE = 0.05;
+
+  // 비교할 속성: 문장에 cue가 있을 때만 조회
+  // units: 비교할 답변 수량의 단위 (null은 단위 없는 수), nameTypes: 답변 값으로 볼 개체 유형
+  static PROPERTIES = [
+    {
+      id: "P569",
+      label: "출생일",
+      type: "time",
+      cue: /\bborn\b|\bbirth|출생|태어/i,
+    },
+    {
+      id: "P570",
+      label: "사망일",
+      type: "time",
+      cue: /\bdied\b|\bdeath|사망|별세/i,
+    },
+    {
+      id: "P571",
+      label: "설립/시작 시점",
+      type: "time",
+      cue: /\bfounded\b|\bestablished\b|\bformed\b|\binception\b|설립|창립|창업|건국/i,
+    },
+    {
+      id: "P577",
+      label: "출시/발표일",
+      type: "time",
+      cue: /\breleased\b|\bpublished\b|\blaunched\b|출시|발표|출간|개봉/i,
+    },
+    {
+      id: "P1082",
+      label: "인구",
+      type: "quantity",
+      cue: /\bpopulation\b|\binhabitants\b|\bresidents\b|인구/i,
+      units: ["people", "명", null],
+    },
+    {
+      id: "P1128",
+      label: "직원 수",
+      type: "quantity",
+      cue: /\bemployees\b|\bstaff\b|\bworkforce\b|직원|임직원/i,
+      units: ["employees", "people", "명", null],
+    },
+    {
+      id: "P2048",
+      label: "높이",
+      type: "quantity",
+      cue: /\btall\b|\bheight\b|\bhigh\b|높이/i,
+      units: ["m", "meter", "meters", "metre", "metres", "미터"],
+    },
+    {
+      id: "P2046",
+      label: "면적",
+      type: "quantity",
+      cue: /\barea\b|\bcovers\b|면적/i,
+      units: ["km²", "km2"],
+    },
+    {
+      id: "P159",
+      label: "본사 위치",
+      type: "item",
+      cue: /\bheadquarter|\bbased in\b|본사|본부/i,
+      nameTypes: ["place"],
+    },
+    {
+      id: "P112",
+      label: "설립자",
+      type: "item",
+      cue: /\bfounded by\b|\bfounders?\b|\bco-?founded\b|설립자|창립자|창업자/i,
+      nameTypes: ["person"],
+    },
+    {
+      id: "P36",
+      label: "수도",
+      type: "item",
+      cue: /\bcapital\b|수도/i,
+      nameTypes: ["place"],
+    },
+    {
+      id: "P169",
+      label: "CEO",
+      type: "item",
+      cue: /\bCEO\b|\bchief executive\b|최고경영자|대표이사/i,
+      nameTypes: ["person"],
+    },
+    {
+      id: "P50",
+      label: "저자",
+      type: "item",
+      cue: /\bwritten by\b|\bauthor\b|저자|작가/i,
+      nameTypes: ["person"],
+    },
+    {
+      id: "P57",
+      label: "감독",
+      type: "item",
+      cue: /\bdirected by\b|\bdirector\b|감독/i,
+      nameTypes: ["person"],
+    },
+    {
+      id: "P19",
+      label: "출생지",
+      type: "item",
+      cue: /\bborn in\b|\bbirthplace\b|출생지|에서 태어/i,
+      nameTypes: ["place"],
+    },
+  ];
+
+  // 속성 cue와 답변 값을 묶을 절의 경계 ("founded in 1998 and acquired in 2005"의 and 등)
+  static CLAUSE_BOUNDARY =
+    /[,;:]|\s(?:and|but|while|whereas|which|who|after|before|then|until)\s|(?:었고|였고|했고|되어|하여|으며|이며|했으며|었으며|지만|는데)\s/gi;
+
+  static NAME_TYPES = new Set([
+    "person",
+    "organization",
+    "place",
+    "product",
+    "entity",
+  ]);
+
+  /**
+   * 설정된 API 엔드포인트 불러오기
+   * @returns {Promise<string>} - 엔드포인트 (끝의 "/" 제거)
+   */
+  static async getEndpoint() {
+    try {
+      const result = await chrome.storage.local.get(["wikidataEndpoint"]);
+      return (result.wikidataEndpoint || this.DEFAULT_ENDPOINT).replace(
+        /\/$/,
+        ""
+      );
+    } catch (error) {
+      return this.DEFAULT_ENDPOINT;
+    }
+  }
+
+  /**
+   * Wikidata API 호출
+   * @param {string} endpoint - API 엔드포인트
+   * @param {Object} params - 쿼리 파라미터
+   * @returns {Promise<Object>} - 응답 JSON
+   */
+  static async callApi(endpoint, params) {
+    const query = new URLSearchParams({ format: "json", ...params });
+    const response = await HallucinationLensProviders.fetch(
+      "wikidata",
+      `${endpoint}/w/api.php?${query}`
+    );
+    if (!response.ok) {
+      throw new Error(`Wikidata HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * 문장의 사실들을 Wikidata와 대조
+   * @param {string} text - 검증할 문장
+   * @param {Object[]} facts - 문장에서 추출한 사실
+   * @param {string} languageCode - 답변 언어 코드 (항목 검색 언어)
+   * @returns {Promise<Object[]>} - 검색 결과 배열 (결과마다 factChecks 포함)
+   */
+  static async verify(text, facts, languageCode) {
+    const properties = this.PROPERTIES.filter((property) =>
+      property.cue.test(text)
+    );
+    const names = facts.filter((fact) => this.NAME_TYPES.has(fact.type));
+    if (properties.length === 0 || names.length === 0) {
+      return [];
+    }
+
+    const endpoint = await this.getEndpoint();
+    const language = languageCode || "en";
+    const results = [];
+
+    for (const name of names.slice(0, this.MAX_ENTITIES)) {
+      const itemId = await this.resolveEntity(endpoint, name.text, language);
+      if (!itemId) continue;
+
+      const entity = await this.getEntity(endpoint, itemId, language);
+      if (!entity) continue;
+
+      const factChecks = await this.checkProperties(
+        endpoint,
+        entity,
+        properties,
+        { text, facts, subject: name, language }
+      );
+      if (factChecks.length === 0) continue;
+
+      const label = this.getLabel(entity, language) || name.text;
+      results.push({
+        title: `${label} (Wikidata ${itemId})`,
+        url: `${endpoint}/wiki/${itemId}`,
+        snippet: [
+          this.getDescription(entity, language),
+          ...factChecks.map((check) => `${check.label}: ${check.expected}`),
+        ]
+          .filter(Boolean)
+          .join(" · "),
+        factChecks,
+      });
+    }
+
+    console.log("[HallucinationLens] Wikidata 대조 결과:", results);
+
+    return results;
+  }
+
+  /**
+   * 개체명을 Wikidata 항목 ID로 변환
+   * @param {string} endpoint - API 엔드포인트
+   * @param {string} name - 개체명
+   * @param {string} language - 검색 언어
+   * @returns {Promise<string|null>} - 항목 ID (Q로 시작)
+   */
+  static async resolveEntity(endpoint, name, language) {
+    const data = await this.callApi(endpoint, {
+      action: "wbsearchentities",
+      search: name,
+      language,
+      uselang: language,
+      type: "item",
+      limit: "1",
+    });
+    return data.search && data.search[0] ? data.search[0].id : null;
+  }
+
+  /**
+   * 개체명을 다른 언어의 Wikidata 이름으로 바꾸기 (영어 Wikipedia 재검색용)
+   * 항목을 찾지 못했거나 대상 언어 이름이 없는 개체명은 제외
+   * @param {string[]} names - 개체명 배열
+   * @param {string} language - 개체명의 언어 코드
+   * @param {string} target - 바꿀 언어 코드
+   * @returns {Promise<string[]>} - 대상 언어 이름 배열
+   */
+  static async translateNames(names, language, target = "en") {
+    const endpoint = await this.getEndpoint();
+    const translated = [];
+
+    for (const name of names.slice(0, this.MAX_ENTITIES)) {
+      try {
+        const itemId = await this.resolveEntity(endpoint, name, language);
+        if (!itemId) continue;
+
+        const data = await this.callApi(endpoint, {
+          action: "wbgetentities",
+          ids: itemId,
+          props: "labels",
+          languages: target,
+        });
+        const entity = data.entities && data.entities[itemId];
+        const label = entity && entity.labels && entity.labels[target];
+        if (label) {
+          translated.push(label.value);
+        }
+      } catch (error) {
+        console.warn(
+          "[HallucinationLens] Wikidata 이름 변환 실패:",
+          name,
+          error
+        );
+      }
+    }
+
+    return translated;
+  }
+
+  /**
+   * 항목의 속성과 이름 정보 가져오기
+   * @param {string} endpoint - API 엔드포인트
+   * @param {string} itemId - 항목 ID
+   * @param {string} language - 표시 언어
+   * @returns {Promise<Object|null>} - 항목 데이터
+   */
+  static async getEntity(endpoint, itemId, language) {
+    const data = await this.callApi(endpoint, {
+      action: "wbgetentities",
+      ids: itemId,
+      props: "claims|labels|descriptions|aliases",
+      languages: this.getLanguages(language),
+    });
+    return data.entities ? data.entities[itemId] : null;
+  }
+
+  /**
+   * 여러 항목의 이름 가져오기 (본사 위치, 설립자처럼 값이 항목인 속성용)
+   * @param {string} endpoint - API 엔드포인트
+   * @param {string[]} itemIds - 항목 ID 배열
+   * @param {string} language - 표시 언어
+   * @returns {Promise<Object>} - 항목 ID -> 이름 배열 (모든 언어의 이름과 별칭)
+   */
+  static async getNames(endpoint, itemIds, language) {
+    if (itemIds.length === 0) return {};
+
+    const data = await this.callApi(endpoint, {
+      action: "wbgetentities",
+      ids: itemIds.slice(0, 20).join("|"),
+      props: "labels|aliases",
+      languages: this.getLanguages(language),
+    });
+
+    const names = {};
+    Object.entries(data.entities || {}).forEach(([id, entity]) => {
+      names[id] = [
+        ...Object.values(entity.labels || {}).map((label) => label.value),
+        ...Object.values(entity.aliases || {})
+          .flat()
+          .map((alias) => alias.value),
+      ];
+    });
+    return names;
+  }
+
+  /**
+   * 문장에 언급된 속성 값과 Wikidata 값을 비교
+   * @param {string} endpoint - API 엔드포인트
+   * @param {Object} entity - 항목 데이터
+   * @param {Object[]} properties - 문장에 언급된 속성
+   * @param {Object} context - { text, facts, subject, language }
+   * @returns {Promise<Object[]>} - 사실별 대조 결과 ({ property, label, expected, stated, status })
+   */
+  static async checkProperties(endpoint, entity, properties, context) {
+    const claims = entity.claims || {};
+    const checks = [];
+
+    // 값이 항목인 속성은 이름을 한 번에 조회
+    const itemIds = properties
+      .filter((property) => property.type === "item")
+      .flatMap((property) => this.getClaimValues(claims[property.id]))
+      .map((value) => value.id)
+      .filter(Boolean);
+    const names = await this.getNames(endpoint, itemIds, context.language);
+
+    properties.forEach((property) => {
+      const values = this.getClaimValues(claims[property.id]);
+      if (values.length === 0) return;
+
+      const check =
+        property.type === "time"
+          ? this.compareTime(property, values, context)
+          : property.type === "quantity"
+          ? this.compareQuantity(property, values, context)
+          : this.compareItem(property, values, names, context);
+      if (check) checks.push(check);
+    });
+
+    return checks;
+  }
+
+  /**
+   * 속성 주장(claim)에서 값 목록 추출
+   * @param {Object[]} claimList - Wikidata 주장 배열
+   * @returns {Object[]} - 값 배열 (시간: { time }, 수량: { amount }, 항목: { id })
+   */
+  static getClaimValues(claimList) {
+    return (claimList || [])
+      .filter((claim) => claim.rank !== "deprecated")
+      .map((claim) => claim.mainsnak && claim.mainsnak.datavalue)
+      .filter(Boolean)
+      .map((datavalue) => datavalue.value);
+  }
+
+  /**
+   * 속성 cue에 딸린 답변 값 찾기
+   * cue가 나온 자리마다 같은 절 안에서 가장 가까운 값 하나만 고름
+   * ("founded in 1998 and acquired in 2005"에서 설립 시점은 1998만 비교)
+   * @param {Object} property - 속성 정의
+   * @param {string} text - 검증할 문장
+   * @param {Object[]} candidates - 후보 사실 (index: 문장 안 위치)
+   * @returns {Object[]} - cue에 딸린 사실 배열
+   */
+  static findCueValues(property, text, candidates) {
+    const boundaries = [...text.matchAll(this.CLAUSE_BOUNDARY)].map(
+      (match) => match.index
+    );
+    const cue = new RegExp(property.cue.source, "gi");
+    const tied = new Set();
+
+    for (const match of text.matchAll(cue)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      const sameClause = (fact) => {
+        const from = Math.min(start, fact.index);
+        const to = Math.max(end, fact.index + fact.text.length);
+        return !boundaries.some(
+          (position) =>
+            position >= from &&
+            position < to &&
+            (position < start || position >= end)
+        );
+      };
+      const distance = (fact) =>
+        fact.index >= end
+          ? fact.index - end
+          : Math.max(0, start - (fact.index + fact.text.length));
+
+      const nearest = candidates
+        .filter((fact) => typeof fact.index === "number" && sameClause(fact))
+        .sort((a, b) => distance(a) - distance(b))[0];
+      if (nearest) tied.add(nearest);
+    }
+
+    return [...tied];
+  }
+
+  /**
+   * 날짜 속성 비교 (답변의 연도/날짜가 Wikidata 날짜와 같은 연도인지)
+   * 속성 cue에 딸린 연도/날짜만 비교
+   * @param {Object} property - 속성 정의
+   * @param {Object[]} values - Wikidata 값 ({ time: "+1955-10-28T00:00:00Z" })
+   * @param {Object} context - { text, facts }
+   * @returns {Object|null} - 대조 결과 (cue에 딸린 날짜가 없으면 null)
+   */
+  static compareTime(property, values, context) {
+    const stated = this.findCueValues(
+      property,
+      context.text,
+      context.facts.filter(
+        (fact) => fact.type === "year" || fact.type === "date"
+      )
+    );
+    if (stated.length === 0) return null;
+
+    const expected = values
+      .map((value) => (value.time || "").replace(/^\+/, "").slice(0, 10))
+      .filter(Boolean)
+      // 월/일이 정해지지 않은 날짜는 "1976-00-00" 형태이므로 연도만 남김
+      .map((date) => date.replace(/-00(-00)?$/, ""));
+
+    const matched = stated.find((fact) =>
+      expected.some((date) => {
+        const statedValue = String(fact.value);
+        return date.startsWith(statedValue) || statedValue.startsWith(date);
+      })
+    );
+
+    return {
+      property: property.id,
+      label: property.label,
+      expected: expected.join(", "),
+      stated: (matched || stated[0]).text,
+      status: matched ? "match" : "mismatch",
+    };
+  }
+
+  /**
+   * 수량 속성 비교 (허용 오차 안에 드는 값이 있는지)
+   * 속성 cue에 딸린 수량만 비교
+   * @param {Object} property - 속성 정의
+   * @param {Object[]} values - Wikidata 값 ({ amount: "+9668465" })
+   * @param {Object} context - { text, facts }
+   * @returns {Object|null} - 대조 결과 (cue에 딸린 수량이 없으면 null)
+   */
+  static compareQuantity(property, values, context) {
+    const stated = this.findCueValues(
+      property,
+      context.text,
+      context.facts.filter(
+        (fact) =>
+          fact.type === "quantity" && property.units.includes(fact.unit || null)
+      )
+    );
+    if (stated.length === 0) return null;
+
+    const expected = values
+      .map((value) => parseFloat(value.amount))
+      .filter((amount) => !isNaN(amount));
+    if (expected.length === 0) return null;
+
+    const matched = stated.find((fact) =>
+      expected.some(
+        (amount) =>
+          Math.abs(amount - fact.value) /
+            Math.max(Math.abs(amount), Math.abs(fact.value), 1) <=
+          this.QUANTITY_TOLERANCE
+      )
+    );
+
+    // 시점별 값이 여러 개면 가장 최근(마지막) 값을 대표값으로 표시
+    return {
+      property: property.id,
+      label: property.label,
+      expected: expected[expected.length - 1].toLocaleString("en-US"),
+      stated: (matched || stated[0]).text,
+      status: matched ? "match" : "mismatch",
+    };
+  }
+
+  /**
+   * 항목 속성 비교 (속성 cue에 딸린 이름이 Wikidata 값의 이름과 같은지)
+   * 답변의 개체명과 Wikidata 이름이 단어 단위로 언급된 자리를 후보로 두고 cue에 딸린 값만 비교
+   * (유형을 정하지 못한 개체명 "entity"도 후보로 포함)
+   * @param {Object} property - 속성 정의
+   * @param {Object[]} values - Wikidata 값 ({ id: "Q..." })
+   * @param {Object} names - 항목 ID -> 이름 배열
+   * @param {Object} context - { text, facts, subject, language }
+   * @returns {Object|null} - 대조 결과 (cue에 딸린 이름이 없으면 null)
+   */
+  static compareItem(property, values, names, context) {
+    const expectedNames = values.flatMap((value) => names[value.id] || []);
+    if (expectedNames.length === 0) return null;
+
+    const mentions = this.findNameMentions(expectedNames, context.text);
+    const stated = this.findCueValues(property, context.text, [
+      ...mentions,
+      ...context.facts.filter(
+        (fact) =>
+          (property.nameTypes.includes(fact.type) || fact.type === "entity") &&
+          fact.text !== context.subject.text
+      ),
+    ]);
+    if (stated.length === 0) return null;
+
+    const matched = stated.find(
+      (fact) =>
+        mentions.includes(fact) ||
+        this.findNameMentions(expectedNames, fact.text).length > 0
+    );
+    const displayNames = values
+      .map((value) => (names[value.id] || [])[0])
+      .filter(Boolean);
+
+    return {
+      property: property.id,
+      label: property.label,
+      expected: displayNames.join(", "),
+      stated: (matched || stated[0]).text,
+      status: matched ? "match" : "mismatch",
+    };
+  }
+
+  /**
+   * 텍스트에서 이름이 단어 단위로 언급된 자리 찾기
+   * 단어 안의 일부("Ukraine"의 "UK", "because"의 "US")는 언급으로 보지 않고,
+   * 한국어 조사는 떼고 비교하며, "US"처럼 대문자 약칭은 대소문자까지 같아야 함
+   * @param {string[]} names - 이름 배열 (모든 언어의 이름과 별칭)
+   * @param {string} text - 텍스트
+   * @returns {Object[]} - 언급 배열 ({ type: "name", text, index })
+   */
+  static findNameMentions(names, text) {
+    const toKey = (word, keepCase) => {
+      const stem =
+        typeof HallucinationLensKorean !== "undefined"
+          ? HallucinationLensKorean.normalizeWord(word)
+          : word;
+      return keepCase ? stem : stem.toLowerCase();
+    };
+    const words = [...String(text).matchAll(/[\p{L}\p{N}]+/gu)].map(
+      (match) => ({ word: match[0], index: match.index })
+    );
+    const mentions = [];
+
+    names.forEach((name) => {
+      const parts = String(name).match(/[\p{L}\p{N}]+/gu) || [];
+      if (parts.length === 0) return;
+      const keepCase = /^[A-Z]{2,5}$/.test(name);
+      const keys = parts.map((part) => toKey(part, keepCase));
+
+      for (let i = 0; i + keys.length <= words.length; i++) {
+        const same = keys.every(
+          (key, offset) => toKey(words[i + offset].word, keepCase) === key
+        );
+        if (!same) continue;
+
+        const last = words[i + keys.length - 1];
+        const index = words[i].index;
+        if (mentions.some((mention) => mention.index === index)) continue;
+        mentions.push({
+          type: "name",
+          text: text.slice(index, last.index + last.word.length),
+          index,
+        });
+      }
+    });
+    return mentions;
+  }
+
+  /**
+   * 조회할 언어 목록 (답변 언어 + 영어)
+   * @param {string} language - 답변 언어 코드
+   * @returns {string} - "ko|en" 형태
+   */
+  static getLanguages(language) {
+    return [...new Set([language, "en"])].join("|");
+  }
+
+  /**
+   * 항목 이름 (답변 언어 → 영어 순서)
+   * @param {Object} entity - 항목 데이터
+   * @param {string} language - 답변 언어 코드
+   * @returns {string} - 이름
+   */
+  static getLabel(entity, language) {
+    const labels = entity.labels || {};
+    return (labels[language] || labels.en || {}).value || "";
+  }
+
+  /**
+   * 항목 설명 (답변 언어 → 영어 순서)
+   * @param {Object} entity - 항목 데이터
+   * @param {string} language - 답변 언어 코드
+   * @returns {string} - 설명
+   */
+  static getDescription(entity, language) {
+    const descriptions = entity.descriptions || {};
+    return (descriptions[language] || descriptions.en || {}).value || "";
+  }
+}
+
+// 검색 제공자로 등록
+// 문장 단위 검증에서만 동작하며, 대조 결과가 있어도 일반 검색 결과를 대신하지 않으므로
+// "순서대로" 방식에서도 다음 제공자(DuckDuckGo, Wikipedia 등)를 계속 실행
+HallucinationLensProviders.register({
+  id: "wikidata",
+  name: "Wikidata",
+  description: "개체의 날짜, 인구, 본사, 설립자 등을 Wikidata 값과 대조",
+  cacheContext: ["language", "text"],
+  // 결과 링크는 Wikidata 항목 페이지라 근거 문단을 찾을 본문이 없음
+  evidence: false,
+  supplementary: true,
+  search: async (query, context) =>
+    context.text
+      ? HallucinationLensWikidata.verify(
+          context.text,
+          context.facts || [],
+          context.language
+        )
+      : [],
+});
+
+// 전역으로 사용할 수 있도록 window 객체에 추가
+if (typeof window !== "undefined") {
+  window.HallucinationLensWikidata = HallucinationLensWikidata;
+}